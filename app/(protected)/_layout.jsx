@@ -0,0 +1,61 @@
+// Layout for the authenticated route group.
+// Every screen in app/(protected) requires a signed-in user. This guard is the
+// single place that decides what happens without one: it redirects to /login
+// and passes the requested route (including params such as bookingId) as
+// `redirect`, so deep links like /manage-booking?bookingId=5 work after login.
+
+import { View, ActivityIndicator, StyleSheet } from 'react-native';
+import { Stack, Redirect, usePathname, useGlobalSearchParams } from 'expo-router';
+import { useAuth } from '../../context/AuthContext';
+import { buildRedirectPath } from '../../utils/navigation';
+
+export default function ProtectedLayout() {
+  const { isAuthenticated, isRestoring, isSessionExpired } = useAuth();
+  const pathname = usePathname();
+  const params = useGlobalSearchParams();
+
+  // Wait for the stored session before deciding, so a restored login isn't bounced
+  if (isRestoring) {
+    return (
+      <View style={styles.container}>
+        <ActivityIndicator size="large" color="#A68F65" />
+      </View>
+    );
+  }
+
+  if (!isAuthenticated) {
+    const redirectParams = { redirect: buildRedirectPath(pathname, params) };
+    if (isSessionExpired) {
+      redirectParams.expired = 'true';
+    }
+    return <Redirect href={{ pathname: '/login', params: redirectParams }} />;
+  }
+
+  return (
+    <Stack
+      screenOptions={{
+        // Same options as the root stack, each screen has its own header
+        headerShown: false,
+        gestureEnabled: true,
+        animation: 'slide_from_right',
+      }}
+    >
+      <Stack.Screen name="my-trips" />
+      <Stack.Screen name="manage-booking" />
+      <Stack.Screen name="cancel-booking" />
+      <Stack.Screen name="falcon-flyer" />
+      <Stack.Screen name="check-in" />
+      <Stack.Screen name="boarding-pass" />
+    </Stack>
+  );
+}
+
+// StyleSheet
+const styles = StyleSheet.create({
+  container: {
+    flex: 1, // Take up full screen height
+    justifyContent: 'center', // Center the spinner
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+  },
+});
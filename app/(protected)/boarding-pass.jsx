@@ -0,0 +1,488 @@
+// Import React hooks and components for the boarding pass
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Image,
+  Alert,
+  ActivityIndicator,
+  Platform,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { StatusBar } from 'expo-status-bar';
+import { router, useLocalSearchParams, useFocusEffect } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import * as Brightness from 'expo-brightness';
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import QRCode from 'qrcode';
+import { bookingsAPI, isSessionExpiredError } from '../../utils/api';
+import {
+  buildBoardingPass,
+  buildBoardingPassHtml,
+  loadSavedBoardingPass,
+  saveBoardingPass,
+} from '../../utils/boardingPass';
+import { formatCompactDateTime } from '../../utils/datetime';
+import { useRetryWhileStale } from '../../utils/offlineCache';
+import BoardingPassBarcode, { BARCODE_OPTIONS } from '../../components/BoardingPassBarcode';
+
+/**
+ * BoardingPassScreen Component - Gulf Air Boarding Pass
+ *
+ * Shows the boarding pass of a checked-in booking: passenger, flight, route,
+ * boarding time, gate and seat, with the IATA BCBP data as a QR code for the
+ * gate readers. Opened at the end of online check-in and from My Trips.
+ *
+ * Features:
+ * - Saved on the device, so it opens without a network connection
+ * - Full screen brightness while open, for scanning
+ * - Export as a PDF file to save or share
+ *
+ * @returns {JSX.Element} The boarding pass
+ */
+export default function BoardingPassScreen() {
+  // Get booking ID from navigation parameters
+  const { bookingId } = useLocalSearchParams();
+
+  // State management for the pass
+  const [boardingPass, setBoardingPass] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isOffline, setIsOffline] = useState(false); // Showing the saved pass, the backend couldn't be reached
+  const [isExporting, setIsExporting] = useState(false);
+
+  // Load the booking on mount
+  // Authentication is handled by the guard in app/(protected)/_layout.jsx
+  useEffect(() => {
+    if (bookingId) {
+      loadBoardingPass();
+    } else {
+      setIsLoading(false);
+    }
+  }, [bookingId]);
+
+  // Turn the screen to full brightness while the pass is shown, for scanning
+  useFocusEffect(
+    React.useCallback(() => {
+      if (Platform.OS === 'web') return undefined;
+      let previousBrightness = null;
+
+      Brightness.getBrightnessAsync()
+        .then((brightness) => {
+          previousBrightness = brightness;
+          return Brightness.setBrightnessAsync(1);
+        })
+        .catch((error) => console.warn('Could not raise screen brightness:', error.message));
+
+      return () => {
+        // Android only changed this app's window, hand control back to the system setting
+        if (Platform.OS === 'android') {
+          Brightness.restoreSystemBrightnessAsync().catch(() => {});
+        } else if (previousBrightness !== null) {
+          Brightness.setBrightnessAsync(previousBrightness).catch(() => {});
+        }
+      };
+    }, [])
+  );
+
+  /**
+   * Load Boarding Pass
+   * Shows the pass saved on the device right away, then refreshes it from the
+   * backend. Without a connection the saved pass stays on screen.
+   */
+  const loadBoardingPass = async () => {
+    const savedPass = await loadSavedBoardingPass(bookingId);
+    if (savedPass) {
+      setBoardingPass(savedPass);
+      setIsLoading(false);
+    }
+
+    try {
+      const booking = await bookingsAPI.getBooking(parseInt(bookingId));
+      if (booking.booking_status !== 'checked_in') {
+        Alert.alert('Not Checked In', 'Check in for this flight to get your boarding pass.');
+        router.back();
+        return;
+      }
+      const freshPass = buildBoardingPass(booking);
+      await saveBoardingPass(freshPass);
+      setBoardingPass(freshPass);
+      setIsOffline(false);
+    } catch (error) {
+      console.error('Error loading boarding pass:', error);
+      if (isSessionExpiredError(error)) return;
+      if (savedPass) {
+        setIsOffline(true);
+        return;
+      }
+      Alert.alert('Error', `Failed to load boarding pass: ${error.message || 'Unknown error'}`);
+      router.back();
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Refresh the saved pass once the connection is back
+  useRetryWhileStale(isOffline, loadBoardingPass);
+
+  /**
+   * Handle Export
+   * Saves the boarding pass as a PDF file and opens the share sheet, so it can
+   * be kept in Files or sent to another app
+   */
+  const handleExport = async () => {
+    try {
+      setIsExporting(true);
+      const barcodeSvg = await QRCode.toString(boardingPass.barcodeData, { ...BARCODE_OPTIONS, type: 'svg' });
+      const html = buildBoardingPassHtml(boardingPass, barcodeSvg);
+
+      // Web has no file system, print (or save as PDF) from the browser instead
+      if (Platform.OS === 'web') {
+        await Print.printAsync({ html });
+        return;
+      }
+
+      const { uri } = await Print.printToFileAsync({ html });
+      if (await Sharing.isAvailableAsync()) {
+        await Sharing.shareAsync(uri, {
+          mimeType: 'application/pdf',
+          UTI: 'com.adobe.pdf',
+          dialogTitle: `Boarding pass ${boardingPass.flightNumber}`,
+        });
+      } else {
+        Alert.alert('Boarding Pass Saved', `Your boarding pass was saved to:\n${uri}`);
+      }
+    } catch (error) {
+      console.error('Error exporting boarding pass:', error);
+      Alert.alert('Error', 'Could not export the boarding pass. Please try again.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  /**
+   * Handle Close
+   * Returns to My Trips, the wizard that led here has been replaced
+   */
+  const handleClose = () => {
+    router.replace('/my-trips');
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Set status bar to light content for gold header */}
+      <StatusBar style="light" />
+
+      {/* Header Section */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.closeButton} onPress={handleClose}>
+          <Ionicons name="close" size={24} color="#FFFFFF" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>BOARDING PASS</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView style={styles.scrollContainer}>
+        {isLoading ? (
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size="large" color="#A68F65" />
+          </View>
+        ) : boardingPass && (
+          <View style={styles.pass}>
+            {/* Pass Header */}
+            <View style={styles.passHeader}>
+              <Image
+                source={require('../../assets/images/logo.png')}
+                style={styles.passLogo}
+                resizeMode="contain"
+              />
+              <Text style={styles.passCabin}>{boardingPass.cabin}</Text>
+            </View>
+
+            {/* Route */}
+            <View style={styles.routeRow}>
+              <View>
+                <Text style={styles.airportCode}>{boardingPass.from}</Text>
+                <Text style={styles.airportCity}>{boardingPass.fromCity}</Text>
+                <Text style={styles.routeTime}>{boardingPass.departureTime}</Text>
+              </View>
+              <Ionicons name="airplane" size={24} color="#A68F65" />
+              <View style={styles.routeRight}>
+                <Text style={styles.airportCode}>{boardingPass.to}</Text>
+                <Text style={styles.airportCity}>{boardingPass.toCity}</Text>
+                <Text style={styles.routeTime}>{boardingPass.arrivalTime}</Text>
+              </View>
+            </View>
+
+            {/* Passenger */}
+            <View style={styles.field}>
+              <Text style={styles.fieldLabel}>Passenger</Text>
+              <Text style={styles.fieldValue}>{boardingPass.passengerName}</Text>
+            </View>
+
+            {/* Flight Details Grid */}
+            <View style={styles.fieldGrid}>
+              <View style={styles.gridField}>
+                <Text style={styles.fieldLabel}>Flight</Text>
+                <Text style={styles.fieldValue}>{boardingPass.flightNumber}</Text>
+              </View>
+              <View style={styles.gridField}>
+                <Text style={styles.fieldLabel}>Date</Text>
+                <Text style={styles.fieldValue}>{boardingPass.date}</Text>
+              </View>
+              <View style={styles.gridField}>
+                <Text style={styles.fieldLabel}>Boarding</Text>
+                <Text style={styles.fieldValue}>{boardingPass.boardingTime}</Text>
+              </View>
+              <View style={styles.gridField}>
+                <Text style={styles.fieldLabel}>Gate</Text>
+                <Text style={styles.fieldValue}>{boardingPass.gate || 'TBA'}</Text>
+              </View>
+              <View style={styles.gridField}>
+                <Text style={styles.fieldLabel}>Seat</Text>
+                <Text style={styles.fieldValueLarge}>{boardingPass.seatNumber}</Text>
+              </View>
+              <View style={styles.gridField}>
+                <Text style={styles.fieldLabel}>Booking Ref</Text>
+                <Text style={styles.fieldValue}>{boardingPass.bookingReference}</Text>
+              </View>
+            </View>
+
+            <Text style={styles.gateNote}>
+              Gate closes at {boardingPass.gateClosesTime}. Check the airport screens for gate changes.
+            </Text>
+
+            {/* Barcode */}
+            <View style={styles.barcodeContainer}>
+              <BoardingPassBarcode data={boardingPass.barcodeData} />
+            </View>
+          </View>
+        )}
+
+        {!isLoading && boardingPass && (
+          <>
+            {/* Saved Pass Info */}
+            <View style={styles.offlineInfo}>
+              <Ionicons
+                name={isOffline ? 'cloud-offline-outline' : 'checkmark-circle-outline'}
+                size={16}
+                color={isOffline ? '#FF6B35' : '#2E7D32'}
+              />
+              <Text style={styles.offlineText}>
+                {isOffline
+                  ? `Offline – showing the pass saved ${formatCompactDateTime(boardingPass.savedAt)}`
+                  : `Saved on this device for offline use • updated ${formatCompactDateTime(boardingPass.savedAt)}`}
+              </Text>
+            </View>
+
+            {/* Export Button */}
+            <TouchableOpacity
+              style={[styles.exportButton, isExporting && styles.exportButtonDisabled]}
+              onPress={handleExport}
+              disabled={isExporting}
+            >
+              {isExporting ? (
+                <ActivityIndicator color="#A68F65" />
+              ) : (
+                <>
+                  <Ionicons name="download-outline" size={20} color="#A68F65" />
+                  <Text style={styles.exportButtonText}>Save as PDF</Text>
+                </>
+              )}
+            </TouchableOpacity>
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+// StyleSheet for the boarding pass
+const styles = StyleSheet.create({
+  // Main container with light background
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F8F8',
+  },
+  // Header section with gold background
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: '#A68F65',
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+  },
+  // Close button styling
+  closeButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  // Header title styling
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  // Header spacer for centering
+  headerSpacer: {
+    width: 32,
+  },
+  // Scroll container
+  scrollContainer: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  // Loading container
+  loadingContainer: {
+    alignItems: 'center',
+    paddingVertical: 60,
+  },
+  // Boarding pass card
+  pass: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 20,
+    marginVertical: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  // Logo and cabin row
+  passHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  // Gulf Air logo on the pass
+  passLogo: {
+    width: 48,
+    height: 48,
+  },
+  // Cabin name
+  passCabin: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#A68F65',
+  },
+  // Origin and destination row
+  routeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  // Destination column
+  routeRight: {
+    alignItems: 'flex-end',
+  },
+  // Airport code
+  airportCode: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+  },
+  // Airport city
+  airportCity: {
+    fontSize: 14,
+    color: '#666666',
+  },
+  // Departure or arrival time
+  routeTime: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1A1A2E',
+    marginTop: 4,
+  },
+  // Single field
+  field: {
+    marginBottom: 16,
+  },
+  // Grid of fields, two per row
+  fieldGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  // Field in the grid
+  gridField: {
+    width: '50%',
+    marginBottom: 16,
+  },
+  // Field label
+  fieldLabel: {
+    fontSize: 12,
+    color: '#8B8B8B',
+    textTransform: 'uppercase',
+  },
+  // Field value
+  fieldValue: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1A1A2E',
+    marginTop: 2,
+  },
+  // Seat number, printed larger
+  fieldValueLarge: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+  },
+  // Gate closing note
+  gateNote: {
+    fontSize: 13,
+    color: '#666666',
+    borderTopWidth: 1,
+    borderTopColor: '#F0F0F0',
+    paddingTop: 12,
+  },
+  // Barcode below the pass details
+  barcodeContainer: {
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  // Offline or saved info row
+  offlineInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    marginBottom: 12,
+  },
+  // Offline or saved info text
+  offlineText: {
+    fontSize: 13,
+    color: '#666666',
+  },
+  // Export as PDF button
+  exportButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 8,
+    borderWidth: 1,
+    borderColor: '#A68F65',
+    borderRadius: 8,
+    paddingVertical: 14,
+    marginBottom: 24,
+  },
+  // Export button while exporting
+  exportButtonDisabled: {
+    opacity: 0.6,
+  },
+  // Export button text
+  exportButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#A68F65',
+  },
+});
@@ -14,14 +14,17 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { StatusBar } from 'expo-status-bar';
 import { router, useLocalSearchParams } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
-import { bookingsAPI, getAuthToken } from '../utils/api';
+import { bookingsAPI, isSessionExpiredError } from '../../utils/api';
+import { formatCompactDateTime } from '../../utils/datetime';
+import { syncTripAlerts } from '../../utils/tripAlerts';
+import { getItineraryBookings, getItineraryReference } from '../../utils/bookingGroups';
 
 /**
  * CancelBookingScreen Component - Gulf Air App Booking Cancellation
  * 
  * This component provides a dedicated page for cancelling bookings with:
  * - Gulf Air branding and consistent header
- * - Booking details display
+ * - Booking details display, with every flight and passenger of the itinerary
  * - Cancellation reason input
  * - Confirmation and refund information
  * - Proper navigation back to trips
@@ -37,8 +40,14 @@ export default function CancelBookingScreen() {
   const [isLoading, setIsLoading] = useState(true);
   const [isCancelling, setIsCancelling] = useState(false);
   const [refundReason, setRefundReason] = useState('');
+  const [userBookings, setUserBookings] = useState([]); // All the user's bookings, for the rest of the itinerary
+
+  // Every passenger and flight under the itinerary reference is cancelled together
+  const itineraryBookings = getItineraryBookings(booking, userBookings);
+  const refundTotal = itineraryBookings.reduce((total, itineraryBooking) => total + (itineraryBooking.total_price || 0), 0);
 
   // Load booking details on component mount
+  // Authentication is handled by the guard in app/(protected)/_layout.jsx
   useEffect(() => {
     if (bookingId) {
       loadBookingDetails();
@@ -50,30 +59,30 @@ export default function CancelBookingScreen() {
 
   /**
    * Load Booking Details
-   * Fetches detailed booking information from the backend
+   * Fetches detailed booking information from the backend, with the user's
+   * other bookings to find the rest of the itinerary
    */
   const loadBookingDetails = async () => {
     try {
       setIsLoading(true);
       console.log('Loading booking details for ID:', bookingId);
       
-      const token = getAuthToken();
-      if (!token) {
-        Alert.alert('Authentication Required', 'Please log in to manage your booking.');
-        router.replace('/login');
-        return;
-      }
-
       // Convert bookingId to number if it's a string
       const numericBookingId = parseInt(bookingId);
       console.log('Numeric booking ID:', numericBookingId);
       
-      const response = await bookingsAPI.getBooking(numericBookingId);
+      const [response, bookings] = await Promise.all([
+        bookingsAPI.getBooking(numericBookingId),
+        bookingsAPI.getBookings(),
+      ]);
       console.log('Booking response:', response);
       
       setBooking(response);
+      setUserBookings(bookings);
     } catch (error) {
       console.error('Error loading booking details:', error);
+      // The 401 handler is already redirecting to login
+      if (isSessionExpiredError(error)) return;
       Alert.alert('Error', `Failed to load booking details: ${error.message || 'Unknown error'}`);
       router.back();
     } finally {
@@ -81,9 +90,18 @@ export default function CancelBookingScreen() {
     }
   };
 
+  /**
+   * Describe Itinerary Booking
+   * Passenger and flight of one booking of the itinerary
+   */
+  const describeItineraryBooking = (itineraryBooking) => (
+    `${itineraryBooking.passenger_name} • ${itineraryBooking.flight?.flight_number || 'Flight'} • ${formatCompactDateTime(itineraryBooking.flight?.departure_time, itineraryBooking.flight?.departure_airport)}`
+  );
+
   /**
    * Handle Cancel Booking
-   * Processes booking cancellation with refund request
+   * Cancels every booking of the itinerary with a refund request. Bookings
+   * that could not be cancelled are listed so the user can try again.
    */
   const handleCancelBooking = async () => {
     // Check if booking is already cancelled
@@ -99,7 +117,26 @@ export default function CancelBookingScreen() {
     try {
       setIsCancelling(true);
       
-      await bookingsAPI.cancelBooking(booking.id);
+      const results = await Promise.allSettled(
+        itineraryBookings.map((itineraryBooking) => bookingsAPI.cancelBooking(itineraryBooking.id))
+      );
+      syncTripAlerts();
+
+      // A booking cancelled in the meantime needs no second attempt
+      const errors = results
+        .filter((result) => result.status === 'rejected' && !String(result.reason?.message || '').includes('already cancelled'))
+        .map((result) => result.reason);
+      if (errors.length > 0 && errors.length === results.length) throw errors[0];
+      if (errors.length > 0) {
+        if (errors.some(isSessionExpiredError)) return;
+        const notCancelled = itineraryBookings.filter((itineraryBooking, index) => errors.includes(results[index].reason));
+        Alert.alert(
+          'Cancellation Incomplete',
+          `These bookings could not be cancelled:\n${notCancelled.map(describeItineraryBooking).join('\n')}\n\nPlease try again.`,
+          [{ text: 'OK', onPress: loadBookingDetails }]
+        );
+        return;
+      }
       
       Alert.alert(
         'Booking Cancelled',
@@ -113,6 +150,7 @@ export default function CancelBookingScreen() {
       );
     } catch (error) {
       console.error('Error cancelling booking:', error);
+      if (isSessionExpiredError(error)) return;
       
       // Handle specific error messages
       let errorMessage = 'Failed to cancel booking. Please try again.';
@@ -135,44 +173,6 @@ export default function CancelBookingScreen() {
     }
   };
 
-  /**
-   * Format Compact Date and Time
-   * Creates a clean, compact date and time display
-   */
-  const formatCompactDateTime = (dateString) => {
-    if (!dateString) return 'N/A';
-    
-    try {
-      // Normalize string: trim microseconds to milliseconds if present
-      let input = dateString;
-      if (!(dateString instanceof Date)) {
-        input = String(dateString).replace(/\.(\d{3})\d+$/, '.$1');
-        if (/^\d{4}-\d{2}-\d{2}$/.test(input)) {
-          input = `${input}T12:00:00`;
-        }
-      }
-      const date = dateString instanceof Date ? dateString : new Date(input);
-
-      if (isNaN(date.getTime())) {
-        console.warn('Invalid date in formatCompactDateTime:', dateString);
-        return 'N/A';
-      }
-
-      const day = date.toLocaleDateString('en-US', { day: 'numeric' });
-      const month = date.toLocaleDateString('en-US', { month: 'short' });
-      const time = date.toLocaleTimeString('en-US', {
-        hour: '2-digit',
-        minute: '2-digit',
-        hour12: true
-      });
-      
-      return `${day} ${month} • ${time}`;
-    } catch (error) {
-      console.error('Error formatting compact date time:', dateString, error);
-      return 'N/A';
-    }
-  };
-
   // Debug logging
   console.log('Cancel booking render - isLoading:', isLoading, 'booking:', booking, 'bookingId:', bookingId);
 
@@ -212,7 +212,7 @@ export default function CancelBookingScreen() {
       <View style={styles.header}>
         <View style={styles.logoContainer}>
           <Image
-            source={require('../assets/images/header.png')}
+            source={require('../../assets/images/header.png')}
             style={styles.headerLogo}
             resizeMode="contain"
           />
@@ -229,7 +229,7 @@ export default function CancelBookingScreen() {
         {/* Page Title */}
         <View style={styles.titleContainer}>
           <Text style={styles.pageTitle}>Cancel Booking</Text>
-          <Text style={styles.bookingRef}>Reference: {booking.booking_reference}</Text>
+          <Text style={styles.bookingRef}>Reference: {getItineraryReference(booking)}</Text>
         </View>
 
         {/* Warning Card */}
@@ -241,6 +241,16 @@ export default function CancelBookingScreen() {
           <Text style={styles.warningText}>
             Cancelling this booking will remove it from your trips and process a refund within 5-7 business days. This action cannot be undone.
           </Text>
+          {itineraryBookings.length > 1 && (
+            <Text style={[styles.warningText, styles.itineraryNote]}>
+              Every flight and passenger under reference {getItineraryReference(booking)} is cancelled together:
+            </Text>
+          )}
+          {itineraryBookings.length > 1 && itineraryBookings.map((itineraryBooking) => (
+            <Text key={itineraryBooking.id} style={styles.warningText}>
+              • {describeItineraryBooking(itineraryBooking)}
+            </Text>
+          ))}
         </View>
 
         {/* Flight Details Card */}
@@ -268,13 +278,13 @@ export default function CancelBookingScreen() {
               <View style={styles.detailRow}>
                 <Text style={styles.detailLabel}>Departure:</Text>
                 <Text style={styles.detailValue}>
-                  {formatCompactDateTime(booking.flight?.departure_time)}
+                  {formatCompactDateTime(booking.flight?.departure_time, booking.flight?.departure_airport)}
                 </Text>
               </View>
               <View style={styles.detailRow}>
                 <Text style={styles.detailLabel}>Arrival:</Text>
                 <Text style={styles.detailValue}>
-                  {formatCompactDateTime(booking.flight?.arrival_time)}
+                  {formatCompactDateTime(booking.flight?.arrival_time, booking.flight?.arrival_airport)}
                 </Text>
               </View>
               <View style={styles.detailRow}>
@@ -312,7 +322,7 @@ export default function CancelBookingScreen() {
             <Text style={styles.refundTitle}>Refund Information</Text>
           </View>
           <Text style={styles.refundText}>
-            • Refund amount: BHD {booking.total_price?.toFixed(3)}
+            • Refund amount: BHD {refundTotal.toFixed(3)}
           </Text>
           <Text style={styles.refundText}>
             • Processing time: 5-7 business days
@@ -474,6 +484,10 @@ const styles = StyleSheet.create({
     color: '#E65100',
     lineHeight: 20,
   },
+  // Intro to the flights and passengers cancelled together
+  itineraryNote: {
+    marginTop: 8,
+  },
   // Details card styling
   detailsCard: {
     backgroundColor: '#F8F9FA',
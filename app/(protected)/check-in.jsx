@@ -0,0 +1,1022 @@
+// Import React hooks and components for the online check-in wizard
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  TextInput,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { StatusBar } from 'expo-status-bar';
+import { router, useLocalSearchParams } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { bookingsAPI, flightsAPI, isSessionExpiredError, isSeatConflictError } from '../../utils/api';
+import {
+  DANGEROUS_GOODS,
+  canCheckIn,
+  getCheckInMessage,
+  findBookingsForCheckIn,
+  canBookingSitInExitRow,
+  getCheckInSeatChangeBlock,
+  parsePassportExpiry,
+  validatePassportDetails,
+  describeCheckInRewards,
+} from '../../utils/checkIn';
+import { SEAT_ATTRIBUTES, findSeat } from '../../utils/aircraftConfigs';
+import { getAirportCity } from '../../utils/airports';
+import { getFareBrand } from '../../utils/fareBrands';
+import { getItineraryReference, getSeatLabel, isLapInfant } from '../../utils/bookingGroups';
+import { formatCompactDateTime } from '../../utils/datetime';
+import { syncTripAlerts } from '../../utils/tripAlerts';
+import SeatMap from '../../components/SeatMap';
+
+// Wizard steps in order
+const STEPS = [
+  { key: 'passport', label: 'Passport' },
+  { key: 'dangerous_goods', label: 'Safety' },
+  { key: 'seat', label: 'Seat' },
+  { key: 'review', label: 'Confirm' },
+];
+
+/**
+ * CheckInScreen Component - Gulf Air Online Check-in
+ *
+ * Walks a passenger through online check-in and ends on their boarding pass.
+ * Opened from My Trips with a bookingId, or from the menu where the booking
+ * is found by booking reference and surname among the signed-in user's bookings.
+ *
+ * Steps:
+ * - Confirm passport details
+ * - Dangerous goods declaration
+ * - Keep or change the seat (not for infants, who travel on a lap)
+ * - Review and check in
+ *
+ * @returns {JSX.Element} The check-in wizard
+ */
+export default function CheckInScreen() {
+  // Get booking ID from navigation parameters (My Trips)
+  const { bookingId } = useLocalSearchParams();
+
+  // Booking being checked in
+  const [booking, setBooking] = useState(null);
+  const [isLoading, setIsLoading] = useState(!!bookingId);
+  const [userBookings, setUserBookings] = useState([]); // All the user's bookings, to find a lap infant
+
+  // Booking lookup by reference and surname
+  const [lookupReference, setLookupReference] = useState('');
+  const [lookupSurname, setLookupSurname] = useState('');
+  const [lookupMatches, setLookupMatches] = useState([]); // Passengers matching the itinerary reference
+  const [isLookingUp, setIsLookingUp] = useState(false);
+
+  // Wizard state
+  const [stepIndex, setStepIndex] = useState(0);
+  const [passportDetails, setPassportDetails] = useState({ passportNumber: '', nationality: '', passportExpiry: '' });
+  const [hasDeclaredNoDangerousGoods, setHasDeclaredNoDangerousGoods] = useState(false);
+  const [isChangingSeat, setIsChangingSeat] = useState(false);
+  const [newSeatNumber, setNewSeatNumber] = useState(null);
+  const [seatMap, setSeatMap] = useState({}); // { occupied, blocked, isLoading, error }
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Infants travel on an adult's lap, so they have no seat to keep or change
+  const steps = isLapInfant(booking) ? STEPS.filter((entry) => entry.key !== 'seat') : STEPS;
+  const step = steps[stepIndex];
+  const flight = booking?.flight;
+
+  // Children and adults with an infant on their lap can't sit in an exit row
+  const canSitInExitRow = canBookingSitInExitRow(booking, userBookings);
+  // Why the seat can't be changed here (fare rules, a lap infant), or null
+  const seatChangeBlock = booking ? getCheckInSeatChangeBlock(booking, getFareBrand(booking.fare_brand), userBookings) : null;
+
+  // Load the booking passed in from My Trips
+  // Authentication is handled by the guard in app/(protected)/_layout.jsx
+  useEffect(() => {
+    if (bookingId) {
+      loadBooking(bookingId);
+    }
+  }, [bookingId]);
+
+  /**
+   * Load Booking
+   * Fetches the booking to check in from the backend, with the user's other
+   * bookings
+   */
+  const loadBooking = async (id) => {
+    try {
+      setIsLoading(true);
+      const [response, bookings] = await Promise.all([
+        bookingsAPI.getBooking(parseInt(id)),
+        bookingsAPI.getBookings(),
+      ]);
+      setUserBookings(bookings);
+      startCheckIn(response);
+    } catch (error) {
+      console.error('Error loading booking for check-in:', error);
+      if (isSessionExpiredError(error)) return;
+      Alert.alert('Error', `Failed to load booking: ${error.message || 'Unknown error'}`);
+      router.back();
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Start Check-in
+   * Shows the boarding pass of a checked-in booking, otherwise starts the wizard
+   */
+  const startCheckIn = (selectedBooking) => {
+    if (selectedBooking.booking_status === 'checked_in') {
+      router.replace(`/boarding-pass?bookingId=${selectedBooking.id}`);
+      return;
+    }
+    setBooking(selectedBooking);
+    setLookupMatches([]);
+    setStepIndex(0);
+    setPassportDetails({
+      passportNumber: selectedBooking.passport_number || '',
+      nationality: '',
+      passportExpiry: '',
+    });
+    setHasDeclaredNoDangerousGoods(false);
+    setIsChangingSeat(false);
+    setNewSeatNumber(null);
+  };
+
+  /**
+   * Handle Find Booking
+   * Looks the booking up by reference and surname among the user's bookings.
+   * The backend has no lookup for other accounts' bookings, which the form says.
+   */
+  const handleFindBooking = async () => {
+    if (!lookupReference.trim() || !lookupSurname.trim()) {
+      Alert.alert('Error', 'Please enter your booking reference and surname.');
+      return;
+    }
+
+    try {
+      setIsLookingUp(true);
+      const bookings = await bookingsAPI.getBookings();
+      setUserBookings(bookings);
+      const matches = findBookingsForCheckIn(bookings, lookupReference, lookupSurname)
+        .filter((match) => match.booking_status !== 'cancelled');
+
+      if (matches.length === 0) {
+        Alert.alert(
+          'Booking Not Found',
+          'We couldn\'t find an active booking with that reference and surname on your account. Please check the details and try again.'
+        );
+      } else if (matches.length === 1) {
+        startCheckIn(matches[0]);
+      } else {
+        setLookupMatches(matches);
+      }
+    } catch (error) {
+      console.error('Booking lookup error:', error);
+      if (isSessionExpiredError(error)) return;
+      Alert.alert('Error', error.message || 'Could not look up your booking. Please try again.');
+    } finally {
+      setIsLookingUp(false);
+    }
+  };
+
+  /**
+   * Load Seat Map
+   * Fetches the occupied and blocked seats of the booked flight
+   */
+  const loadSeatMap = async () => {
+    setSeatMap({ occupied: [], blocked: [], isLoading: true, error: null });
+    try {
+      const response = await flightsAPI.getSeatMap(flight.id, booking.seat_class);
+      setSeatMap({
+        occupied: response.occupied_seats || [],
+        blocked: response.blocked_seats || [],
+        isLoading: false,
+        error: null,
+      });
+    } catch (error) {
+      console.error('Error loading seat map:', error);
+      setSeatMap({
+        occupied: [],
+        blocked: [],
+        isLoading: false,
+        error: error.message || 'Could not load seats',
+      });
+    }
+  };
+
+  /**
+   * Handle Change Seat
+   * Opens the seat map, or closes it and keeps the booked seat
+   */
+  const handleChangeSeat = () => {
+    if (isChangingSeat) {
+      setIsChangingSeat(false);
+      setNewSeatNumber(null);
+      return;
+    }
+    setIsChangingSeat(true);
+    loadSeatMap();
+  };
+
+  /**
+   * Handle Select Seat
+   * Picks a new seat; children and adults with an infant on their lap can't
+   * sit in an exit row. The seat change is free, so paid seats can't be picked.
+   */
+  const handleSelectSeat = (seat) => {
+    if (seat.surcharge > 0 && seat.id !== booking.seat_number) {
+      Alert.alert('Paid Seat', `Seat ${seat.id} has a BHD ${seat.surcharge.toFixed(3)} surcharge. Seats with a surcharge can't be chosen during check-in. Please choose another seat.`);
+      return;
+    }
+    if (seat.attributes.includes('exit_row') && !canSitInExitRow) {
+      Alert.alert('Exit Row Not Allowed', 'Children and adults travelling with an infant can\'t sit in an exit row. Please choose another seat.');
+      return;
+    }
+    setNewSeatNumber(seat.id === booking.seat_number ? null : seat.id);
+  };
+
+  /**
+   * Describe Seat
+   * Seat number with its attributes and surcharge
+   */
+  const describeSeat = (seatNumber) => {
+    const seat = findSeat(flight?.aircraft_type, booking?.seat_class, seatNumber);
+    if (!seat) return `Seat ${seatNumber}`;
+    const labels = seat.attributes.map((attribute) => SEAT_ATTRIBUTES[attribute].label);
+    const surcharge = seat.surcharge > 0 ? ` • +BHD ${seat.surcharge.toFixed(3)}` : '';
+    return `Seat ${seat.id}${labels.length > 0 ? ` • ${labels.join(', ')}` : ''}${surcharge}`;
+  };
+
+  /**
+   * Handle Dangerous Goods
+   * Passengers carrying restricted items have to check in at the airport
+   */
+  const handleCarryingDangerousGoods = () => {
+    Alert.alert(
+      'Check In at the Airport',
+      'Passengers carrying any of these items can\'t check in online. Please check in at the airport so our staff can help you.',
+      [{ text: 'OK', onPress: () => router.back() }]
+    );
+  };
+
+  /**
+   * Handle Next Step
+   * Validates the current step before moving on
+   */
+  const handleNext = () => {
+    if (step.key === 'passport') {
+      const error = validatePassportDetails(passportDetails, flight);
+      if (error) {
+        Alert.alert('Passport Details', error);
+        return;
+      }
+    }
+    if (step.key === 'dangerous_goods' && !hasDeclaredNoDangerousGoods) {
+      Alert.alert('Dangerous Goods', 'Please confirm that you are not carrying any of the listed items.');
+      return;
+    }
+    setStepIndex(stepIndex + 1);
+  };
+
+  /**
+   * Handle Back
+   * Goes to the previous step, or leaves the wizard from the first one
+   */
+  const handleBack = () => {
+    if (booking && stepIndex > 0) {
+      setStepIndex(stepIndex - 1);
+      return;
+    }
+    router.back();
+  };
+
+  /**
+   * Handle Check In
+   * A seat change reissues the booking under a new reference, so the
+   * passenger confirms it before checking in. The new booking keeps the
+   * itinerary reference.
+   */
+  const handleCheckIn = () => {
+    if (!newSeatNumber) {
+      submitCheckIn();
+      return;
+    }
+    Alert.alert(
+      'Change Seat',
+      `Moving to seat ${newSeatNumber} reissues your booking under a new booking reference, which replaces ${booking.booking_reference}. It stays part of itinerary ${getItineraryReference(booking)}. The seat has no surcharge, so there is no fee and your fare stays the same.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Change Seat and Check In', onPress: submitCheckIn },
+      ]
+    );
+  };
+
+  /**
+   * Submit Check In
+   * Moves the passenger to the new seat if they chose one, checks them in and
+   * opens the boarding pass
+   */
+  const submitCheckIn = async () => {
+    let referenceNote = null; // New booking reference after a seat change
+    try {
+      setIsSubmitting(true);
+
+      // A seat change gives the booking a new id. Keep the new booking right
+      // away, so retrying after a failed check-in doesn't move the seat again.
+      let checkInBookingId = booking.id;
+      if (newSeatNumber) {
+        const response = await bookingsAPI.changeSeat(booking, newSeatNumber);
+        const newBooking = response?.new_booking;
+        if (newBooking?.id) {
+          checkInBookingId = newBooking.id;
+          setBooking({ ...newBooking, flight: newBooking.flight || booking.flight });
+          referenceNote = `You are now in seat ${newSeatNumber}. Your new booking reference is ${newBooking.booking_reference}.`;
+        }
+        setNewSeatNumber(null);
+      }
+
+      const response = await bookingsAPI.checkIn(checkInBookingId, {
+        passport_number: passportDetails.passportNumber.trim().toUpperCase(),
+        passport_expiry: parsePassportExpiry(passportDetails.passportExpiry),
+        nationality: passportDetails.nationality.trim(),
+        dangerous_goods_declared: false,
+      });
+
+      router.replace(`/boarding-pass?bookingId=${checkInBookingId}`);
+      syncTripAlerts();
+
+      // Show success message with loyalty rewards
+      const rewards = describeCheckInRewards(response?.data);
+      if (rewards) {
+        Alert.alert(rewards.title, referenceNote ? `${referenceNote}\n\n${rewards.message}` : rewards.message, [
+          { text: 'View Falconflyer', onPress: () => router.push('/falcon-flyer') },
+          { text: 'OK', style: 'default' },
+        ]);
+      } else if (referenceNote) {
+        Alert.alert('Booking Reference Changed', referenceNote);
+      }
+    } catch (error) {
+      console.error('Check-in error:', error);
+      if (isSessionExpiredError(error)) return;
+      // The seat was taken while the passenger was checking in
+      if (isSeatConflictError(error)) {
+        setNewSeatNumber(null);
+        setStepIndex(steps.findIndex((entry) => entry.key === 'seat'));
+        loadSeatMap();
+        Alert.alert('Seat No Longer Available', `${error.message}\n\nThe seat map has been updated. Please choose another seat.`);
+        return;
+      }
+      const message = error.message || 'Check-in failed. Please try again.';
+      Alert.alert('Error', referenceNote ? `${referenceNote}\n\n${message}` : message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Render Lookup
+   * Booking reference and surname form, then the passengers of the itinerary
+   */
+  const renderLookup = () => (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>Find your booking</Text>
+      <Text style={styles.cardText}>
+        Online check-in opens 24 hours before departure.
+      </Text>
+      <Text style={styles.cardText}>
+        Only bookings made with the account you are signed in with can be found here. For a booking made on
+        another account, sign in with that account or check in at the airport.
+      </Text>
+
+      <Text style={styles.inputLabel}>Booking reference</Text>
+      <TextInput
+        style={styles.input}
+        value={lookupReference}
+        onChangeText={(text) => {
+          setLookupReference(text.toUpperCase());
+          setLookupMatches([]);
+        }}
+        placeholder="e.g. GF12AB34"
+        autoCapitalize="characters"
+        autoCorrect={false}
+      />
+
+      <Text style={styles.inputLabel}>Surname</Text>
+      <TextInput
+        style={styles.input}
+        value={lookupSurname}
+        onChangeText={(text) => {
+          setLookupSurname(text);
+          setLookupMatches([]);
+        }}
+        placeholder="As on your booking"
+        autoCapitalize="words"
+        autoCorrect={false}
+      />
+
+      {lookupMatches.length > 0 ? (
+        <View style={styles.matchList}>
+          <Text style={styles.cardText}>Several passengers match. Who is checking in?</Text>
+          {lookupMatches.map((match) => (
+            <TouchableOpacity key={match.id} style={styles.matchItem} onPress={() => startCheckIn(match)}>
+              <View>
+                <Text style={styles.matchName}>{match.passenger_name}</Text>
+                <Text style={styles.matchDetails}>
+                  {match.flight?.flight_number} • {getSeatLabel(match)}
+                </Text>
+              </View>
+              <Ionicons name="chevron-forward" size={20} color="#8B8B8B" />
+            </TouchableOpacity>
+          ))}
+        </View>
+      ) : (
+        <TouchableOpacity
+          style={[styles.primaryButton, isLookingUp && styles.primaryButtonDisabled]}
+          onPress={handleFindBooking}
+          disabled={isLookingUp}
+        >
+          {isLookingUp ? (
+            <ActivityIndicator color="#FFFFFF" />
+          ) : (
+            <Text style={styles.primaryButtonText}>Find Booking</Text>
+          )}
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  /**
+   * Render Flight Summary
+   * Route, flight and passenger shown above every step
+   */
+  const renderFlightSummary = () => (
+    <View style={styles.flightSummary}>
+      <Text style={styles.flightRoute}>
+        {getAirportCity(flight?.departure_airport)} → {getAirportCity(flight?.arrival_airport)}
+      </Text>
+      <Text style={styles.flightDetails}>
+        {flight?.flight_number} • {formatCompactDateTime(flight?.departure_time, flight?.departure_airport)}
+      </Text>
+      <Text style={styles.flightDetails}>
+        {booking.passenger_name} • Ref {getItineraryReference(booking)}
+      </Text>
+    </View>
+  );
+
+  /**
+   * Render Step Indicator
+   */
+  const renderStepIndicator = () => (
+    <View style={styles.stepIndicator}>
+      {steps.map((entry, index) => (
+        <View key={entry.key} style={styles.stepItem}>
+          <View style={[
+            styles.stepDot,
+            index < stepIndex && styles.stepDotDone,
+            index === stepIndex && styles.stepDotActive,
+          ]}>
+            {index < stepIndex ? (
+              <Ionicons name="checkmark" size={14} color="#FFFFFF" />
+            ) : (
+              <Text style={[styles.stepNumber, index === stepIndex && styles.stepNumberActive]}>{index + 1}</Text>
+            )}
+          </View>
+          <Text style={[styles.stepLabel, index === stepIndex && styles.stepLabelActive]}>{entry.label}</Text>
+        </View>
+      ))}
+    </View>
+  );
+
+  /**
+   * Render Passport Step
+   */
+  const renderPassportStep = () => (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>Confirm your passport details</Text>
+      <Text style={styles.cardText}>
+        Enter the details of the passport you are travelling with. The name must match {booking.passenger_name}.
+      </Text>
+
+      <Text style={styles.inputLabel}>Passport number</Text>
+      <TextInput
+        style={styles.input}
+        value={passportDetails.passportNumber}
+        onChangeText={(text) => setPassportDetails({ ...passportDetails, passportNumber: text.toUpperCase() })}
+        placeholder="e.g. A1234567"
+        autoCapitalize="characters"
+        autoCorrect={false}
+      />
+
+      <Text style={styles.inputLabel}>Nationality</Text>
+      <TextInput
+        style={styles.input}
+        value={passportDetails.nationality}
+        onChangeText={(text) => setPassportDetails({ ...passportDetails, nationality: text })}
+        placeholder="e.g. Bahraini"
+        autoCapitalize="words"
+      />
+
+      <Text style={styles.inputLabel}>Expiry date</Text>
+      <TextInput
+        style={styles.input}
+        value={passportDetails.passportExpiry}
+        onChangeText={(text) => setPassportDetails({ ...passportDetails, passportExpiry: text })}
+        placeholder="DD/MM/YYYY"
+        keyboardType="numbers-and-punctuation"
+      />
+      <Text style={styles.inputHint}>
+        Some countries require your passport to be valid for 6 months after arrival.
+      </Text>
+    </View>
+  );
+
+  /**
+   * Render Dangerous Goods Step
+   */
+  const renderDangerousGoodsStep = () => (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>Dangerous goods declaration</Text>
+      <Text style={styles.cardText}>
+        For everyone&apos;s safety, these items can&apos;t be carried in your cabin or checked baggage:
+      </Text>
+
+      {DANGEROUS_GOODS.map((item) => (
+        <View key={item.key} style={styles.goodsItem}>
+          <Ionicons name={item.icon} size={20} color="#D32F2F" />
+          <Text style={styles.goodsText}>{item.label}</Text>
+        </View>
+      ))}
+
+      <TouchableOpacity
+        style={styles.declarationRow}
+        onPress={() => setHasDeclaredNoDangerousGoods(!hasDeclaredNoDangerousGoods)}
+      >
+        <Ionicons
+          name={hasDeclaredNoDangerousGoods ? 'checkbox' : 'square-outline'}
+          size={24}
+          color="#A68F65"
+        />
+        <Text style={styles.declarationText}>
+          I confirm that I am not carrying any of these items in my cabin or checked baggage.
+        </Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity onPress={handleCarryingDangerousGoods}>
+        <Text style={styles.linkText}>I am carrying one of these items</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  /**
+   * Render Seat Step
+   */
+  const renderSeatStep = () => (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>Your seat</Text>
+      <Text style={styles.seatText}>{describeSeat(newSeatNumber || booking.seat_number)}</Text>
+      {newSeatNumber && (
+        <Text style={styles.cardText}>Changed from seat {booking.seat_number}</Text>
+      )}
+
+      {seatChangeBlock ? (
+        <Text style={styles.cardText}>{seatChangeBlock}</Text>
+      ) : (
+        <TouchableOpacity style={styles.secondaryButton} onPress={handleChangeSeat}>
+          <Text style={styles.secondaryButtonText}>
+            {isChangingSeat ? `Keep seat ${booking.seat_number}` : 'Change seat'}
+          </Text>
+        </TouchableOpacity>
+      )}
+
+      {isChangingSeat && !seatChangeBlock && (
+        <SeatMap
+          aircraftType={flight?.aircraft_type}
+          seatClass={booking.seat_class}
+          seatMap={seatMap}
+          selectedSeatIds={[newSeatNumber || booking.seat_number]}
+          onSelectSeat={handleSelectSeat}
+          onRetry={loadSeatMap}
+          note="Seat changes during check-in are free, so seats with a surcharge can't be chosen."
+        />
+      )}
+    </View>
+  );
+
+  /**
+   * Render Review Step
+   */
+  const renderReviewStep = () => (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>Review and check in</Text>
+      <View style={styles.detailRow}>
+        <Text style={styles.detailLabel}>Passenger:</Text>
+        <Text style={styles.detailValue}>{booking.passenger_name}</Text>
+      </View>
+      <View style={styles.detailRow}>
+        <Text style={styles.detailLabel}>Passport:</Text>
+        <Text style={styles.detailValue}>
+          {passportDetails.passportNumber} • {passportDetails.nationality}
+        </Text>
+      </View>
+      <View style={styles.detailRow}>
+        <Text style={styles.detailLabel}>Passport expiry:</Text>
+        <Text style={styles.detailValue}>{passportDetails.passportExpiry}</Text>
+      </View>
+      <View style={styles.detailRow}>
+        <Text style={styles.detailLabel}>Dangerous goods:</Text>
+        <Text style={styles.detailValue}>None declared</Text>
+      </View>
+      <View style={styles.detailRow}>
+        <Text style={styles.detailLabel}>Seat:</Text>
+        <Text style={styles.detailValue}>{isLapInfant(booking) ? 'Lap' : newSeatNumber || booking.seat_number}</Text>
+      </View>
+    </View>
+  );
+
+  /**
+   * Render Not Open
+   * Shown when the booking can't be checked in online now
+   */
+  const renderNotOpen = () => (
+    <View style={styles.card}>
+      <Ionicons name="time-outline" size={40} color="#A68F65" style={styles.notOpenIcon} />
+      <Text style={styles.cardTitle}>Online check-in isn&apos;t available</Text>
+      <Text style={styles.cardText}>{getCheckInMessage(flight?.departure_time, booking.booking_status)}</Text>
+      <TouchableOpacity style={styles.secondaryButton} onPress={() => router.back()}>
+        <Text style={styles.secondaryButtonText}>Go Back</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  /**
+   * Render Content
+   * Lookup form, the current step, or why check-in isn't open
+   */
+  const renderContent = () => {
+    if (isLoading) {
+      return (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#A68F65" />
+          <Text style={styles.loadingText}>Loading your booking...</Text>
+        </View>
+      );
+    }
+    if (!booking) return renderLookup();
+    if (!canCheckIn(flight?.departure_time, booking.booking_status)) {
+      return (
+        <>
+          {renderFlightSummary()}
+          {renderNotOpen()}
+        </>
+      );
+    }
+
+    return (
+      <>
+        {renderFlightSummary()}
+        {renderStepIndicator()}
+        {step.key === 'passport' && renderPassportStep()}
+        {step.key === 'dangerous_goods' && renderDangerousGoodsStep()}
+        {step.key === 'seat' && renderSeatStep()}
+        {step.key === 'review' && renderReviewStep()}
+
+        {step.key === 'review' ? (
+          <TouchableOpacity
+            style={[styles.primaryButton, isSubmitting && styles.primaryButtonDisabled]}
+            onPress={handleCheckIn}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator color="#FFFFFF" />
+            ) : (
+              <Text style={styles.primaryButtonText}>Check In</Text>
+            )}
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity style={styles.primaryButton} onPress={handleNext}>
+            <Text style={styles.primaryButtonText}>Continue</Text>
+          </TouchableOpacity>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Set status bar to light content for gold header */}
+      <StatusBar style="light" />
+
+      {/* Header Section */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={handleBack}>
+          <Ionicons name="arrow-back" size={24} color="#FFFFFF" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>CHECK IN</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView style={styles.scrollContainer} keyboardShouldPersistTaps="handled">
+        {renderContent()}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+// StyleSheet for the check-in wizard
+const styles = StyleSheet.create({
+  // Main container with light background
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F8F8',
+  },
+  // Header section with gold background
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: '#A68F65',
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+  },
+  // Back button styling
+  backButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  // Header title styling
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  // Header spacer for centering
+  headerSpacer: {
+    width: 32,
+  },
+  // Scroll container
+  scrollContainer: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  // Loading container
+  loadingContainer: {
+    alignItems: 'center',
+    paddingVertical: 60,
+  },
+  // Loading text
+  loadingText: {
+    fontSize: 16,
+    color: '#666666',
+    marginTop: 12,
+  },
+  // Flight summary above the steps
+  flightSummary: {
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  // Route of the flight
+  flightRoute: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+  },
+  // Flight and passenger details
+  flightDetails: {
+    fontSize: 14,
+    color: '#666666',
+    marginTop: 4,
+  },
+  // Step indicator row
+  stepIndicator: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginVertical: 16,
+  },
+  // One step of the indicator
+  stepItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  // Step number circle
+  stepDot: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    borderWidth: 2,
+    borderColor: '#E0E0E0',
+    backgroundColor: '#FFFFFF',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  // Current step circle
+  stepDotActive: {
+    borderColor: '#A68F65',
+  },
+  // Completed step circle
+  stepDotDone: {
+    borderColor: '#A68F65',
+    backgroundColor: '#A68F65',
+  },
+  // Step number
+  stepNumber: {
+    fontSize: 13,
+    color: '#8B8B8B',
+  },
+  // Current step number
+  stepNumberActive: {
+    color: '#A68F65',
+    fontWeight: 'bold',
+  },
+  // Step label
+  stepLabel: {
+    fontSize: 12,
+    color: '#8B8B8B',
+    marginTop: 4,
+  },
+  // Current step label
+  stepLabelActive: {
+    color: '#1A1A2E',
+    fontWeight: '600',
+  },
+  // Step card
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  // Step card title
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+    marginBottom: 8,
+  },
+  // Step card text
+  cardText: {
+    fontSize: 14,
+    color: '#666666',
+    marginBottom: 8,
+  },
+  // Text input label
+  inputLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1A1A2E',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  // Text input
+  input: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1A1A2E',
+  },
+  // Hint under a text input
+  inputHint: {
+    fontSize: 12,
+    color: '#8B8B8B',
+    marginTop: 6,
+  },
+  // Passengers matching an itinerary reference
+  matchList: {
+    marginTop: 16,
+  },
+  // Passenger matching a booking reference
+  matchItem: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  // Matching passenger name
+  matchName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1A1A2E',
+  },
+  // Matching passenger flight and seat
+  matchDetails: {
+    fontSize: 13,
+    color: '#666666',
+    marginTop: 2,
+  },
+  // Dangerous goods item row
+  goodsItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 8,
+  },
+  // Dangerous goods item text
+  goodsText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#1A1A2E',
+  },
+  // Declaration checkbox row
+  declarationRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 12,
+    marginTop: 16,
+    marginBottom: 12,
+  },
+  // Declaration text
+  declarationText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#1A1A2E',
+  },
+  // Text link
+  linkText: {
+    fontSize: 14,
+    color: '#A68F65',
+    textDecorationLine: 'underline',
+  },
+  // Current seat description
+  seatText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1A1A2E',
+    marginBottom: 8,
+  },
+  // Review detail row
+  detailRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  // Review detail label
+  detailLabel: {
+    fontSize: 14,
+    color: '#666666',
+  },
+  // Review detail value
+  detailValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1A1A2E',
+    flexShrink: 1,
+    textAlign: 'right',
+  },
+  // Icon of the check-in not open card
+  notOpenIcon: {
+    alignSelf: 'center',
+    marginBottom: 12,
+  },
+  // Primary gold button
+  primaryButton: {
+    backgroundColor: '#A68F65',
+    borderRadius: 8,
+    paddingVertical: 16,
+    alignItems: 'center',
+    marginTop: 8,
+    marginBottom: 24,
+  },
+  // Disabled primary button
+  primaryButtonDisabled: {
+    backgroundColor: '#8B8B8B',
+  },
+  // Primary button text
+  primaryButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  // Outlined secondary button
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: '#A68F65',
+    borderRadius: 8,
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginVertical: 12,
+  },
+  // Secondary button text
+  secondaryButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#A68F65',
+  },
+});
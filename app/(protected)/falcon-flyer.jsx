@@ -1,5 +1,5 @@
 // Import React hooks and components for Falconflyer Dashboard
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import {
   View,
   Text,
@@ -13,7 +13,10 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { StatusBar } from 'expo-status-bar';
 import { router, useFocusEffect } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
-import { loyaltyAPI, getAuthToken } from '../utils/api';
+import { loyaltyAPI, isSessionExpiredError } from '../../utils/api';
+import { useAuth } from '../../context/AuthContext';
+import { CACHE_KEYS, loadWithCache, useRetryWhileStale } from '../../utils/offlineCache';
+import LastUpdated from '../../components/LastUpdated';
 
 /**
  * FalconflyerDashboardScreen Component - Gulf Air Loyalty Program
@@ -31,13 +34,16 @@ export default function FalconflyerDashboardScreen() {
   // State management for loyalty data and UI
   const [loyaltyData, setLoyaltyData] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
-  const [isLoggedIn, setIsLoggedIn] = useState(false);
+  const [cacheStatus, setCacheStatus] = useState({}); // { updatedAt, isStale } of the loyalty data shown
+  // Session state from AuthProvider, reloads when the signed-in user changes.
+  // Authentication itself is handled by the guard in app/(protected)/_layout.jsx
+  const { user } = useAuth();
 
-  // Load loyalty data when component mounts and when page becomes focused
+  // Load loyalty data when the page becomes focused or the session changes
   useFocusEffect(
     React.useCallback(() => {
       loadLoyaltyData();
-    }, [])
+    }, [user])
   );
 
   /**
@@ -46,27 +52,29 @@ export default function FalconflyerDashboardScreen() {
    */
   const loadLoyaltyData = async () => {
     try {
-      setIsLoading(true);
-      
-      const token = getAuthToken();
-      if (!token) {
-        setIsLoggedIn(false);
-        setIsLoading(false);
-        return;
-      }
+      // Keep the dashboard on screen while it refreshes
+      if (!loyaltyData) setIsLoading(true);
 
-      setIsLoggedIn(true);
-      const response = await loyaltyAPI.getLoyaltyData();
-      console.log('Loyalty data loaded:', response);
-      setLoyaltyData(response);
+      // Show the copy cached on the device first, then the backend's
+      await loadWithCache(CACHE_KEYS.loyalty, loyaltyAPI.getLoyaltyData, (response, status) => {
+        console.log('Loyalty data loaded:', response);
+        setLoyaltyData(response);
+        setCacheStatus(status);
+        setIsLoading(false);
+      });
     } catch (error) {
       console.error('Error loading loyalty data:', error);
+      // The 401 handler is already redirecting to login
+      if (isSessionExpiredError(error)) return;
       Alert.alert('Error', 'Failed to load loyalty data. Please try again.');
     } finally {
       setIsLoading(false);
     }
   };
 
+  // Retry while showing cached loyalty data, until the connection is back
+  useRetryWhileStale(cacheStatus.isStale, loadLoyaltyData);
+
   /**
    * Handle Action Button Press
    * Shows placeholder alert for non-functional buttons
@@ -105,46 +113,6 @@ export default function FalconflyerDashboardScreen() {
     return num?.toLocaleString() || '0';
   };
 
-  // Show login prompt if not authenticated
-  if (!isLoggedIn && !isLoading) {
-    return (
-      <SafeAreaView style={styles.container}>
-        <StatusBar style="dark" />
-        
-        {/* Header */}
-        <View style={styles.header}>
-          <View style={styles.logoContainer}>
-            <Image
-              source={require('../assets/images/header.png')}
-              style={styles.headerLogo}
-              resizeMode="contain"
-            />
-          </View>
-          <TouchableOpacity 
-            style={styles.menuButton}
-            onPress={() => router.push('/menu')}
-          >
-            <Ionicons name="menu" size={24} color="#1A1A2E" />
-          </TouchableOpacity>
-        </View>
-
-        <View style={styles.loginPrompt}>
-          <Ionicons name="person-circle-outline" size={80} color="#A68F65" />
-          <Text style={styles.loginTitle}>Sign In Required</Text>
-          <Text style={styles.loginMessage}>
-            Please sign in to view your Falconflyer loyalty program details.
-          </Text>
-          <TouchableOpacity 
-            style={styles.loginButton}
-            onPress={() => router.push('/login')}
-          >
-            <Text style={styles.loginButtonText}>Sign In</Text>
-          </TouchableOpacity>
-        </View>
-      </SafeAreaView>
-    );
-  }
-
   // Show loading state
   if (isLoading) {
     return (
@@ -155,7 +123,7 @@ export default function FalconflyerDashboardScreen() {
         <View style={styles.header}>
           <View style={styles.logoContainer}>
             <Image
-              source={require('../assets/images/header.png')}
+              source={require('../../assets/images/header.png')}
               style={styles.headerLogo}
               resizeMode="contain"
             />
@@ -183,7 +151,7 @@ export default function FalconflyerDashboardScreen() {
       <View style={styles.header}>
         <View style={styles.logoContainer}>
           <Image
-            source={require('../assets/images/header.png')}
+            source={require('../../assets/images/header.png')}
             style={styles.headerLogo}
             resizeMode="contain"
           />
@@ -210,6 +178,7 @@ export default function FalconflyerDashboardScreen() {
           <Text style={styles.userName}>
             {loyaltyData?.first_name ? `Ms. ${loyaltyData.first_name}` : 'Member'}
           </Text>
+          <LastUpdated updatedAt={cacheStatus.updatedAt} isStale={cacheStatus.isStale} />
         </View>
 
         {/* Loyalty Card */}
@@ -218,7 +187,7 @@ export default function FalconflyerDashboardScreen() {
           <View style={styles.cardHeader}>
             <View style={styles.brandSection}>
               <Image
-                source={require('../assets/images/logo.png')}
+                source={require('../../assets/images/logo.png')}
                 style={styles.cardLogo}
                 resizeMode="contain"
               />
@@ -406,38 +375,6 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#666666',
   },
-  // Login prompt styling
-  loginPrompt: {
-    flex: 1,
-    justifyContent: 'center',
-    alignItems: 'center',
-    paddingHorizontal: 32,
-  },
-  loginTitle: {
-    fontSize: 24,
-    fontWeight: 'bold',
-    color: '#1A1A2E',
-    marginTop: 16,
-    marginBottom: 8,
-  },
-  loginMessage: {
-    fontSize: 16,
-    color: '#666666',
-    textAlign: 'center',
-    lineHeight: 24,
-    marginBottom: 32,
-  },
-  loginButton: {
-    backgroundColor: '#A68F65',
-    paddingHorizontal: 32,
-    paddingVertical: 16,
-    borderRadius: 12,
-  },
-  loginButtonText: {
-    color: '#FFFFFF',
-    fontSize: 16,
-    fontWeight: '600',
-  },
   // Welcome section
   welcomeSection: {
     alignItems: 'center',
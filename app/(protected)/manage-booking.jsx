@@ -1,5 +1,5 @@
 // Import React hooks and components for Booking Management functionality
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -15,7 +15,15 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { StatusBar } from 'expo-status-bar';
 import { router, useLocalSearchParams, useFocusEffect } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
-import { bookingsAPI, flightsAPI, getAuthToken } from '../utils/api';
+import { bookingsAPI, flightsAPI, isSessionExpiredError, isSeatConflictError } from '../../utils/api';
+import { formatCompactDateTime, formatDuration, getDurationMinutes, getHoursUntil } from '../../utils/datetime';
+import { SEAT_ATTRIBUTES, findSeat } from '../../utils/aircraftConfigs';
+import { canBookingSitInExitRow } from '../../utils/checkIn';
+import { getItineraryReference, getSeatLabel, getTravelParty, isLapInfant } from '../../utils/bookingGroups';
+import { syncTripAlerts } from '../../utils/tripAlerts';
+import { CACHE_KEYS, loadWithCache, useRetryWhileStale } from '../../utils/offlineCache';
+import LastUpdated from '../../components/LastUpdated';
+import SeatMap from '../../components/SeatMap';
 
 /**
  * ManageBookingScreen Component - Gulf Air App Booking Management
@@ -23,15 +31,16 @@ import { bookingsAPI, flightsAPI, getAuthToken } from '../utils/api';
  * This component provides detailed booking management functionality including:
  * - Flight details display
  * - Edit passenger details
- * - Change flight time/date
+ * - Change flight time/date, for every passenger of the booking on the flight
  * - Cancel booking with refund request
  * - Same UI structure as other pages with Gulf Air branding
  * 
  * @returns {JSX.Element} A complete booking management interface
  */
 export default function ManageBookingScreen() {
-  // Get booking ID from navigation parameters
-  const { bookingId } = useLocalSearchParams();
+  // Get booking ID from navigation parameters; rebook opens the flight change
+  // straight away (from the cancelled flight banner on My Trips)
+  const { bookingId, rebook } = useLocalSearchParams();
   
   // State management for booking data and UI
   const [booking, setBooking] = useState(null);
@@ -45,10 +54,34 @@ export default function ManageBookingScreen() {
   const [availableFlights, setAvailableFlights] = useState([]);
   const [selectedNewFlight, setSelectedNewFlight] = useState(null);
   const [selectedSeatClass, setSelectedSeatClass] = useState(null);
-  const [selectedSeatNumber, setSelectedSeatNumber] = useState(null);
+  const [selectedSeats, setSelectedSeats] = useState({}); // New seat by booking id
+  const [activeSeatPassengerId, setActiveSeatPassengerId] = useState(null); // Passenger the next seat tapped is for
+  const [rescheduleSeatMap, setRescheduleSeatMap] = useState({}); // { occupied, blocked, isLoading, error }
   const [isLoadingFlights, setIsLoadingFlights] = useState(false);
+  const [cacheStatus, setCacheStatus] = useState({}); // { updatedAt, isStale } of the booking shown
+  const [userBookings, setUserBookings] = useState([]); // All the user's bookings, for the travel party and lap infants
+
+  // Seat class of the new flight, the current one until the user picks another
+  const rescheduleSeatClass = selectedSeatClass || booking?.seat_class;
+
+  // Passengers of the itinerary on this flight; they change flights together.
+  // Infants travel on an adult's lap, so only the others need a new seat.
+  const travelParty = getTravelParty(booking, userBookings);
+  const seatedParty = travelParty.filter((passenger) => !isLapInfant(passenger));
+  const activeSeatPassenger = seatedParty.find((passenger) => passenger.id === activeSeatPassengerId) || seatedParty[0];
+  const hasAllRescheduleSeats = seatedParty.length > 0 && seatedParty.every((passenger) => selectedSeats[passenger.id]);
+
+  // Surcharge in BHD of a seat on the new flight, added to the booking total
+  const getRescheduleSeatSurcharge = (seatNumber) => (
+    findSeat(selectedNewFlight?.aircraft_type, rescheduleSeatClass, seatNumber)?.surcharge || 0
+  );
+  const rescheduleSurcharge = seatedParty.reduce(
+    (total, passenger) => total + getRescheduleSeatSurcharge(selectedSeats[passenger.id]),
+    0
+  );
 
   // Load booking details on component mount
+  // Authentication is handled by the guard in app/(protected)/_layout.jsx
   useEffect(() => {
     if (bookingId) {
       loadBookingDetails();
@@ -58,6 +91,24 @@ export default function ManageBookingScreen() {
     }
   }, [bookingId]);
 
+  // Open the flight change once the booking has loaded when asked to rebook
+  const hasOpenedRebook = useRef(false);
+  useEffect(() => {
+    if (rebook === '1' && booking && !hasOpenedRebook.current) {
+      hasOpenedRebook.current = true;
+      handleChangeFlight();
+    }
+  }, [rebook, booking]);
+
+  // Load the seat map of the new flight whenever the flight or class changes
+  useEffect(() => {
+    setSelectedSeats({});
+    setActiveSeatPassengerId(null);
+    if (selectedNewFlight && rescheduleSeatClass) {
+      loadRescheduleSeatMap(selectedNewFlight, rescheduleSeatClass);
+    }
+  }, [selectedNewFlight, rescheduleSeatClass]);
+
   // Reload booking details when page becomes focused (for reschedule updates)
   useFocusEffect(
     React.useCallback(() => {
@@ -74,34 +125,35 @@ export default function ManageBookingScreen() {
    */
   const loadBookingDetails = async () => {
     try {
-      setIsLoading(true);
+      // Keep the booking on screen while it refreshes
+      if (!booking) setIsLoading(true);
       console.log('Loading booking details for ID:', bookingId);
       console.log('Booking ID type:', typeof bookingId);
       
-      const token = getAuthToken();
-      if (!token) {
-        Alert.alert('Authentication Required', 'Please log in to manage your booking.');
-        router.replace('/login');
-        return;
-      }
-
       // Convert bookingId to number if it's a string
       const numericBookingId = parseInt(bookingId);
       console.log('Numeric booking ID:', numericBookingId);
+
+      loadUserBookings();
       
-      const response = await bookingsAPI.getBooking(numericBookingId);
-      console.log('Booking response:', response);
-      console.log('Response type:', typeof response);
-      console.log('Response keys:', Object.keys(response));
-      
-      // Response is already the data (due to response interceptor)
-      const bookingData = response;
-      console.log('Setting booking data:', bookingData);
-      console.log('Booking departure time:', bookingData?.flight?.departure_time);
-      console.log('Booking arrival time:', bookingData?.flight?.arrival_time);
-      setBooking(bookingData);
+      // Show the copy cached on the device first, then the backend's
+      await loadWithCache(
+        CACHE_KEYS.booking(numericBookingId),
+        () => bookingsAPI.getBooking(numericBookingId),
+        (bookingData, status) => {
+          // Response is already the data (due to response interceptor)
+          console.log('Setting booking data:', bookingData);
+          console.log('Booking departure time:', bookingData?.flight?.departure_time);
+          console.log('Booking arrival time:', bookingData?.flight?.arrival_time);
+          setBooking(bookingData);
+          setCacheStatus(status);
+          setIsLoading(false);
+        }
+      );
     } catch (error) {
       console.error('Error loading booking details:', error);
+      // The 401 handler is already redirecting to login with this booking as the return route
+      if (isSessionExpiredError(error)) return;
       console.error('Error details:', error.response?.data);
       Alert.alert('Error', `Failed to load booking details: ${error.message || 'Unknown error'}`);
       router.back();
@@ -110,6 +162,23 @@ export default function ManageBookingScreen() {
     }
   };
 
+  /**
+   * Load User Bookings
+   * The user's other bookings hold the passengers travelling with this one
+   * and tell whether an infant travels on a passenger's lap. Loaded with the
+   * booking, from the device while offline.
+   */
+  const loadUserBookings = async () => {
+    try {
+      await loadWithCache(CACHE_KEYS.bookings, bookingsAPI.getBookings, (bookings) => setUserBookings(bookings));
+    } catch (error) {
+      console.log('Could not load the other bookings:', error.message);
+    }
+  };
+
+  // Retry while showing the cached booking, until the connection is back
+  useRetryWhileStale(cacheStatus.isStale, loadBookingDetails);
+
   /**
    * Handle Edit Field
    * Opens modal to edit specific booking field
@@ -135,11 +204,11 @@ export default function ManageBookingScreen() {
       return;
     }
 
-    // Check if booking is already checked in
-    if (booking?.booking_status === 'checked_in') {
+    // Check if anyone travelling on this booking is already checked in
+    if (travelParty.some((passenger) => passenger.booking_status === 'checked_in')) {
       Alert.alert(
         'Cannot Reschedule',
-        'This booking has been checked in and cannot be rescheduled.',
+        'A passenger on this booking has been checked in, so the flight can\'t be rescheduled.',
         [{ text: 'OK' }]
       );
       return;
@@ -198,10 +267,8 @@ export default function ManageBookingScreen() {
       );
       
       // Filter out the current flight and only show future flights
-      const currentDate = new Date();
       const availableFlights = flights.filter(flight => {
-        const flightDate = new Date(flight.departure_time);
-        return flight.id !== booking.flight.id && flightDate > currentDate;
+        return flight.id !== booking.flight.id && getHoursUntil(flight.departure_time) > 0;
       });
       
       setAvailableFlights(availableFlights);
@@ -213,9 +280,81 @@ export default function ManageBookingScreen() {
     }
   };
 
+  /**
+   * Load Reschedule Seat Map
+   * Fetches the occupied and blocked seats of the new flight
+   */
+  const loadRescheduleSeatMap = async (flight, seatClass) => {
+    setRescheduleSeatMap({ occupied: [], blocked: [], isLoading: true, error: null });
+    try {
+      const response = await flightsAPI.getSeatMap(flight.id, seatClass);
+      setRescheduleSeatMap({
+        occupied: response.occupied_seats || [],
+        blocked: response.blocked_seats || [],
+        isLoading: false,
+        error: null,
+      });
+    } catch (error) {
+      console.error('Error loading seat map:', error);
+      setRescheduleSeatMap({
+        occupied: [],
+        blocked: [],
+        isLoading: false,
+        error: error.message || 'Could not load seats',
+      });
+    }
+  };
+
+  /**
+   * Handle Select Reschedule Seat
+   * Gives the active passenger a seat on the new flight, then moves on to the
+   * next passenger who still needs one. Children and adults with an infant on
+   * their lap can't sit in an exit row, the same rule as seat selection in Book
+   */
+  const handleSelectRescheduleSeat = (seat) => {
+    const passenger = activeSeatPassenger;
+    if (!passenger) return;
+
+    if (seat.attributes.includes('exit_row') && !canBookingSitInExitRow(passenger, userBookings)) {
+      Alert.alert(
+        'Exit Row Not Allowed',
+        `${passenger.passenger_name} can't sit in an exit row. Children and adults travelling with an infant need another seat.`
+      );
+      return;
+    }
+
+    const owner = seatedParty.find((other) => other.id !== passenger.id && selectedSeats[other.id] === seat.id);
+    if (owner) {
+      Alert.alert('Seat Taken', `Seat ${seat.id} is already selected for ${owner.passenger_name}.`);
+      return;
+    }
+
+    const nextSeats = { ...selectedSeats, [passenger.id]: seat.id };
+    setSelectedSeats(nextSeats);
+    const nextPassenger = seatedParty.find((other) => !nextSeats[other.id]);
+    if (nextPassenger) setActiveSeatPassengerId(nextPassenger.id);
+  };
+
+  /**
+   * Describe Seat
+   * Seat number with its attributes and surcharge on the new flight
+   */
+  const describeRescheduleSeat = (seatNumber) => {
+    const seat = findSeat(selectedNewFlight?.aircraft_type, rescheduleSeatClass, seatNumber);
+    if (!seat) return '';
+    const labels = seat.attributes.map((attribute) => SEAT_ATTRIBUTES[attribute].label);
+    const surcharge = seat.surcharge > 0 ? ` • +BHD ${seat.surcharge.toFixed(3)}` : '';
+    return `Seat ${seat.id}${labels.length > 0 ? ` • ${labels.join(', ')}` : ''}${surcharge}`;
+  };
+
   /**
    * Handle Reschedule Booking
-   * Reschedules the booking to a new flight
+   * Moves every passenger of the booking on this flight to the new flight,
+   * this booking's passenger last and infants after their adults. Each new
+   * booking keeps the itinerary reference, and an infant's booking points at
+   * its adult's new booking. Paid seats send their surcharge, which the new
+   * booking adds to its total. If a passenger can't be moved, the ones already
+   * moved are named and the others stay on this flight to be moved again.
    */
   const handleRescheduleBooking = async () => {
     if (!selectedNewFlight) {
@@ -223,18 +362,47 @@ export default function ManageBookingScreen() {
       return;
     }
 
+    if (!hasAllRescheduleSeats) {
+      Alert.alert('Error', 'Please select a seat on the new flight for every passenger.');
+      return;
+    }
+
+    const itineraryReference = getItineraryReference(booking);
+    const passengers = [
+      ...travelParty.filter((passenger) => passenger.id !== booking.id),
+      ...travelParty.filter((passenger) => passenger.id === booking.id),
+    ].sort((a, b) => isLapInfant(a) - isLapInfant(b));
+    const newReferences = {}; // New booking reference by old one, for the infants' lap links
+    const movedPassengers = [];
+    let newBooking = null; // New booking of this booking's passenger
+
     try {
-      const response = await bookingsAPI.rescheduleBooking(
-        booking.id,
-        selectedNewFlight.id,
-        selectedSeatClass || booking.seat_class,
-        selectedSeatNumber || booking.seat_number
-      );
-      const newBooking = response?.new_booking;
+      for (const passenger of passengers) {
+        const details = {
+          linked_booking_reference: itineraryReference,
+          seat_surcharge: getRescheduleSeatSurcharge(selectedSeats[passenger.id]),
+        };
+        if (isLapInfant(passenger)) {
+          details.lap_booking_reference = newReferences[passenger.lap_booking_reference] || passenger.lap_booking_reference;
+        }
+        const response = await bookingsAPI.rescheduleBooking(
+          passenger.id,
+          selectedNewFlight.id,
+          rescheduleSeatClass,
+          selectedSeats[passenger.id] || null,
+          details
+        );
+        newReferences[passenger.booking_reference] = response?.new_booking?.booking_reference;
+        movedPassengers.push(passenger);
+        if (passenger.id === booking.id) newBooking = response?.new_booking;
+      }
+      syncTripAlerts();
       
       Alert.alert(
         'Reschedule Successful',
-        `Your booking has been rescheduled successfully! New flight: ${selectedNewFlight.flight_number}`,
+        passengers.length > 1
+          ? `All ${passengers.length} passengers have been moved to flight ${selectedNewFlight.flight_number}.`
+          : `Your booking has been rescheduled successfully! New flight: ${selectedNewFlight.flight_number}`,
         [
           {
             text: 'OK',
@@ -242,7 +410,7 @@ export default function ManageBookingScreen() {
               setShowRescheduleModal(false);
               setSelectedNewFlight(null);
               setSelectedSeatClass(null);
-              setSelectedSeatNumber(null);
+              setSelectedSeats({});
               setAvailableFlights([]);
               // Navigate to the new booking if available, otherwise reload
               if (newBooking?.id) {
@@ -256,6 +424,47 @@ export default function ManageBookingScreen() {
       );
     } catch (error) {
       console.error('Error rescheduling booking:', error);
+      if (movedPassengers.length > 0) syncTripAlerts();
+      if (isSessionExpiredError(error)) {
+        setShowRescheduleModal(false);
+        return;
+      }
+      // Some passengers are on the new flight already: say who, and let the
+      // user move the others again
+      if (movedPassengers.length > 0) {
+        const movedNames = movedPassengers.map((passenger) => passenger.passenger_name).join(', ');
+        Alert.alert(
+          'Reschedule Incomplete',
+          `${movedNames} ${movedPassengers.length > 1 ? 'have' : 'has'} been moved to flight ${selectedNewFlight.flight_number}, but the other passengers couldn't be: ${error.message || 'Unknown error'}\n\nThey are still on flight ${booking.flight?.flight_number}. Please change their flight again.`,
+          [
+            {
+              text: 'OK',
+              onPress: () => {
+                setShowRescheduleModal(false);
+                setSelectedNewFlight(null);
+                setSelectedSeatClass(null);
+                setSelectedSeats({});
+                setAvailableFlights([]);
+                loadBookingDetails();
+              },
+            },
+          ]
+        );
+        return;
+      }
+      // The seat was taken after the map loaded: refresh it and let the user choose again
+      if (isSeatConflictError(error)) {
+        const passenger = passengers[0];
+        setSelectedSeats((current) => {
+          const next = { ...current };
+          delete next[passenger.id];
+          return next;
+        });
+        setActiveSeatPassengerId(passenger.id);
+        loadRescheduleSeatMap(selectedNewFlight, rescheduleSeatClass);
+        Alert.alert('Seat No Longer Available', `${error.message}\n\nThe seat map has been updated. Please choose another seat.`);
+        return;
+      }
       // If booking already cancelled, inform the user and refresh trips
       const msg = String(error?.message || '');
       if (msg.toLowerCase().includes('already cancelled') || msg.toLowerCase().includes('cannot reschedule a cancelled')) {
@@ -275,99 +484,6 @@ export default function ManageBookingScreen() {
     }
   };
 
-  /**
-   * Format Date for Display
-   * Converts date string to readable format
-   */
-  const formatDate = (dateString) => {
-    if (!dateString) return 'N/A';
-    const date = parseDate(dateString);
-    return date.toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
-  };
-
-  /**
-   * Format Time for Display
-   * Converts time string to readable format
-   */
-  const formatTime = (dateString) => {
-    if (!dateString) return 'N/A';
-    const date = parseDate(dateString);
-    return date.toLocaleTimeString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: true
-    });
-  };
-
-  /**
-   * Format Compact Date and Time
-   * Creates a clean, compact date and time display
-   */
-  const formatCompactDateTime = (dateString) => {
-    if (!dateString) return 'N/A';
-    
-    try {
-      // Handle both Date objects and date strings
-      const date = parseDate(dateString);
-      
-      // Check if date is valid
-      if (isNaN(date.getTime())) {
-        console.warn('Invalid date in formatCompactDateTime:', dateString);
-        return 'N/A';
-      }
-      
-      const day = date.toLocaleDateString('en-US', { day: 'numeric' });
-      const month = date.toLocaleDateString('en-US', { month: 'short' });
-      const time = date.toLocaleTimeString('en-US', {
-        hour: '2-digit',
-        minute: '2-digit',
-        hour12: true
-      });
-      
-      return `${day} ${month} • ${time}`;
-    } catch (error) {
-      console.error('Error formatting compact date time:', dateString, error);
-      return 'N/A';
-    }
-  };
-
-  /**
-   * Parse date safely (handles strings and Date objects)
-   */
-  const parseDate = (dateInput) => {
-    if (!dateInput) return null;
-    if (dateInput instanceof Date) return dateInput;
-    let str = String(dateInput);
-    // If backend provides microseconds (e.g., 2025-09-18T19:31:52.601155),
-    // trim to milliseconds so JS Date can parse it reliably
-    str = str.replace(/\.(\d{3})\d+$/, '.$1');
-    // If it's date-only, anchor to noon to avoid timezone day-shift
-    if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
-      str = `${str}T12:00:00`;
-    }
-    const d = new Date(str);
-    return isNaN(d) ? null : d;
-  };
-
-  /**
-   * Compute flight duration in Hh Mm
-   */
-  const getFlightDuration = (startStr, endStr) => {
-    const start = parseDate(startStr);
-    const end = parseDate(endStr);
-    if (!start || !end || isNaN(start) || isNaN(end)) return 'N/A';
-    const diffMs = Math.max(0, end.getTime() - start.getTime());
-    const totalMinutes = Math.round(diffMs / (1000 * 60));
-    const hours = Math.floor(totalMinutes / 60);
-    const minutes = totalMinutes % 60;
-    return `${hours}h ${minutes}m`;
-  };
-
   // Debug logging
   console.log('Manage booking render - isLoading:', isLoading, 'booking:', booking, 'bookingId:', bookingId);
 
@@ -407,7 +523,7 @@ export default function ManageBookingScreen() {
       <View style={styles.header}>
         <View style={styles.logoContainer}>
           <Image
-            source={require('../assets/images/header.png')}
+            source={require('../../assets/images/header.png')}
             style={styles.headerLogo}
             resizeMode="contain"
           />
@@ -424,7 +540,8 @@ export default function ManageBookingScreen() {
         {/* Page Title */}
         <View style={styles.titleContainer}>
           <Text style={styles.pageTitle}>Manage Booking</Text>
-          <Text style={styles.bookingRef}>Reference: {booking.booking_reference}</Text>
+          <Text style={styles.bookingRef}>Reference: {getItineraryReference(booking)}</Text>
+          <LastUpdated updatedAt={cacheStatus.updatedAt} isStale={cacheStatus.isStale} />
         </View>
 
         {/* Flight Details Card */}
@@ -460,19 +577,19 @@ export default function ManageBookingScreen() {
               <View style={styles.detailRow}>
                 <Text style={styles.detailLabel}>Departure:</Text>
                 <Text style={styles.detailValue}>
-                  {formatCompactDateTime(booking.flight?.departure_time)}
+                  {formatCompactDateTime(booking.flight?.departure_time, booking.flight?.departure_airport)}
                 </Text>
               </View>
               <View style={styles.detailRow}>
                 <Text style={styles.detailLabel}>Arrival:</Text>
                 <Text style={styles.detailValue}>
-                  {formatCompactDateTime(booking.flight?.arrival_time)}
+                  {formatCompactDateTime(booking.flight?.arrival_time, booking.flight?.arrival_airport)}
                 </Text>
               </View>
               <View style={styles.detailRow}>
                 <Text style={styles.detailLabel}>Duration:</Text>
                 <Text style={styles.detailValue}>
-                  {getFlightDuration(booking.flight?.departure_time, booking.flight?.arrival_time)}
+                  {formatDuration(getDurationMinutes(booking.flight?.departure_time, booking.flight?.arrival_time))}
                 </Text>
               </View>
               <View style={styles.detailRow}>
@@ -483,7 +600,7 @@ export default function ManageBookingScreen() {
               </View>
               <View style={styles.detailRow}>
                 <Text style={styles.detailLabel}>Seat Number:</Text>
-                <Text style={styles.detailValue}>{booking.seat_number}</Text>
+                <Text style={styles.detailValue}>{isLapInfant(booking) ? 'Lap' : booking.seat_number}</Text>
               </View>
               <View style={styles.detailRow}>
                 <Text style={styles.detailLabel}>Total Price:</Text>
@@ -535,6 +652,23 @@ export default function ManageBookingScreen() {
           </View>
         </View>
 
+        {/* Passengers travelling together on this flight */}
+        {travelParty.length > 1 && (
+          <View style={styles.detailsCard}>
+            <View style={styles.cardHeader}>
+              <Text style={styles.cardTitle}>Travelling Together</Text>
+            </View>
+            <View style={styles.passengerInfo}>
+              {travelParty.map((passenger) => (
+                <View key={passenger.id} style={styles.detailRow}>
+                  <Text style={styles.detailLabel}>{passenger.passenger_name}</Text>
+                  <Text style={styles.detailValue}>{getSeatLabel(passenger)}</Text>
+                </View>
+              ))}
+            </View>
+          </View>
+        )}
+
         {/* Action Buttons */}
         <View style={styles.actionButtonsContainer}>
           <TouchableOpacity 
@@ -624,12 +758,13 @@ export default function ManageBookingScreen() {
           <ScrollView style={styles.modalContent}>
             <Text style={styles.modalDescription}>
               Select a new flight for the same route. Your current booking will be automatically cancelled and a new one will be created.
+              {travelParty.length > 1 && ` All ${travelParty.length} passengers on this flight move together and keep reference ${getItineraryReference(booking)}.`}
             </Text>
 
             <View style={styles.currentFlightInfo}>
               <Text style={styles.currentFlightTitle}>Current Flight:</Text>
               <Text style={styles.currentFlightDetails}>
-                {booking?.flight?.flight_number} • {formatCompactDateTime(booking?.flight?.departure_time)}
+                {booking?.flight?.flight_number} • {formatCompactDateTime(booking?.flight?.departure_time, booking?.flight?.departure_airport)}
               </Text>
             </View>
 
@@ -659,7 +794,7 @@ export default function ManageBookingScreen() {
                     <View style={styles.flightInfo}>
                       <Text style={styles.flightNumber}>{flight.flight_number}</Text>
                       <Text style={styles.flightTime}>
-                        {formatCompactDateTime(flight.departure_time)}
+                        {formatCompactDateTime(flight.departure_time, flight.departure_airport)}
                       </Text>
                       <Text style={styles.flightPrice}>Economy: BHD {flight.economy_price?.toFixed(3)}</Text>
                       <Text style={styles.flightPrice}>Falcon Gold: BHD {flight.business_price?.toFixed(3)}</Text>
@@ -676,32 +811,63 @@ export default function ManageBookingScreen() {
               <View style={styles.selectedFlightInfo}>
                 <Text style={styles.selectedFlightTitle}>Selected Flight:</Text>
                 <Text style={styles.selectedFlightDetails}>
-                  {selectedNewFlight.flight_number} • {formatCompactDateTime(selectedNewFlight.departure_time)}
+                  {selectedNewFlight.flight_number} • {formatCompactDateTime(selectedNewFlight.departure_time, selectedNewFlight.departure_airport)}
                 </Text>
                 <View style={{ marginTop: 12 }}>
                   <Text style={styles.selectedFlightTitle}>Choose Seat Class:</Text>
                   <View style={{ flexDirection: 'row', gap: 8, marginTop: 8 }}>
                     <TouchableOpacity
                       onPress={() => setSelectedSeatClass('economy')}
-                      style={[styles.flightOption, selectedSeatClass === 'economy' && styles.selectedFlightOption]}
+                      style={[styles.flightOption, rescheduleSeatClass === 'economy' && styles.selectedFlightOption]}
                     >
                       <Text>Economy</Text>
                     </TouchableOpacity>
                     <TouchableOpacity
                       onPress={() => setSelectedSeatClass('business')}
-                      style={[styles.flightOption, selectedSeatClass === 'business' && styles.selectedFlightOption]}
+                      style={[styles.flightOption, rescheduleSeatClass === 'business' && styles.selectedFlightOption]}
                     >
                       <Text>Falcon Gold</Text>
                     </TouchableOpacity>
                   </View>
                 </View>
                 <View style={{ marginTop: 12 }}>
-                  <Text style={styles.selectedFlightTitle}>Seat Number (optional):</Text>
-                  <TextInput
-                    style={styles.modalInput}
-                    placeholder={`e.g. ${booking?.seat_number || '12A'}`}
-                    value={selectedSeatNumber || ''}
-                    onChangeText={setSelectedSeatNumber}
+                  <Text style={styles.selectedFlightTitle}>
+                    {seatedParty.length > 1 ? 'Choose Seats:' : 'Choose Seat:'}
+                  </Text>
+                  {seatedParty.length > 1 && (
+                    <View style={styles.seatPassengers}>
+                      {seatedParty.map((passenger) => (
+                        <TouchableOpacity
+                          key={passenger.id}
+                          style={[styles.seatPassenger, passenger.id === activeSeatPassenger?.id && styles.seatPassengerActive]}
+                          onPress={() => setActiveSeatPassengerId(passenger.id)}
+                        >
+                          <Text style={styles.seatPassengerName}>{passenger.passenger_name}</Text>
+                          <Text style={styles.seatPassengerSeat}>
+                            {selectedSeats[passenger.id] ? `Seat ${selectedSeats[passenger.id]}` : 'No seat yet'}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  )}
+                  <Text style={styles.cabinInfo}>
+                    {activeSeatPassenger && selectedSeats[activeSeatPassenger.id]
+                      ? describeRescheduleSeat(selectedSeats[activeSeatPassenger.id])
+                      : `Tap a seat on the map below${seatedParty.length > 1 ? ` for ${activeSeatPassenger?.passenger_name}` : ''}`}
+                  </Text>
+                  {rescheduleSurcharge > 0 && (
+                    <Text style={styles.cabinInfo}>
+                      Seat surcharge of BHD {rescheduleSurcharge.toFixed(3)} is added to your booking total.
+                    </Text>
+                  )}
+                  <SeatMap
+                    aircraftType={selectedNewFlight.aircraft_type}
+                    seatClass={rescheduleSeatClass}
+                    seatMap={rescheduleSeatMap}
+                    selectedSeatIds={Object.values(selectedSeats)}
+                    onSelectSeat={handleSelectRescheduleSeat}
+                    onRetry={() => loadRescheduleSeatMap(selectedNewFlight, rescheduleSeatClass)}
+                    note="Exit rows are not available to children or adults travelling with an infant."
                   />
                 </View>
               </View>
@@ -714,6 +880,8 @@ export default function ManageBookingScreen() {
               onPress={() => {
                 setShowRescheduleModal(false);
                 setSelectedNewFlight(null);
+                setSelectedSeatClass(null);
+                setSelectedSeats({});
                 setAvailableFlights([]);
               }}
             >
@@ -722,14 +890,14 @@ export default function ManageBookingScreen() {
             <TouchableOpacity 
               style={[
                 styles.confirmRescheduleButton,
-                !selectedNewFlight && styles.disabledButton
+                (!selectedNewFlight || !hasAllRescheduleSeats) && styles.disabledButton
               ]}
               onPress={handleRescheduleBooking}
-              disabled={!selectedNewFlight}
+              disabled={!selectedNewFlight || !hasAllRescheduleSeats}
             >
               <Text style={[
                 styles.confirmRescheduleButtonText,
-                !selectedNewFlight && styles.disabledButtonText
+                (!selectedNewFlight || !hasAllRescheduleSeats) && styles.disabledButtonText
               ]}>
                 Confirm Reschedule
               </Text>
@@ -1206,6 +1374,41 @@ const styles = StyleSheet.create({
     color: '#2E7D32',
     fontWeight: '500',
   },
+  cabinInfo: {
+    fontSize: 13,
+    color: '#666666',
+    marginBottom: 8,
+  },
+  // Passengers who each need a seat on the new flight
+  seatPassengers: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginVertical: 8,
+  },
+  // One passenger, tap to pick their seat
+  seatPassenger: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  // Passenger the next seat tapped is for
+  seatPassengerActive: {
+    borderColor: '#A68F65',
+    backgroundColor: '#F5F1EA',
+  },
+  seatPassengerName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1A1A2E',
+  },
+  seatPassengerSeat: {
+    fontSize: 12,
+    color: '#666666',
+    marginTop: 2,
+  },
   modalFooter: {
     flexDirection: 'row',
     paddingHorizontal: 20,
@@ -0,0 +1,907 @@
+// Import React hooks and components for My Trips functionality
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Image,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { StatusBar } from 'expo-status-bar';
+import { router, useFocusEffect } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { bookingsAPI, isSessionExpiredError } from '../../utils/api';
+import { getAirportCity } from '../../utils/airports';
+import { formatDayMonth, formatTime, getDateKeyAt } from '../../utils/datetime';
+import { canCheckIn, getCheckInMessage } from '../../utils/checkIn';
+import { getItineraryReference, getSeatLabel } from '../../utils/bookingGroups';
+import {
+  FLIGHT_STATUS_REFRESH_SECONDS,
+  normalizeFlightStatus,
+  getTripStatusBadge,
+  isTrackedTrip,
+  fetchFlightStatus,
+} from '../../utils/flightStatus';
+import { syncTripAlerts } from '../../utils/tripAlerts';
+import { CACHE_KEYS, loadWithCache, writeCache, useRetryWhileStale } from '../../utils/offlineCache';
+import { buildBoardingPass, saveBoardingPass } from '../../utils/boardingPass';
+import LastUpdated from '../../components/LastUpdated';
+import OfflineBanner from '../../components/OfflineBanner';
+import { useAuth } from '../../context/AuthContext';
+
+/**
+ * MyTripsScreen Component - Gulf Air App Trip Management
+ * 
+ * This component displays user's active flight bookings with the same UI structure
+ * as the Book page, including Gulf Air logo, side navigation, and dynamic
+ * booking cards that show all active (non-cancelled) bookings.
+ * 
+ * Features:
+ * - Same header structure as Book page with Gulf Air logo
+ * - Dynamic booking cards based on user's active bookings only
+ * - Automatically filters out cancelled bookings from display
+ * - Check-in and manage booking functionality
+ * - Live flight status badges, revised times and rebooking for cancelled flights
+ * - Login prompt for non-authenticated users
+ * - Trip status and booking reference display
+ * - Trips cached on the device, shown offline with their last update time
+ * 
+ * @returns {JSX.Element} A complete trip management interface
+ */
+export default function MyTripsScreen() {
+  // State management for trips
+  // Authentication is handled by the guard in app/(protected)/_layout.jsx
+  const [bookings, setBookings] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [flightStatuses, setFlightStatuses] = useState({}); // Latest status by flight id
+  const [cacheStatus, setCacheStatus] = useState({}); // { updatedAt, isStale } of the trips shown
+
+  // Session state from AuthProvider, used to reload when the user changes
+  const { user } = useAuth();
+
+  // Reload bookings when the page is focused (e.g., when navigating back from Book page)
+  useFocusEffect(
+    React.useCallback(() => {
+      console.log('My Trips page focused, reloading bookings...');
+      loadUserBookings();
+    }, [user])
+  );
+
+  // Ids of the upcoming flights whose status is polled. Reloading the same
+  // trips (the cached copy, then the fresh one, or a retry while offline)
+  // gives the same key, so the polling doesn't start over.
+  const trackedFlightKey = useMemo(() => (
+    [...new Set(bookings.filter((booking) => isTrackedTrip(booking.flight)).map((booking) => booking.flight.id))]
+      .sort()
+      .join(',')
+  ), [bookings]);
+
+  // The flights behind the key, from the bookings it was derived from
+  const trackedFlights = useMemo(() => {
+    const flights = {};
+    bookings
+      .filter((booking) => isTrackedTrip(booking.flight))
+      .forEach((booking) => {
+        flights[booking.flight.id] = booking.flight;
+      });
+    return Object.values(flights);
+  }, [trackedFlightKey]);
+
+  // Poll the status of upcoming flights while the page is focused
+  useFocusEffect(
+    React.useCallback(() => {
+      if (trackedFlights.length === 0) return undefined;
+      refreshFlightStatuses(trackedFlights);
+      const timer = setInterval(() => refreshFlightStatuses(trackedFlights), FLIGHT_STATUS_REFRESH_SECONDS * 1000);
+      return () => clearInterval(timer);
+    }, [trackedFlights])
+  );
+
+  /**
+   * Load User Bookings
+   * Shows the bookings cached on the device right away, then refreshes them
+   * from the backend. Without a connection the cached trips stay on screen.
+   */
+  const loadUserBookings = async () => {
+    try {
+      console.log('Loading user bookings...');
+      await loadWithCache(CACHE_KEYS.bookings, fetchUserBookings, (userBookings, status) => {
+        showBookings(userBookings);
+        setCacheStatus(status);
+        setIsLoading(false);
+      });
+    } catch (error) {
+      console.error('Error loading bookings:', error);
+      console.log('Error message:', error.message);
+      
+      // An expired session is handled by the route guard, which redirects to login.
+      // Other errors (like network issues) with nothing cached show the empty state.
+      if (!isSessionExpiredError(error)) {
+        console.log('Could not load bookings, showing empty state');
+      }
+      setBookings([]);
+      setCacheStatus({});
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Retry while showing cached trips, until the connection is back
+  useRetryWhileStale(cacheStatus.isStale, loadUserBookings);
+
+  /**
+   * Fetch User Bookings
+   * Loads the user's bookings from the backend, then schedules their trip
+   * alerts and caches each booking and boarding pass for offline use
+   */
+  const fetchUserBookings = async () => {
+    console.log('Fetching bookings from API...');
+    const userBookings = await bookingsAPI.getBookings();
+    console.log('Raw bookings from API:', userBookings);
+
+    // Schedule trip alerts again in case bookings changed since the last sync
+    syncTripAlerts(userBookings);
+
+    // Cache each booking for Manage Booking, and the boarding passes
+    userBookings.forEach((booking) => writeCache(CACHE_KEYS.booking(booking.id), booking));
+    userBookings
+      .filter((booking) => booking.booking_status === 'checked_in' && booking.flight)
+      .forEach((booking) => saveBoardingPass(buildBoardingPass(booking)));
+
+    return userBookings;
+  };
+
+  /**
+   * Show Bookings
+   * Transforms backend bookings to the card format, leaving out cancelled ones
+   */
+  const showBookings = (userBookings) => {
+    // Filter out cancelled bookings and transform backend data to frontend format
+    const activeBookings = userBookings.filter(booking => 
+      booking.booking_status !== 'cancelled'
+    );
+    
+    console.log('Total bookings:', userBookings.length);
+    console.log('Active bookings (excluding cancelled):', activeBookings.length);
+    
+    const transformedBookings = activeBookings.map(booking => ({
+      id: booking.id.toString(),
+      destination: getDestinationName(booking.flight?.arrival_airport || 'Unknown'),
+      date: formatDayMonth(booking.flight?.departure_time, booking.flight?.departure_airport),
+      bookingReference: getItineraryReference(booking),
+      image: require('../../assets/images/plane.jpg'),
+      canCheckIn: canCheckIn(booking.flight?.departure_time, booking.booking_status),
+      checkInMessage: getCheckInMessage(booking.flight?.departure_time, booking.booking_status),
+      bookingStatus: booking.booking_status,
+      seatClass: booking.seat_class,
+      seatLabel: getSeatLabel(booking),
+      passengerName: booking.passenger_name,
+      totalPrice: booking.total_price,
+      flight: booking.flight,
+    }));
+
+    console.log('Setting bookings state with', transformedBookings.length, 'bookings');
+    setBookings(transformedBookings);
+  };
+
+  /**
+   * Refresh Flight Statuses
+   * Fetches the latest status of each booked flight; a flight that fails keeps its last status
+   */
+  const refreshFlightStatuses = async (flights) => {
+    const results = await Promise.all(
+      flights.map(async (flight) => {
+        try {
+          return await fetchFlightStatus(flight);
+        } catch (error) {
+          console.log('Could not refresh flight status:', flight.flight_number, error.message);
+          return null;
+        }
+      })
+    );
+
+    setFlightStatuses((current) => {
+      const next = { ...current };
+      results.filter(Boolean).forEach((flightStatus) => {
+        next[flightStatus.id] = flightStatus;
+      });
+      return next;
+    });
+  };
+
+  /**
+   * Get Flight Status
+   * Latest known status of a booking's flight, or null when it isn't followed
+   */
+  const getFlightStatus = (booking) => {
+    if (!isTrackedTrip(booking.flight)) return null;
+    return flightStatuses[booking.flight.id] || normalizeFlightStatus(booking.flight);
+  };
+
+  /**
+   * Get Destination Name from Airport Code
+   * Converts airport codes to readable city names
+   */
+  const getDestinationName = (airportCode) => {
+    return getAirportCity(airportCode);
+  };
+
+  /**
+   * Format Price for Display
+   * Formats price to 3 decimal places with BHD currency
+   */
+  const formatPrice = (price) => {
+    if (typeof price !== 'number') return 'BHD 0.000';
+    return `BHD ${price.toFixed(3)}`;
+  };
+
+  /**
+   * Handle Check In
+   * Opens the online check-in wizard for a specific booking
+   */
+  const handleCheckIn = (bookingId) => {
+    router.push(`/check-in?bookingId=${bookingId}`);
+  };
+
+  /**
+   * Handle Boarding Pass
+   * Opens the boarding pass of a checked-in booking
+   */
+  const handleBoardingPass = (bookingId) => {
+    router.push(`/boarding-pass?bookingId=${bookingId}`);
+  };
+
+  /**
+   * Handle Rebook
+   * Opens booking management straight on the flight change for a cancelled flight
+   */
+  const handleRebook = (bookingId) => {
+    router.push(`/manage-booking?bookingId=${bookingId}&rebook=1`);
+  };
+
+  /**
+   * Handle Flight Status
+   * Opens the Flight Status screen for a booked flight
+   */
+  const handleFlightStatus = (flight) => {
+    const date = getDateKeyAt(flight.departure_time, flight.departure_airport);
+    router.push(`/flight-status?flightNumber=${flight.flight_number}&date=${date}`);
+  };
+
+  /**
+   * Render Trip Time
+   * Booked time, crossed out when the flight's estimated or actual time differs
+   */
+  const renderTripTime = (scheduled, estimated, actual, airport) => {
+    const revised = actual || estimated;
+    const isChanged = revised && formatTime(revised, airport) !== formatTime(scheduled, airport);
+    return (
+      <Text style={styles.tripTime}>
+        <Text style={isChanged && styles.tripTimeReplaced}>{formatTime(scheduled, airport)}</Text>
+        {isChanged && <Text style={styles.tripTimeRevised}> {formatTime(revised, airport)}</Text>}
+      </Text>
+    );
+  };
+
+  /**
+   * Handle Manage Booking
+   * Opens booking management for a specific trip
+   */
+  const handleManageBooking = (bookingId) => {
+    console.log('Managing booking with ID:', bookingId);
+    // Navigate to booking management page
+    router.push(`/manage-booking?bookingId=${bookingId}`);
+  };
+
+  /**
+   * Handle Refresh
+   * Reloads user bookings from the backend with force refresh
+   */
+  const handleRefresh = () => {
+    console.log('Manual refresh triggered');
+    setIsLoading(true);
+    loadUserBookings();
+  };
+
+  /**
+   * Handle Add Booking
+   * Navigates to booking screen
+   */
+  const handleAddBooking = () => {
+    router.push('/book');
+  };
+
+  // Debug logging
+  console.log('My Trips render - bookings count:', bookings.length, 'isLoading:', isLoading);
+
+  /**
+   * Handle Menu Navigation
+   * Opens the menu screen
+   */
+  const handleMenu = () => {
+    router.push('/menu');
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Set status bar to dark content for white background */}
+      <StatusBar style="dark" />
+      
+      {/* Header Section - Same as Book page */}
+      <View style={styles.header}>
+        <View style={styles.logoContainer}>
+          <Image 
+            source={require('../../assets/images/header.png')}
+            style={styles.headerLogo}
+            resizeMode="contain"
+          />
+        </View>
+        <View style={styles.headerButtons}>
+          <TouchableOpacity style={styles.refreshButton} onPress={handleRefresh}>
+            <Ionicons name="refresh" size={20} color="#A68F65" />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.menuButton} onPress={handleMenu}>
+            <Ionicons name="menu" size={24} color="#A68F65" />
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {/* Connection notice, from the app's own requests */}
+      <OfflineBanner />
+
+      <ScrollView style={styles.scrollContainer}>
+        {isLoading ? (
+          <View style={styles.loadingContainer}>
+            <Text style={styles.loadingText}>Loading your trips...</Text>
+          </View>
+        ) : (
+          <>
+            {/* Bookings Section */}
+            <LastUpdated updatedAt={cacheStatus.updatedAt} isStale={cacheStatus.isStale} />
+
+            {bookings.length > 0 ? (
+              <View style={styles.bookingsSection}>
+                {bookings.map((booking) => {
+                  const flightStatus = getFlightStatus(booking);
+                  const statusBadge = flightStatus && getTripStatusBadge(flightStatus);
+                  const isFlightCancelled = statusBadge?.stage === null;
+                  const isDelayed = statusBadge?.label === 'Delayed';
+                  const isCheckInOpen = booking.canCheckIn && !isFlightCancelled;
+
+                  return (
+                    <View key={booking.id} style={styles.bookingCard}>
+                      {/* Trip Image */}
+                      <View style={styles.tripImageContainer}>
+                        <Image 
+                          source={booking.image}
+                          style={styles.tripImage}
+                          resizeMode="cover"
+                        />
+                        <View style={styles.imageDots}>
+                          <View style={styles.dot} />
+                          <View style={styles.dot} />
+                          <View style={styles.dot} />
+                        </View>
+                        {statusBadge && (
+                          <TouchableOpacity
+                            style={[styles.statusBadge, { backgroundColor: statusBadge.color }]}
+                            onPress={() => handleFlightStatus(booking.flight)}
+                          >
+                            <Text style={styles.statusBadgeText}>{statusBadge.label}</Text>
+                          </TouchableOpacity>
+                        )}
+                      </View>
+
+                      {/* Cancelled Flight Banner */}
+                      {isFlightCancelled && (
+                        <View style={styles.cancelledBanner}>
+                          <View style={styles.cancelledBannerHeader}>
+                            <Ionicons name="alert-circle" size={22} color="#FFFFFF" />
+                            <Text style={styles.cancelledBannerTitle}>
+                              Flight {booking.flight.flight_number} has been cancelled
+                            </Text>
+                          </View>
+                          <Text style={styles.cancelledBannerText}>
+                            {flightStatus.delayReason
+                              ? `${flightStatus.delayReason}. Choose another flight on the same route to keep travelling.`
+                              : 'Choose another flight on the same route to keep travelling.'}
+                          </Text>
+                          <TouchableOpacity style={styles.rebookButton} onPress={() => handleRebook(booking.id)}>
+                            <Text style={styles.rebookButtonText}>Rebook</Text>
+                          </TouchableOpacity>
+                        </View>
+                      )}
+
+                      {/* Delay Banner */}
+                      {isDelayed && (
+                        <View style={styles.delayBanner}>
+                          <Ionicons name="time-outline" size={16} color="#FF6B35" />
+                          <Text style={styles.delayBannerText}>
+                            {flightStatus.delayMinutes > 0 ? `Delayed ${flightStatus.delayMinutes} min` : 'Delayed'}
+                            {flightStatus.delayReason ? ` – ${flightStatus.delayReason}` : ''}
+                          </Text>
+                        </View>
+                      )}
+
+                      {/* Trip Details */}
+                      <View style={styles.tripDetails}>
+                        <View style={styles.tripInfo}>
+                          <View style={styles.tripLeft}>
+                            <Text style={styles.tripDate}>{booking.date}</Text>
+                            <Text style={styles.tripDestination}>{booking.destination}</Text>
+                            {flightStatus && (
+                              <View style={styles.tripTimes}>
+                                {renderTripTime(flightStatus.scheduledDeparture, flightStatus.estimatedDeparture, flightStatus.actualDeparture, flightStatus.from)}
+                                <Ionicons name="arrow-forward" size={12} color="#666666" />
+                                {renderTripTime(flightStatus.scheduledArrival, flightStatus.estimatedArrival, flightStatus.actualArrival, flightStatus.to)}
+                              </View>
+                            )}
+                            <Text style={styles.seatInfo}>{booking.passengerName}</Text>
+                            <Text style={styles.seatInfo}>
+                              {booking.seatClass === 'business' ? 'Falcon Gold' : 'Economy'} • {booking.seatLabel}
+                            </Text>
+                            <Text style={styles.priceInfo}>{formatPrice(booking.totalPrice)}</Text>
+                          </View>
+                          <View style={styles.tripRight}>
+                            <Text style={styles.bookingLabel}>Booking Reference</Text>
+                            <View style={styles.bookingRef}>
+                              <Ionicons name="document-text" size={16} color="#A68F65" />
+                              <Text
+                                style={styles.bookingCode}
+                                numberOfLines={1}
+                                ellipsizeMode="tail"
+                              >
+                                {booking.bookingReference}
+                              </Text>
+                            </View>
+                          </View>
+                        </View>
+
+                        {/* Action Buttons */}
+                        <View style={styles.actionButtons}>
+                          {booking.bookingStatus === 'checked_in' ? (
+                            <TouchableOpacity 
+                              style={[styles.actionButton, styles.checkInButton]}
+                              onPress={() => handleBoardingPass(booking.id)}
+                            >
+                              <Text style={styles.actionButtonText}>Boarding pass</Text>
+                            </TouchableOpacity>
+                          ) : (
+                            <TouchableOpacity 
+                              style={[styles.actionButton, styles.checkInButton, !isCheckInOpen && styles.disabledButton]}
+                              onPress={() => handleCheckIn(booking.id)}
+                              disabled={!isCheckInOpen}
+                            >
+                              <Text style={[styles.actionButtonText, !isCheckInOpen && styles.disabledButtonText]}>
+                                Check in
+                              </Text>
+                            </TouchableOpacity>
+                          )}
+                          
+                          <TouchableOpacity 
+                            style={[styles.actionButton, styles.manageButton]}
+                            onPress={() => handleManageBooking(booking.id)}
+                          >
+                            <Text style={styles.actionButtonText}>Manage</Text>
+                          </TouchableOpacity>
+                        </View>
+
+                        {/* Check-in Message */}
+                        {!isFlightCancelled && <Text style={styles.checkInMessage}>{booking.checkInMessage}</Text>}
+                      </View>
+                    </View>
+                  );
+                })}
+              </View>
+            ) : (
+              <View style={styles.noBookingsContainer}>
+                <Text style={styles.noBookingsText}>No active trips</Text>
+                <Text style={styles.noBookingsSubtext}>You don't have any active bookings. Start planning your next trip!</Text>
+                <TouchableOpacity style={styles.addBookingButton} onPress={handleAddBooking}>
+                  <Ionicons name="add" size={20} color="#FFFFFF" />
+                  <Text style={styles.addBookingButtonText}>Book a flight</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+          </>
+        )}
+      </ScrollView>
+
+      {/* Bottom Navigation Bar */}
+      <View style={styles.bottomNavBar}>
+        <TouchableOpacity style={styles.navItem} onPress={() => router.push('/home')}>
+          <Ionicons name="home" size={24} color="#8B8B8B" />
+          <Text style={styles.navItemText}>Home</Text>
+        </TouchableOpacity>
+        
+        <TouchableOpacity style={styles.navItem}>
+          <Ionicons name="airplane" size={24} color="#A68F65" />
+          <Text style={styles.navItemTextActive}>My Trips</Text>
+        </TouchableOpacity>
+        
+        <TouchableOpacity style={styles.navItem} onPress={() => router.push('/book')}>
+          <Ionicons name="calendar" size={24} color="#8B8B8B" />
+          <Text style={styles.navItemText}>Book</Text>
+        </TouchableOpacity>
+        
+        <TouchableOpacity style={styles.navItem} onPress={() => router.push('/falcon-flyer')}>
+          <Ionicons name="heart" size={24} color="#8B8B8B" />
+          <Text style={styles.navItemText}>Falconflyer</Text>
+        </TouchableOpacity>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+// StyleSheet for My Trips Screen - Same structure as Book page
+const styles = StyleSheet.create({
+  // Main container with white background
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+  // Header section - Same as Book page
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  // Logo container
+  logoContainer: {
+    flex: 1,
+  },
+  // Header logo styling
+  headerLogo: {
+    width: 200,
+    height: 60,
+  },
+  // Header buttons styling
+  headerButtons: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  refreshButton: {
+    padding: 4,
+  },
+  // Menu button styling
+  menuButton: {
+    padding: 4,
+  },
+  // Scroll container
+  scrollContainer: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  // Loading container
+  loadingContainer: {
+    alignItems: 'center',
+    paddingVertical: 40,
+  },
+  // Loading text styling
+  loadingText: {
+    fontSize: 16,
+    color: '#666666',
+  },
+  // Bookings section styling
+  bookingsSection: {
+    marginTop: 16,
+  },
+  // Booking card styling
+  bookingCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    overflow: 'hidden',
+  },
+  // Trip image container
+  tripImageContainer: {
+    position: 'relative',
+    height: 120,
+    borderTopLeftRadius: 12,
+    borderTopRightRadius: 12,
+    overflow: 'hidden',
+  },
+  // Trip image styling
+  tripImage: {
+    width: '100%',
+    height: '100%',
+  },
+  // Image dots indicator
+  imageDots: {
+    position: 'absolute',
+    top: 12,
+    right: 12,
+    flexDirection: 'row',
+    gap: 4,
+  },
+  // Individual dot styling
+  dot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: 'rgba(255, 255, 255, 0.7)',
+  },
+  // Flight status badge on the trip image
+  statusBadge: {
+    position: 'absolute',
+    top: 10,
+    left: 12,
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+  },
+  // Flight status badge text
+  statusBadgeText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  // Cancelled flight banner
+  cancelledBanner: {
+    backgroundColor: '#D32F2F',
+    padding: 16,
+  },
+  // Cancelled flight banner icon and title row
+  cancelledBannerHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 6,
+  },
+  // Cancelled flight banner title
+  cancelledBannerTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  // Cancelled flight banner text
+  cancelledBannerText: {
+    fontSize: 14,
+    color: '#FFFFFF',
+    marginBottom: 12,
+  },
+  // Rebook button
+  rebookButton: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 8,
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  // Rebook button text
+  rebookButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#D32F2F',
+  },
+  // Delay banner
+  delayBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    backgroundColor: '#FFF4EE',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  // Delay banner text
+  delayBannerText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#FF6B35',
+  },
+  // Trip details container
+  tripDetails: {
+    padding: 16,
+    overflow: 'hidden',
+  },
+  // Trip info section
+  tripInfo: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    marginBottom: 16,
+  },
+  // Trip left section
+  tripLeft: {
+    flex: 1,
+  },
+  // Trip date styling
+  tripDate: {
+    fontSize: 14,
+    color: '#666666',
+    marginBottom: 4,
+  },
+  // Trip destination styling
+  tripDestination: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+    marginBottom: 8,
+  },
+  // Passenger info styling
+  passengerInfo: {
+    fontSize: 16,
+    color: '#1A1A2E',
+    marginBottom: 4,
+  },
+  // Departure and arrival times row
+  tripTimes: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 4,
+  },
+  // Departure or arrival time
+  tripTime: {
+    fontSize: 14,
+    color: '#1A1A2E',
+  },
+  // Booked time replaced by a revised one
+  tripTimeReplaced: {
+    color: '#8B8B8B',
+    textDecorationLine: 'line-through',
+  },
+  // Revised time
+  tripTimeRevised: {
+    fontWeight: '600',
+    color: '#FF6B35',
+  },
+  // Seat info styling
+  seatInfo: {
+    fontSize: 14,
+    color: '#666666',
+    marginBottom: 4,
+  },
+  // Price info styling
+  priceInfo: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#A68F65',
+  },
+  // Trip right section
+  tripRight: {
+    alignItems: 'flex-end',
+    maxWidth: '35%',
+    flexShrink: 1,
+  },
+  // Booking label styling
+  bookingLabel: {
+    fontSize: 12,
+    color: '#666666',
+    marginBottom: 4,
+  },
+  // Booking reference container
+  bookingRef: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    maxWidth: '100%',
+  },
+  // Booking code styling
+  bookingCode: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1A1A2E',
+    textAlign: 'right',
+    flexShrink: 1,
+  },
+  // Action buttons container
+  actionButtons: {
+    flexDirection: 'row',
+    gap: 12,
+    marginBottom: 12,
+  },
+  // Action button base styling
+  actionButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  // Check-in button styling
+  checkInButton: {
+    backgroundColor: '#E0E0E0',
+  },
+  // Manage button styling
+  manageButton: {
+    backgroundColor: '#1A1A2E',
+  },
+  // Disabled button styling
+  disabledButton: {
+    backgroundColor: '#F0F0F0',
+  },
+  // Action button text styling
+  actionButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  // Disabled button text styling
+  disabledButtonText: {
+    color: '#999999',
+  },
+  // Check-in message styling
+  checkInMessage: {
+    fontSize: 14,
+    color: '#FF6B35',
+    textAlign: 'center',
+  },
+  // No bookings container
+  noBookingsContainer: {
+    alignItems: 'center',
+    paddingVertical: 40,
+  },
+  // No bookings text styling
+  noBookingsText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1A1A2E',
+    marginBottom: 8,
+  },
+  // No bookings subtext styling
+  noBookingsSubtext: {
+    fontSize: 14,
+    color: '#666666',
+    marginBottom: 20,
+  },
+  // Add booking button styling
+  addBookingButton: {
+    backgroundColor: '#A68F65',
+    borderRadius: 8,
+    paddingVertical: 16,
+    paddingHorizontal: 24,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+  },
+  // Add booking button text styling
+  addBookingButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  // Bottom navigation bar styling
+  bottomNavBar: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    backgroundColor: '#FFFFFF',
+    borderTopWidth: 1,
+    borderTopColor: '#E0E0E0',
+  },
+  // Navigation item styling
+  navItem: {
+    alignItems: 'center',
+    gap: 4,
+  },
+  // Active navigation item text styling
+  navItemTextActive: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#A68F65',
+  },
+  // Inactive navigation item text styling
+  navItemText: {
+    fontSize: 12,
+    fontWeight: '500',
+    color: '#8B8B8B',
+  },
+});
\ No newline at end of file
@@ -0,0 +1,4127 @@
+// Import React hooks and components for flight booking functionality
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  Alert,
+  Modal,
+  FlatList,
+  Image,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { StatusBar } from 'expo-status-bar';
+import { router, useLocalSearchParams } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  flightsAPI,
+  bookingsAPI,
+  isSessionExpiredError,
+  isSeatConflictError,
+} from '../../utils/api';
+import { useAuth } from '../../context/AuthContext';
+import { SEAT_ATTRIBUTES, buildSeatRows } from '../../utils/aircraftConfigs';
+import {
+  FARE_BRANDS,
+  getFareBrand,
+  getDefaultFareBrandKey,
+  getFareBrandPrice,
+  isFareBrandAvailable,
+} from '../../utils/fareBrands';
+import {
+  getFlightDateKey,
+  getLowestFaresByDate,
+  getCheapestDateKey,
+  getNearbyDateKeys,
+  getNearestFareDateKey,
+} from '../../utils/fareCalendar';
+import {
+  SORT_OPTIONS,
+  DEPARTURE_WINDOWS,
+  SEAT_AVAILABILITY_OPTIONS,
+  DEFAULT_RESULT_FILTERS,
+  countActiveFilters,
+  getFlightStatuses,
+  filterFlights,
+  sortFlights,
+} from '../../utils/flightResults';
+import { getItinerarySegments } from '../../utils/connections';
+import { searchRouteFlights } from '../../utils/flightSearch';
+import {
+  loadFareWatches,
+  addFareWatch,
+  removeFareWatch,
+  getFareWatchId,
+  getFareSnapshot,
+} from '../../utils/fareWatch';
+import { requestNotificationPermission } from '../../utils/notifications';
+import {
+  AIRPORTS,
+  getAirport,
+  searchAirports,
+  getNearbyAirports,
+  buildRouteMap,
+  getServedDestinations,
+  isRouteServed,
+} from '../../utils/airports';
+import {
+  toDateKey,
+  parseDateTime,
+  formatTime,
+  formatFullDate,
+  formatShortDate,
+  formatDateKey,
+  formatDuration,
+} from '../../utils/datetime';
+import {
+  loadRecentSearches,
+  loadPinnedSearches,
+  addRecentSearch,
+  clearRecentSearches,
+  togglePinnedSearch,
+  rollSearchDatesForward,
+  describeSearchRoute,
+  getRouteKey,
+} from '../../utils/savedSearches';
+import SeatMap from '../../components/SeatMap';
+import OfflineBanner from '../../components/OfflineBanner';
+
+// Maximum number of legs in a multi-city search
+const MAX_MULTI_CITY_LEGS = 4;
+
+// Empty multi-city leg used when adding a new leg
+const createEmptyLeg = () => ({ origin: '', destination: '', date: '' });
+
+// Maximum number of passengers in one booking
+const MAX_PASSENGERS = 9;
+
+// Passenger types in the order their forms are shown.
+// Ages are checked against the date of travel; fareRatio is the share of the
+// adult fare each type pays (infants travel on an adult's lap).
+const PASSENGER_TYPES = [
+  { key: 'adults', label: 'Adult', apiType: 'adult', minAge: 16, maxAge: null, fareRatio: 1, needsSeat: true },
+  { key: 'youth', label: 'Youth', apiType: 'youth', minAge: 12, maxAge: 15, fareRatio: 1, needsSeat: true },
+  { key: 'children', label: 'Child', apiType: 'child', minAge: 2, maxAge: 11, fareRatio: 0.75, needsSeat: true },
+  { key: 'infants', label: 'Infant', apiType: 'infant', minAge: 0, maxAge: 1, fareRatio: 0.1, needsSeat: false },
+];
+
+// Look up a passenger type by its passengerCounts key
+const getPassengerType = (key) => PASSENGER_TYPES.find((type) => type.key === key);
+
+// Empty traveller form for a passenger type
+const createTraveller = (type) => ({ type, name: '', dateOfBirth: '', passportNumber: '' });
+
+// Human readable age range of a passenger type, e.g. "2-11 years old"
+const describeAgeRange = (type) => {
+  if (type.maxAge === null) return `${type.minAge} or older`;
+  if (type.minAge === 0) return `under ${type.maxAge + 1} years old`;
+  return `${type.minAge}-${type.maxAge} years old`;
+};
+
+/**
+ * Get Age On Date
+ * Full years between a YYYY-MM-DD birth date and a YYYY-MM-DD travel date,
+ * or null when the birth date isn't a valid past date
+ */
+const getAgeOnDate = (dateOfBirth, onDate) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateOfBirth || '');
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  const birth = new Date(Date.UTC(year, month - 1, day));
+  // Reject dates like 2020-02-31 that Date silently rolls over
+  if (birth.getUTCMonth() !== month - 1 || birth.getUTCDate() !== day) return null;
+
+  const [travelYear, travelMonth, travelDay] = onDate.split('-').map(Number);
+  if (birth > new Date(Date.UTC(travelYear, travelMonth - 1, travelDay))) return null;
+
+  let age = travelYear - year;
+  if (travelMonth < month || (travelMonth === month && travelDay < day)) {
+    age -= 1;
+  }
+  return age;
+};
+
+/**
+ * BookScreen Component - Gulf Air App Flight Booking
+ * 
+ * This component provides a comprehensive flight search and booking interface.
+ * It integrates with the FastAPI backend to search flights and create bookings.
+ * 
+ * Features:
+ * - One-way, round-trip and multi-city (up to 4 legs) booking
+ * - Origin and destination selection with airport codes
+ * - Date selection for departure and return
+ * - Passenger count and class selection
+ * - Real-time flight search with backend integration
+ * - Flight results display with booking functionality
+ * 
+ * @returns {JSX.Element} A complete flight booking interface
+ */
+export default function BookScreen() {
+  // Get URL parameters for reschedule functionality and searches opened from a fare watch
+  const { departure, arrival, reschedule, bookingId, date, travelClass } = useLocalSearchParams();
+  // Session state from AuthProvider
+  const { isAuthenticated } = useAuth();
+  
+  // State management for flight search
+  const [flightType, setFlightType] = useState('oneway'); // 'oneway', 'return' or 'multicity'
+  const [origin, setOrigin] = useState('');
+  const [destination, setDestination] = useState('');
+  const [departureDate, setDepartureDate] = useState('');
+  const [returnDate, setReturnDate] = useState('');
+  const [multiCityLegs, setMultiCityLegs] = useState([createEmptyLeg(), createEmptyLeg()]);
+  const [adults, setAdults] = useState(1);
+  const [seatClass, setSeatClass] = useState('economy');
+  
+  // State for search results and UI
+  const [searchLegs, setSearchLegs] = useState([]); // One entry per leg: route, date and its flights
+  const [activeLegIndex, setActiveLegIndex] = useState(0); // Leg whose results are shown
+  const [selectedFlights, setSelectedFlights] = useState([]); // Chosen flight per leg, with its fareBrand
+  const [cardFareBrands, setCardFareBrands] = useState({}); // Fare brand picked on each result card
+  const [isSearching, setIsSearching] = useState(false);
+  const [showAirportModal, setShowAirportModal] = useState(false);
+  const [airportType, setAirportType] = useState('origin'); // 'origin' or 'destination'
+  const [airportLegIndex, setAirportLegIndex] = useState(null); // Multi-city leg being edited
+  const [selectedFlight, setSelectedFlight] = useState(null); // Flight whose seat map is shown
+  const [showBookingModal, setShowBookingModal] = useState(false);
+  const [showCalendarModal, setShowCalendarModal] = useState(false);
+  const [calendarType, setCalendarType] = useState('departure'); // 'departure', 'return' or 'leg'
+  const [calendarLegIndex, setCalendarLegIndex] = useState(null); // Multi-city leg being edited
+  const [showClassModal, setShowClassModal] = useState(false);
+  const [showPassengerModal, setShowPassengerModal] = useState(false);
+  const [selectedSeats, setSelectedSeats] = useState({}); // { flightId: { travellerIndex: seatId } }
+  const [activeTravellerIndex, setActiveTravellerIndex] = useState(0); // Traveller whose seat is being picked
+  const [seatMaps, setSeatMaps] = useState({}); // { flightId: { occupied, blocked, isLoading, error } }
+  const [currentMonthIndex, setCurrentMonthIndex] = useState(0);
+  const [routeFares, setRouteFares] = useState({}); // { 'BAH-LHR': { flights, isLoading, error } } for the fare calendar
+  // Sort and filters of the results, kept across searches and the booking modal
+  const [resultSort, setResultSort] = useState('departure');
+  const [resultFilters, setResultFilters] = useState(DEFAULT_RESULT_FILTERS);
+  const [showFilterModal, setShowFilterModal] = useState(false);
+  
+  // Booking form state - one traveller form per passenger plus a contact email
+  const [travellers, setTravellers] = useState([createTraveller('adults')]);
+  const [contactEmail, setContactEmail] = useState('');
+  
+  // Fare brand of the travel class, used to price the fare calendar, the
+  // nearby dates strip and the price sort and filter
+  const defaultFareBrand = getFareBrand(getDefaultFareBrandKey(seatClass));
+  const getDefaultFarePrice = (flight) => getFareBrandPrice(defaultFareBrand, flight);
+
+  // Results and seat of the leg currently shown
+  const activeLeg = searchLegs[activeLegIndex] || null;
+  const searchResults = activeLeg ? activeLeg.flights : [];
+  const visibleResults = sortFlights(
+    filterFlights(searchResults, resultFilters, getDefaultFarePrice),
+    resultSort,
+    getDefaultFarePrice
+  );
+  const activeFilterCount = countActiveFilters(resultFilters);
+  const noFlightsForSelectedDate = !!activeLeg?.noFlightsForSelectedDate;
+
+  // Infants sit on a lap, every other traveller needs a seat on every flight
+  const seatedTravellerIndexes = travellers
+    .map((traveller, index) => (getPassengerType(traveller.type).needsSeat ? index : null))
+    .filter((index) => index !== null);
+  // Flights actually booked: a connection is booked as its two segments
+  const bookedFlights = selectedFlights.flatMap(getItinerarySegments);
+  const flightSeats = selectedFlight ? selectedSeats[selectedFlight.id] || {} : {};
+  const selectedSeat = flightSeats[activeTravellerIndex] || null;
+  const allSeatsSelected = bookedFlights.length > 0 && bookedFlights.every((flight) =>
+    seatedTravellerIndexes.every((index) => selectedSeats[flight.id]?.[index])
+  );
+
+  // Passenger counts state
+  const [passengerCounts, setPassengerCounts] = useState({
+    adults: 1,
+    children: 0,
+    infants: 0,
+    youth: 0
+  });
+
+  // Route map from the backend flights list: { origin: [destinations] }
+  // Stays null when it can't be loaded, so every airport can still be picked
+  const [routeMap, setRouteMap] = useState(null);
+  const [airportQuery, setAirportQuery] = useState(''); // Typeahead text in the airport modal
+  const [recentSearches, setRecentSearches] = useState([]); // Last searches, newest first
+  const [pinnedSearches, setPinnedSearches] = useState([]); // Routes pinned by the user
+  const [fareWatchIds, setFareWatchIds] = useState([]); // Ids of the fares being watched
+
+  // Load the served routes once for the airport picker
+  useEffect(() => {
+    const loadRouteMap = async () => {
+      try {
+        const flights = await flightsAPI.getAllFlights();
+        setRouteMap(buildRouteMap(flights));
+      } catch (error) {
+        console.warn('Could not load routes, showing every airport:', error.message);
+      }
+    };
+    loadRouteMap();
+  }, []);
+
+  // Load recent and pinned searches stored on the device
+  useEffect(() => {
+    const loadSavedSearches = async () => {
+      const [recent, pinned] = await Promise.all([loadRecentSearches(), loadPinnedSearches()]);
+      setRecentSearches(recent);
+      setPinnedSearches(pinned);
+    };
+    loadSavedSearches();
+  }, []);
+
+  // Load fare watches so results show which fares are already watched
+  useEffect(() => {
+    loadFareWatches().then((watches) => setFareWatchIds(watches.map((watch) => watch.id)));
+  }, []);
+
+  // Handle reschedule parameters on component mount
+  useEffect(() => {
+    if (reschedule === 'true' && departure && arrival) {
+      console.log('Reschedule mode detected:', { departure, arrival, bookingId });
+      setOrigin(departure);
+      setDestination(arrival);
+      
+      // Set departure date to tomorrow for reschedule
+      const tomorrow = new Date();
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      setDepartureDate(toDateKey(tomorrow));
+      
+      // Show reschedule notification
+      Alert.alert(
+        'Reschedule Mode',
+        `You are rescheduling a flight from ${departure} to ${arrival}. Please select your new departure date and search for available flights.`,
+        [{ text: 'OK' }]
+      );
+    }
+  }, [reschedule, departure, arrival, bookingId]);
+
+  // Search a route and date opened from the Fare Watch screen
+  useEffect(() => {
+    if (reschedule === 'true' || !departure || !arrival || !date) return;
+    rerunSearch({
+      flightType: 'oneway',
+      origin: departure,
+      destination: arrival,
+      departureDate: date,
+      seatClass: travelClass || 'economy',
+    });
+  }, [reschedule, departure, arrival, date, travelClass]);
+
+  /**
+   * Handle Flight Type Selection
+   * Updates the flight type and clears results from the previous type
+   */
+  const handleFlightTypeChange = (type) => {
+    if (type === flightType) return;
+    setFlightType(type);
+    clearSearchResults();
+
+    // Start the first multi-city leg from the one-way/return route
+    if (type === 'multicity') {
+      setMultiCityLegs(prev => {
+        const legs = [...prev];
+        legs[0] = {
+          origin: legs[0].origin || origin,
+          destination: legs[0].destination || destination,
+          date: legs[0].date || departureDate,
+        };
+        return legs;
+      });
+    }
+  };
+
+  /**
+   * Clear Search Results
+   * Resets results and flight selections for every leg
+   */
+  const clearSearchResults = () => {
+    setSearchLegs([]);
+    setActiveLegIndex(0);
+    setSelectedFlights([]);
+    setSelectedFlight(null);
+    setSelectedSeats({});
+  };
+
+  /**
+   * Update Multi-city Leg
+   * Changes one field of a multi-city leg
+   */
+  const updateMultiCityLeg = (legIndex, field, value) => {
+    setMultiCityLegs(prev => prev.map((leg, index) => (
+      index === legIndex ? { ...leg, [field]: value } : leg
+    )));
+  };
+
+  /**
+   * Add Multi-city Leg
+   * Adds a leg starting where the previous one ends (up to MAX_MULTI_CITY_LEGS)
+   */
+  const addMultiCityLeg = () => {
+    setMultiCityLegs(prev => {
+      if (prev.length >= MAX_MULTI_CITY_LEGS) return prev;
+      const lastLeg = prev[prev.length - 1];
+      return [...prev, { ...createEmptyLeg(), origin: lastLeg.destination }];
+    });
+    clearSearchResults();
+  };
+
+  /**
+   * Remove Multi-city Leg
+   * Removes a leg, keeping at least two
+   */
+  const removeMultiCityLeg = (legIndex) => {
+    setMultiCityLegs(prev => (prev.length <= 2 ? prev : prev.filter((_, index) => index !== legIndex)));
+    clearSearchResults();
+  };
+
+  /**
+   * Handle Airport Selection
+   * Opens modal for selecting origin or destination airport
+   */
+  const handleAirportSelect = (type, legIndex = null) => {
+    setAirportType(type);
+    setAirportLegIndex(legIndex);
+    setAirportQuery('');
+    setShowAirportModal(true);
+  };
+
+  /**
+   * Get Picker Origin
+   * Origin of the route being edited in the airport modal
+   */
+  const getPickerOrigin = () => {
+    return airportLegIndex !== null ? multiCityLegs[airportLegIndex]?.origin : origin;
+  };
+
+  /**
+   * Get Airport Options
+   * Origins with departures, or the destinations served from the chosen
+   * origin (directly or via Bahrain). Every airport while routes aren't loaded.
+   */
+  const getAirportOptions = () => {
+    if (!routeMap) return AIRPORTS;
+    if (airportType === 'origin') {
+      return AIRPORTS.filter(airport => routeMap[airport.iata]?.length > 0);
+    }
+    const pickerOrigin = getPickerOrigin();
+    if (!pickerOrigin) return AIRPORTS;
+    const servedDestinations = getServedDestinations(routeMap, pickerOrigin);
+    return AIRPORTS.filter(airport => servedDestinations.includes(airport.iata));
+  };
+
+  /**
+   * Get Unserved Matches
+   * Airports matching the typeahead that aren't offered, each with the
+   * closest offered airports, so the modal can suggest an alternative
+   */
+  const getUnservedMatches = () => {
+    if (!airportQuery.trim()) return [];
+    const options = getAirportOptions();
+    return searchAirports(airportQuery)
+      .filter(airport => !options.includes(airport))
+      .map(airport => ({
+        ...airport,
+        nearby: getNearbyAirports(airport.iata, 1500, options).slice(0, 3),
+      }));
+  };
+
+  /**
+   * Select Airport from Modal
+   * Updates the selected airport and closes modal. A new origin clears a
+   * destination that isn't served from it.
+   */
+  const selectAirport = (airport) => {
+    const code = airport.iata;
+    if (airportLegIndex !== null) {
+      updateMultiCityLeg(airportLegIndex, airportType, code);
+      const legDestination = multiCityLegs[airportLegIndex]?.destination;
+      if (airportType === 'origin' && routeMap && legDestination && !isRouteServed(routeMap, code, legDestination)) {
+        updateMultiCityLeg(airportLegIndex, 'destination', '');
+      }
+    } else if (airportType === 'origin') {
+      setOrigin(code);
+      if (routeMap && destination && !isRouteServed(routeMap, code, destination)) {
+        setDestination('');
+      }
+    } else {
+      setDestination(code);
+    }
+    clearSearchResults();
+    setShowAirportModal(false);
+  };
+
+  /**
+   * Get Airport Name from Code
+   * Returns the city and code for display
+   */
+  const getAirportName = (code) => {
+    const airport = getAirport(code);
+    return airport ? `${airport.city} (${airport.iata})` : code;
+  };
+
+  /**
+   * Describe Layover
+   * Stop of a connection, e.g. "1 stop • 2h 05m in Bahrain (BAH)"
+   */
+  const describeLayover = (flight) => {
+    return `1 stop • ${formatDuration(flight.layover.minutes)} in ${getAirportName(flight.layover.airport)}`;
+  };
+
+  /**
+   * Group flights by date
+   * Returns an object with dates as keys and arrays of flights as values
+   */
+  const groupFlightsByDate = (flights) => {
+    const grouped = {};
+    flights.forEach(flight => {
+      const dateKey = getFlightDateKey(flight);
+      if (!grouped[dateKey]) {
+        grouped[dateKey] = [];
+      }
+      grouped[dateKey].push(flight);
+    });
+    return grouped;
+  };
+
+  /**
+   * Handle Date Selection
+   * Opens calendar modal for date selection
+   */
+  const handleDateSelect = (type = 'departure', legIndex = null) => {
+    setCalendarType(type);
+    setCalendarLegIndex(legIndex);
+    setShowCalendarModal(true);
+
+    const route = getCalendarRoute(type, legIndex);
+    if (route) {
+      loadRouteFares(route.origin, route.destination);
+    }
+  };
+
+  /**
+   * Get Calendar Route
+   * Route of the date being picked, or null while origin or destination is missing
+   */
+  const getCalendarRoute = (type = calendarType, legIndex = calendarLegIndex) => {
+    let route = { origin, destination };
+    if (type === 'return') {
+      route = { origin: destination, destination: origin };
+    } else if (type === 'leg') {
+      route = multiCityLegs[legIndex] || {};
+    }
+    return route.origin && route.destination && route.origin !== route.destination ? route : null;
+  };
+
+  /**
+   * Load Route Fares
+   * Fetches every flight of a route so the calendar can show fares per day
+   */
+  const loadRouteFares = async (routeOrigin, routeDestination) => {
+    const routeKey = `${routeOrigin}-${routeDestination}`;
+    setRouteFares(prev => ({ ...prev, [routeKey]: { ...prev[routeKey], isLoading: true, error: null } }));
+
+    try {
+      const flights = await searchRouteFlights(routeOrigin, routeDestination);
+      setRouteFares(prev => ({
+        ...prev,
+        [routeKey]: { flights, isLoading: false, error: null },
+      }));
+    } catch (error) {
+      console.error('Route fares error:', error);
+      setRouteFares(prev => ({
+        ...prev,
+        [routeKey]: { ...prev[routeKey], isLoading: false, error: 'Fares could not be loaded.' },
+      }));
+    }
+  };
+
+  /**
+   * Get Calendar Fare Info
+   * Lowest fare per day and the cheapest selectable day of the calendar route
+   */
+  const getCalendarFareInfo = () => {
+    const route = getCalendarRoute();
+    const routeFare = route ? routeFares[`${route.origin}-${route.destination}`] : null;
+    if (!routeFare?.flights) {
+      return { isLoaded: false, isLoading: !!routeFare?.isLoading, faresByDate: {}, cheapestDateKey: null };
+    }
+
+    const faresByDate = getLowestFaresByDate(routeFare.flights, defaultFareBrand);
+    const firstDateKey = getMinimumDate() || toDateKey(new Date());
+    const cheapestDateKey = getCheapestDateKey(
+      faresByDate,
+      Object.keys(faresByDate).filter((dateKey) => dateKey >= firstDateKey)
+    );
+    return { isLoaded: true, isLoading: routeFare.isLoading, faresByDate, cheapestDateKey };
+  };
+
+  /**
+   * Get Minimum Selectable Date
+   * Return and later multi-city dates can't be before the previous departure
+   */
+  const getMinimumDate = () => {
+    if (calendarType === 'return') return departureDate || null;
+    if (calendarType === 'leg' && calendarLegIndex > 0) {
+      // Latest date chosen on any earlier leg
+      const earlierDates = multiCityLegs
+        .slice(0, calendarLegIndex)
+        .map(leg => leg.date)
+        .filter(Boolean)
+        .sort();
+      return earlierDates[earlierDates.length - 1] || null;
+    }
+    return null;
+  };
+
+  /**
+   * Select Date from Calendar
+   * Updates the selected date and closes modal
+   */
+  const selectDate = (date) => {
+    // Use local date format to avoid timezone issues
+    const formattedDate = toDateKey(date); // YYYY-MM-DD format
+    
+    console.log('Date selected:', date);
+    console.log('Formatted date:', formattedDate);
+    
+    if (calendarType === 'return') {
+      setReturnDate(formattedDate);
+    } else if (calendarType === 'leg') {
+      updateMultiCityLeg(calendarLegIndex, 'date', formattedDate);
+    } else {
+      setDepartureDate(formattedDate);
+      // Keep the return date after the new departure date
+      if (returnDate && returnDate < formattedDate) {
+        setReturnDate('');
+      }
+    }
+    clearSearchResults();
+    setShowCalendarModal(false);
+  };
+
+  /**
+   * Generate Calendar Data
+   * Creates calendar data for the current and next few months
+   */
+  const generateCalendarData = () => {
+    const today = new Date();
+    const months = [];
+    const fareInfo = getCalendarFareInfo();
+    
+    // Generate next 6 months
+    for (let i = 0; i < 6; i++) {
+      const month = new Date(today.getFullYear(), today.getMonth() + i, 1);
+      const monthData = {
+        year: month.getFullYear(),
+        month: month.getMonth(),
+        monthName: month.toLocaleDateString('en-US', { month: 'long' }),
+        days: generateMonthDays(month, fareInfo)
+      };
+      months.push(monthData);
+    }
+    
+    return months;
+  };
+
+  /**
+   * Generate Days for a Specific Month
+   * Creates calendar grid for a month with the lowest fare of each day.
+   * Once the route's fares are loaded, days without flights can't be picked.
+   */
+  const generateMonthDays = (monthDate, fareInfo) => {
+    const year = monthDate.getFullYear();
+    const month = monthDate.getMonth();
+    const firstDay = new Date(year, month, 1);
+    const lastDay = new Date(year, month + 1, 0);
+    const daysInMonth = lastDay.getDate();
+    // Weeks start on Monday, matching the days of week header (getDay: 0 = Sunday)
+    const startingDayOfWeek = (firstDay.getDay() + 6) % 7;
+    
+    const days = [];
+    // Use consistent date for today comparison
+    const today = new Date();
+    const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    // Earliest date allowed for the field being edited (e.g. return after departure)
+    const minimumDate = getMinimumDate();
+    const minimumStart = minimumDate ? new Date(`${minimumDate}T00:00:00`) : todayStart;
+    
+    // Add empty cells for days before the first day of the month
+    for (let i = 0; i < startingDayOfWeek; i++) {
+      days.push(null);
+    }
+    
+    // Add days of the month
+    for (let day = 1; day <= daysInMonth; day++) {
+      // Create date at noon to avoid timezone issues
+      const date = new Date(year, month, day, 12, 0, 0);
+      const dateStart = new Date(year, month, day);
+      const isPast = dateStart < todayStart;
+      const isToday = dateStart.getTime() === todayStart.getTime();
+      const isBeforeMinimum = dateStart < minimumStart;
+      const dateKey = toDateKey(dateStart);
+      const fare = fareInfo.faresByDate[dateKey];
+      const hasNoService = fareInfo.isLoaded && fare === undefined;
+      
+      days.push({
+        day,
+        date,
+        fare,
+        isPast: isPast || isBeforeMinimum,
+        isToday,
+        hasNoService: hasNoService && !isPast && !isBeforeMinimum,
+        isCheapest: dateKey === fareInfo.cheapestDateKey,
+        isSelectable: !isPast && !isBeforeMinimum && !hasNoService
+      });
+    }
+    
+    return days;
+  };
+
+  /**
+   * Update Result Filter
+   * Changes one filter of the search results
+   */
+  const updateResultFilter = (field, value) => {
+    setResultFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  /**
+   * Toggle Status Filter
+   * Adds or removes a flight status from the status filter
+   */
+  const toggleStatusFilter = (status) => {
+    setResultFilters(prev => ({
+      ...prev,
+      statuses: prev.statuses.includes(status)
+        ? prev.statuses.filter(entry => entry !== status)
+        : [...prev.statuses, status],
+    }));
+  };
+
+  /**
+   * Clear Result Filters
+   * Shows every flight of the leg again
+   */
+  const clearResultFilters = () => {
+    setResultFilters(DEFAULT_RESULT_FILTERS);
+  };
+
+  /**
+   * Available Seat Classes
+   * Defines the seat class options that match the backend
+   */
+  const seatClasses = [
+    { value: 'economy', label: 'Economy' },
+    { value: 'falcon_gold', label: 'Falcon Gold' },
+  ];
+
+  /**
+   * Select Seat Class
+   * Updates the selected seat class and closes modal
+   */
+  const selectSeatClass = (classValue) => {
+    setSeatClass(classValue);
+    setShowClassModal(false);
+  };
+
+  /**
+   * Handle Passenger Count Changes
+   * Updates passenger counts with validation
+   */
+  const updatePassengerCount = (type, delta) => {
+    setPassengerCounts(prev => {
+      const newCounts = { ...prev };
+      newCounts[type] = Math.max(0, Math.min(MAX_PASSENGERS, newCounts[type] + delta));
+      
+      // Ensure at least 1 adult
+      if (type === 'adults' && newCounts[type] < 1) {
+        newCounts[type] = 1;
+      }
+
+      // Each infant travels on an adult's lap, so never more infants than adults
+      newCounts.infants = Math.min(newCounts.infants, newCounts.adults);
+      
+      return newCounts;
+    });
+  };
+
+  /**
+   * Get Total Passenger Count
+   * Calculates total number of passengers
+   */
+  const getTotalPassengers = () => {
+    return passengerCounts.adults + passengerCounts.children + passengerCounts.infants + passengerCounts.youth;
+  };
+
+  /**
+   * Get Remaining Passenger Slots
+   * Calculates how many more passengers can be added
+   */
+  const getRemainingPassengers = () => {
+    return MAX_PASSENGERS - getTotalPassengers();
+  };
+
+  /**
+   * Build Traveller Forms
+   * Creates one form per passenger from the passenger counts, keeping details
+   * already entered for travellers of the same type
+   */
+  const buildTravellers = () => {
+    const nextTravellers = [];
+    PASSENGER_TYPES.forEach((type) => {
+      const existing = travellers.filter((traveller) => traveller.type === type.key);
+      for (let count = 0; count < passengerCounts[type.key]; count++) {
+        nextTravellers.push(existing[count] || createTraveller(type.key));
+      }
+    });
+    return nextTravellers;
+  };
+
+  /**
+   * Update Traveller
+   * Changes one field of a traveller form
+   */
+  const updateTraveller = (index, field, value) => {
+    setTravellers(prev => prev.map((traveller, travellerIndex) => (
+      travellerIndex === index ? { ...traveller, [field]: value } : traveller
+    )));
+  };
+
+  /**
+   * Get Traveller Label
+   * Name of a traveller for messages, or their position when not entered yet
+   */
+  const getTravellerLabel = (index) => {
+    return travellers[index]?.name.trim() || `Passenger ${index + 1}`;
+  };
+
+  /**
+   * Get Lap Adult
+   * The nth infant travels on the lap of the nth adult
+   */
+  const getLapAdultIndex = (infantIndex) => {
+    const infantNumber = travellers.slice(0, infantIndex).filter((traveller) => traveller.type === 'infants').length;
+    const adultIndexes = travellers
+      .map((traveller, index) => (traveller.type === 'adults' ? index : null))
+      .filter((index) => index !== null);
+    return adultIndexes[infantNumber] ?? null;
+  };
+
+  /**
+   * Validate Travellers
+   * Checks the contact email and every traveller form, including that each
+   * date of birth matches the passenger type on the day of travel.
+   * Returns an error message, or null when everything is valid.
+   */
+  const validateTravellers = () => {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!contactEmail.trim()) return 'Please enter a contact email address';
+    if (!emailRegex.test(contactEmail.trim())) return 'Please enter a valid email address';
+
+    const firstTravelDate = searchLegs[0]?.date;
+    const lastTravelDate = searchLegs[searchLegs.length - 1]?.date;
+
+    for (let index = 0; index < travellers.length; index++) {
+      const traveller = travellers[index];
+      const type = getPassengerType(traveller.type);
+      const label = `Passenger ${index + 1} (${type.label})`;
+
+      if (!traveller.name.trim()) return `Please enter the name of ${label}`;
+      if (!traveller.passportNumber.trim()) return `Please enter the passport number of ${label}`;
+
+      const age = getAgeOnDate(traveller.dateOfBirth.trim(), firstTravelDate);
+      if (age === null) return `Please enter a valid date of birth (YYYY-MM-DD) for ${label}`;
+      if (age < type.minAge || (type.maxAge !== null && age > type.maxAge)) {
+        return `${label} must be ${describeAgeRange(type)} on the day of travel`;
+      }
+
+      // An infant who turns 2 during the trip needs their own seat
+      if (!type.needsSeat && getAgeOnDate(traveller.dateOfBirth.trim(), lastTravelDate) > type.maxAge) {
+        return `${label} turns ${type.maxAge + 1} before the last flight and must be booked as a Child`;
+      }
+    }
+
+    if (travellers.filter((traveller) => traveller.type === 'infants').length >
+        travellers.filter((traveller) => traveller.type === 'adults').length) {
+      return 'Each infant must travel on the lap of an adult';
+    }
+
+    return null;
+  };
+
+  /**
+   * Get Seat Owner
+   * Index of the traveller holding a seat on the shown flight, or null
+   */
+  const getSeatOwner = (seatId) => {
+    const entry = Object.entries(flightSeats).find(([, id]) => id === seatId);
+    return entry ? Number(entry[0]) : null;
+  };
+
+  /**
+   * Can Sit In Exit Row
+   * Exit rows are not allowed for children or for adults holding an infant
+   */
+  const canSitInExitRow = (index) => {
+    if (travellers[index]?.type === 'children') return false;
+    return !travellers.some((traveller, travellerIndex) => (
+      traveller.type === 'infants' && getLapAdultIndex(travellerIndex) === index
+    ));
+  };
+
+  /**
+   * Select Seat
+   * Gives the active traveller a seat on the shown flight, then moves on to
+   * the next traveller who still needs one
+   */
+  const selectSeat = (seatId) => {
+    if (!selectedFlight) return;
+
+    const seat = findFlightSeat(selectedFlight, seatId);
+    if (!seat || seat.status !== 'available') return;
+
+    // Children and adults with an infant on their lap can't sit in an exit row
+    if (seat.attributes.includes('exit_row') && !canSitInExitRow(activeTravellerIndex)) {
+      Alert.alert(
+        'Exit Row Not Allowed',
+        `${getTravellerLabel(activeTravellerIndex)} can't sit in an exit row. Children and adults travelling with an infant need another seat.`
+      );
+      return;
+    }
+
+    const ownerIndex = getSeatOwner(seatId);
+    if (ownerIndex !== null && ownerIndex !== activeTravellerIndex) {
+      Alert.alert('Seat Taken', `Seat ${seatId} is already selected for ${getTravellerLabel(ownerIndex)}.`);
+      return;
+    }
+
+    const nextFlightSeats = { ...flightSeats, [activeTravellerIndex]: seatId };
+    setSelectedSeats(prev => ({ ...prev, [selectedFlight.id]: nextFlightSeats }));
+
+    const nextTravellerIndex = seatedTravellerIndexes.find((index) => !nextFlightSeats[index]);
+    if (nextTravellerIndex !== undefined) {
+      setActiveTravellerIndex(nextTravellerIndex);
+    }
+  };
+
+  /**
+   * Release Taken Seats
+   * Drops selections on a flight that turned out to be taken and returns the
+   * first traveller who lost their seat
+   */
+  const releaseTakenSeats = (flightId, takenSeats) => {
+    const seats = selectedSeats[flightId] || {};
+    const releasedIndexes = seatedTravellerIndexes.filter((index) => takenSeats.includes(seats[index]));
+    setSelectedSeats(prev => {
+      const nextSeats = { ...(prev[flightId] || {}) };
+      releasedIndexes.forEach((index) => {
+        delete nextSeats[index];
+      });
+      return { ...prev, [flightId]: nextSeats };
+    });
+    return releasedIndexes[0];
+  };
+
+  /**
+   * Select Seat Flight
+   * Shows the seat map of another flight in the itinerary
+   */
+  const selectSeatFlight = (flight) => {
+    setSelectedFlight(flight);
+    const seats = selectedSeats[flight.id] || {};
+    const nextTravellerIndex = seatedTravellerIndexes.find((index) => !seats[index]);
+    setActiveTravellerIndex(nextTravellerIndex ?? seatedTravellerIndexes[0]);
+  };
+
+  /**
+   * Get Flight Fare Brand
+   * Fare brand of a selected flight, or the default brand of the travel class
+   */
+  const getFlightFareBrand = (flight) => {
+    return getFareBrand(flight?.fareBrand || getDefaultFareBrandKey(seatClass));
+  };
+
+  /**
+   * Get Flight Seat Class
+   * Frontend seat class ('economy' or 'falcon_gold') of a selected flight
+   */
+  const getFlightSeatClass = (flight) => {
+    return getFlightFareBrand(flight).seatClass;
+  };
+
+  /**
+   * Get Backend Seat Class
+   * Maps the seat class of a selected flight to the backend one
+   */
+  const getBackendSeatClass = (flight) => {
+    return getFlightSeatClass(flight) === 'falcon_gold' ? 'business' : 'economy';
+  };
+
+  /**
+   * Load Seat Map
+   * Fetches the occupied and blocked seats of a flight in the selected class
+   */
+  const loadSeatMap = async (flight) => {
+    setSeatMaps(prev => ({
+      ...prev,
+      [flight.id]: { occupied: [], blocked: [], ...prev[flight.id], isLoading: true, error: null },
+    }));
+    try {
+      const response = await flightsAPI.getSeatMap(flight.id, getBackendSeatClass(flight));
+      setSeatMaps(prev => ({
+        ...prev,
+        [flight.id]: {
+          occupied: response.occupied_seats || [],
+          blocked: response.blocked_seats || [],
+          isLoading: false,
+          error: null,
+        },
+      }));
+      return response;
+    } catch (error) {
+      console.error('Error loading seat map:', error);
+      setSeatMaps(prev => ({
+        ...prev,
+        [flight.id]: { ...prev[flight.id], isLoading: false, error: error.message || 'Could not load seats' },
+      }));
+      return null;
+    }
+  };
+
+  /**
+   * Get Seat Rows
+   * Builds the seat rows of a flight from its aircraft config and seat map.
+   * Seat status is 'available', 'occupied' or 'blocked'; selection is tracked
+   * separately in selectedSeats.
+   */
+  const getSeatRows = (flight) => {
+    return buildSeatRows(flight?.aircraftType, getFlightSeatClass(flight), seatMaps[flight?.id]);
+  };
+
+  /**
+   * Find Flight Seat
+   * Returns a seat with its status, attributes and surcharge, or null
+   */
+  const findFlightSeat = (flight, seatId) => {
+    if (!flight || !seatId) return null;
+    return getSeatRows(flight)
+      .flatMap((row) => row.seats)
+      .find((seat) => seat.id === seatId) || null;
+  };
+
+  /**
+   * Describe Seat
+   * Seat number with its attributes, e.g. "12A • Window, Exit row"
+   */
+  const describeSeat = (seat) => {
+    const labels = seat.attributes.map((attribute) => SEAT_ATTRIBUTES[attribute].label);
+    return labels.length > 0 ? `${seat.id} • ${labels.join(', ')}` : seat.id;
+  };
+
+  /**
+   * Get Seat Surcharge Total
+   * Sum of the surcharges of every selected seat on every flight
+   */
+  const getSeatSurchargeTotal = () => {
+    return bookedFlights.reduce((total, flight) => {
+      const seats = Object.values(selectedSeats[flight.id] || {});
+      return total + seats.reduce((flightTotal, seatId) => (
+        flightTotal + (findFlightSeat(flight, seatId)?.surcharge || 0)
+      ), 0);
+    }, 0);
+  };
+
+  /**
+   * Format Price for Display
+   * Formats price to 2 decimal places with proper currency formatting
+   */
+  const formatPrice = (price) => {
+    if (typeof price !== 'number') return 'BHD 0.000';
+    return `BHD ${price.toFixed(3)}`;
+  };
+
+  /**
+   * Get Flight Price
+   * Returns the fare of a flight in its fare brand
+   */
+  const getFlightPrice = (flight) => {
+    if (!flight) return 0;
+    return getFareBrandPrice(getFlightFareBrand(flight), flight);
+  };
+
+  /**
+   * Get Card Fare Brand
+   * Fare brand shown as chosen on a result card, defaults to the travel class
+   */
+  const getCardFareBrand = (flight) => {
+    const brand = getFareBrand(cardFareBrands[flight.id] || getDefaultFareBrandKey(seatClass));
+    if (isFareBrandAvailable(brand, flight)) return brand;
+    // Fall back to the first brand that still has seats
+    return FARE_BRANDS.find((fareBrand) => isFareBrandAvailable(fareBrand, flight)) || brand;
+  };
+
+  /**
+   * Select Card Fare Brand
+   * Switches the fare brand of a result card
+   */
+  const selectCardFareBrand = (flight, brandKey) => {
+    setCardFareBrands(prev => ({ ...prev, [flight.id]: brandKey }));
+  };
+
+  /**
+   * Format Price Difference
+   * Signed difference between two prices, e.g. "+BHD 12.500"
+   */
+  const formatPriceDifference = (price, basePrice) => {
+    const difference = Math.round((price - basePrice) * 1000) / 1000;
+    if (difference === 0) return 'Selected';
+    return `${difference > 0 ? '+' : '−'}${formatPrice(Math.abs(difference))}`;
+  };
+
+  /**
+   * Get Itinerary Total
+   * Sums the fares of every traveller on every leg plus paid seats
+   */
+  const getItineraryTotal = () => {
+    const fares = getFareBreakdown().reduce((total, row) => total + row.subtotal, 0);
+    return fares + getSeatSurchargeTotal();
+  };
+
+  /**
+   * Get Traveller Fare
+   * Price of one flight for a traveller, based on their passenger type
+   */
+  const getTravellerFare = (traveller, flight) => {
+    const fare = (getFlightPrice(flight) || 0) * getPassengerType(traveller.type).fareRatio;
+    return Math.round(fare * 1000) / 1000;
+  };
+
+  /**
+   * Get Fare Breakdown
+   * One row per passenger type in the booking with its count, the fare per
+   * passenger for the whole itinerary and the subtotal
+   */
+  const getFareBreakdown = () => {
+    return PASSENGER_TYPES
+      .map((type) => {
+        const count = travellers.filter((traveller) => traveller.type === type.key).length;
+        const unitFare = selectedFlights.reduce(
+          (total, flight) => total + getTravellerFare({ type: type.key }, flight),
+          0
+        );
+        return { key: type.key, label: type.label, count, unitFare, subtotal: unitFare * count };
+      })
+      .filter((row) => row.count > 0);
+  };
+
+  /**
+   * Get Search Form
+   * The search form as it is filled in, in the shape stored for recent searches
+   */
+  const getSearchForm = () => ({
+    flightType,
+    origin,
+    destination,
+    departureDate,
+    returnDate,
+    multiCityLegs,
+    seatClass,
+    passengerCounts,
+  });
+
+  /**
+   * Get Search Legs
+   * Returns route and date of every leg for the flight type of a search form
+   */
+  const getSearchLegs = (form) => {
+    if (form.flightType === 'return') {
+      return [
+        { origin: form.origin, destination: form.destination, date: form.departureDate, label: 'Outbound' },
+        { origin: form.destination, destination: form.origin, date: form.returnDate, label: 'Inbound' },
+      ];
+    }
+    if (form.flightType === 'multicity') {
+      return form.multiCityLegs.map((leg, index) => ({ ...leg, label: `Flight ${index + 1}` }));
+    }
+    return [{ origin: form.origin, destination: form.destination, date: form.departureDate, label: 'Outbound' }];
+  };
+
+  /**
+   * Validate Search Legs
+   * Returns an error message for the first incomplete leg, or null
+   */
+  const validateSearchLegs = (legs, type) => {
+    for (let index = 0; index < legs.length; index++) {
+      const leg = legs[index];
+      const legName = type === 'multicity' ? ` for flight ${index + 1}` : '';
+      if (!leg.origin || !leg.destination) {
+        return `Please select origin and destination${legName}`;
+      }
+      if (leg.origin === leg.destination) {
+        return `Origin and destination must be different${legName}`;
+      }
+      if (routeMap && !isRouteServed(routeMap, leg.origin, leg.destination)) {
+        return `Gulf Air doesn't fly between ${getAirportName(leg.origin)} and ${getAirportName(leg.destination)}${legName}`;
+      }
+      if (!leg.date) {
+        return type === 'return' && index === 1
+          ? 'Please select return date'
+          : `Please select departure date${legName}`;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Rerun Search
+   * Fills the search form from a recent or pinned search and searches again,
+   * moving dates in the past forward first
+   */
+  const rerunSearch = (search) => {
+    const form = rollSearchDatesForward({
+      ...getSearchForm(),
+      returnDate: '',
+      multiCityLegs: [createEmptyLeg(), createEmptyLeg()],
+      ...search,
+    });
+    clearSearchResults();
+    setFlightType(form.flightType);
+    setOrigin(form.origin);
+    setDestination(form.destination);
+    setDepartureDate(form.departureDate);
+    setReturnDate(form.returnDate);
+    setMultiCityLegs(form.multiCityLegs);
+    setSeatClass(form.seatClass);
+    setPassengerCounts(form.passengerCounts);
+    searchFlights(form);
+  };
+
+  /**
+   * Describe Search Dates
+   * Dates of a recent search for its chip, e.g. "12 Oct – 15 Oct"
+   */
+  const describeSearchDates = (search) => {
+    const dates = search.flightType === 'multicity'
+      ? [search.multiCityLegs[0]?.date]
+      : [search.departureDate, search.flightType === 'return' ? search.returnDate : null];
+    return dates
+      .filter(Boolean)
+      .map((dateKey) => formatDateKey(dateKey, { day: 'numeric', month: 'short' }))
+      .join(' – ');
+  };
+
+  /**
+   * Is Pinned
+   * Whether the route of a search is pinned
+   */
+  const isPinned = (search) => {
+    return pinnedSearches.some((pinned) => getRouteKey(pinned) === getRouteKey(search));
+  };
+
+  /**
+   * Toggle Pin
+   * Pins the route of a search, or unpins it
+   */
+  const togglePin = async (search) => {
+    setPinnedSearches(await togglePinnedSearch(search));
+  };
+
+  /**
+   * Clear Recent
+   * Forgets every recent search
+   */
+  const clearRecent = async () => {
+    setRecentSearches(await clearRecentSearches());
+  };
+
+  /**
+   * Get Active Fare Watch Id
+   * Id of the fare watch for the route, date and fare brand shown
+   */
+  const getActiveFareWatchId = () => {
+    return getFareWatchId(activeLeg.origin, activeLeg.destination, activeLeg.date, defaultFareBrand.key);
+  };
+
+  /**
+   * Toggle Fare Watch
+   * Watches the lowest fare of the leg shown on its date, or stops watching it
+   */
+  const toggleFareWatch = async () => {
+    const watchId = getActiveFareWatchId();
+    if (fareWatchIds.includes(watchId)) {
+      const watches = await removeFareWatch(watchId);
+      setFareWatchIds(watches.map((watch) => watch.id));
+      return;
+    }
+
+    const snapshot = getFareSnapshot(activeLeg.allFlights, activeLeg.date, defaultFareBrand.key);
+    if (snapshot.price === null) {
+      Alert.alert('Fare Watch', 'There is no fare to watch on this date.');
+      return;
+    }
+    const watches = await addFareWatch({
+      origin: activeLeg.origin,
+      destination: activeLeg.destination,
+      date: activeLeg.date,
+      fareBrand: defaultFareBrand.key,
+      price: snapshot.price,
+      seatsLeft: snapshot.seatsLeft,
+    });
+    setFareWatchIds(watches.map((watch) => watch.id));
+
+    const canNotify = await requestNotificationPermission();
+    Alert.alert(
+      'Watching This Fare',
+      canNotify
+        ? `We'll let you know when ${defaultFareBrand.name} from ${formatPrice(snapshot.price)} drops or seats run low.`
+        : 'Turn on notifications for Gulf Air in your settings to get price alerts. You can still follow this fare in Fare Watch.',
+      [
+        { text: 'OK' },
+        { text: 'View Fare Watch', onPress: () => router.push('/fare-watch') },
+      ]
+    );
+  };
+
+  /**
+   * Build Leg Results
+   * Keeps every flight of the route on the leg and shows the ones departing
+   * on the leg's date
+   */
+  const buildLegResults = (leg, allFlights) => {
+    // Match the departure date in the origin's local time
+    const flights = allFlights.filter(flight => getFlightDateKey(flight) === leg.date);
+    return {
+      ...leg,
+      allFlights,
+      flights,
+      noFlightsForSelectedDate: flights.length === 0,
+    };
+  };
+
+  /**
+   * Change Leg Date
+   * Shows another day of the current leg from the nearby dates strip without
+   * searching again. Flights picked for this and later legs are cleared.
+   */
+  const changeLegDate = (dateKey) => {
+    setSearchLegs(prev => prev.map((leg, index) => (
+      index === activeLegIndex ? buildLegResults({ ...leg, date: dateKey }, leg.allFlights) : leg
+    )));
+    setSelectedFlights(prev => prev.slice(0, activeLegIndex));
+
+    // Keep the search form in step with the results
+    if (flightType === 'multicity') {
+      updateMultiCityLeg(activeLegIndex, 'date', dateKey);
+    } else if (activeLegIndex === 1) {
+      setReturnDate(dateKey);
+    } else {
+      setDepartureDate(dateKey);
+    }
+  };
+
+  /**
+   * Get Nearby Dates
+   * The ±3 days strip of the current leg with the lowest fare of each day.
+   * Days before today or before the previous leg can't be picked.
+   */
+  const getNearbyDates = () => {
+    if (!activeLeg) return [];
+    const faresByDate = getLowestFaresByDate(activeLeg.allFlights, defaultFareBrand);
+    const firstDateKey = searchLegs[activeLegIndex - 1]?.date || toDateKey(new Date());
+    const dateKeys = getNearbyDateKeys(activeLeg.date).filter(dateKey => dateKey >= firstDateKey);
+    const cheapestDateKey = getCheapestDateKey(faresByDate, dateKeys);
+
+    return getNearbyDateKeys(activeLeg.date).map(dateKey => ({
+      dateKey,
+      fare: faresByDate[dateKey],
+      isSelected: dateKey === activeLeg.date,
+      isCheapest: dateKey === cheapestDateKey,
+      isSelectable: dateKey >= firstDateKey,
+    }));
+  };
+
+  /**
+   * Get Nearest Service Date
+   * Closest day with flights to the current leg's date, for the "no flights" message
+   */
+  const getNearestServiceDate = () => {
+    if (!activeLeg) return null;
+    const faresByDate = getLowestFaresByDate(activeLeg.allFlights, defaultFareBrand);
+    const firstDateKey = searchLegs[activeLegIndex - 1]?.date || toDateKey(new Date());
+    return getNearestFareDateKey(faresByDate, activeLeg.date, firstDateKey);
+  };
+
+  /**
+   * Search Flights
+   * Calls the backend API to search for available flights on every leg
+   */
+  const searchFlights = async (form = getSearchForm()) => {
+    // Validation
+    const legs = getSearchLegs(form);
+    const validationError = validateSearchLegs(legs, form.flightType);
+    if (validationError) {
+      Alert.alert('Error', validationError);
+      return;
+    }
+
+    try {
+      setIsSearching(true);
+
+      // Search every leg using backend API (inbound legs search the reverse direction)
+      const legResults = await Promise.all(legs.map(async (leg) => {
+        const flights = await searchRouteFlights(leg.origin, leg.destination);
+        return buildLegResults(leg, flights);
+      }));
+
+      // Keep the route flights for the fare calendar
+      setRouteFares(prev => {
+        const next = { ...prev };
+        legResults.forEach(leg => {
+          next[`${leg.origin}-${leg.destination}`] = { flights: leg.allFlights, isLoading: false, error: null };
+        });
+        return next;
+      });
+
+      setSearchLegs(legResults);
+      setActiveLegIndex(0);
+      setRecentSearches(await addRecentSearch(form));
+      setSelectedFlights([]);
+      setSelectedSeats({});
+
+      // Let the user know about legs with no service at all
+      const emptyLegs = legResults.filter(leg => leg.allFlights.length === 0);
+      if (emptyLegs.length > 0) {
+        Alert.alert(
+          'No Flights Found',
+          `There are no flights for ${emptyLegs.map(leg => `${leg.origin} → ${leg.destination}`).join(', ')}.`
+        );
+      }
+    } catch (error) {
+      console.error('Search error:', error);
+      Alert.alert('Search Error', error.message || 'Failed to search flights. Please try again.');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+
+  /**
+   * Select Flight for the Current Leg
+   * Stores the flight and moves to the next leg, or opens the booking
+   * modal once every leg has a flight
+   */
+  const selectFlight = (resultFlight) => {
+    const brand = getCardFareBrand(resultFlight);
+    if (!isFareBrandAvailable(brand, resultFlight)) {
+      Alert.alert('Sold Out', `${resultFlight.flightNumber} has no seats left in ${brand.name}.`);
+      return;
+    }
+    const flight = { ...resultFlight, fareBrand: brand.key };
+
+    // Later legs must depart after the previous flight arrives
+    const previousFlight = selectedFlights[activeLegIndex - 1];
+    if (previousFlight && parseDateTime(flight.departureTime) <= parseDateTime(previousFlight.arrivalTime)) {
+      Alert.alert(
+        'Invalid Connection',
+        `${flight.flightNumber} departs before ${previousFlight.flightNumber} arrives. Please choose a later flight.`
+      );
+      return;
+    }
+
+    const nextSelectedFlights = [...selectedFlights.slice(0, activeLegIndex), flight];
+    setSelectedFlights(nextSelectedFlights);
+
+    if (activeLegIndex < searchLegs.length - 1) {
+      setActiveLegIndex(activeLegIndex + 1);
+      return;
+    }
+
+    // Seats are picked on every flight, including both flights of a connection
+    const nextBookedFlights = nextSelectedFlights.flatMap(getItinerarySegments);
+    setSelectedFlight(nextBookedFlights[0]);
+    setSelectedSeats({}); // Clear any previously selected seats
+    setTravellers(buildTravellers());
+    setActiveTravellerIndex(0); // The first traveller is always an adult
+    setSeatMaps({});
+    nextBookedFlights.forEach(loadSeatMap);
+    setShowBookingModal(true);
+  };
+
+  /**
+   * Show Leg Results
+   * Goes back to an earlier leg to change its flight
+   */
+  const showLegResults = (legIndex) => {
+    if (legIndex > selectedFlights.length) return;
+    setActiveLegIndex(legIndex);
+  };
+
+
+  /**
+   * Cancel Created Bookings
+   * Cancels the bookings already made for an itinerary when a later one
+   * fails. Resolves to the references that could not be cancelled.
+   */
+  const cancelCreatedBookings = async (createdBookings) => {
+    const results = await Promise.allSettled(
+      createdBookings.map((booking) => bookingsAPI.cancelBooking(booking.id))
+    );
+    return createdBookings
+      .filter((booking, index) => results[index].status === 'rejected')
+      .map((booking) => booking.booking_reference);
+  };
+
+  /**
+   * Create Booking
+   * Creates one booking per passenger per flight using the backend API (a
+   * connection is two flights). Bookings after the first are linked to it
+   * through `linked_booking_reference`, which is the reference of the whole
+   * itinerary. When a booking fails, the bookings already made are cancelled
+   * so nothing is left half booked.
+   */
+  const createBooking = async (bookingData) => {
+    const createdBookings = [];
+    let bookingFlight = null; // Flight being booked when an error occurs
+    try {
+      console.log('Creating booking with data:', bookingData);
+      console.log('Selected flights:', bookedFlights.map(flight => flight.id));
+      console.log('Reschedule mode:', reschedule, 'Booking ID:', bookingId);
+      
+      // Searching is public, but creating a booking needs a session.
+      // Send the user to login with Book as the return route.
+      if (!isAuthenticated) {
+        console.log('No auth token found, redirecting to login');
+        Alert.alert('Authentication Required', 'Please log in to create a booking.');
+        setShowBookingModal(false);
+        router.push({ pathname: '/login', params: { redirect: '/book' } });
+        return;
+      }
+      
+      // Note: Reschedule functionality has been moved to the manage booking page
+      
+      for (const flight of bookedFlights) {
+        bookingFlight = flight;
+        // Map the flight's fare brand to the backend seat class
+        const backendSeatClass = getBackendSeatClass(flight);
+        // Seated passengers are booked first so an infant can point at the
+        // booking of the adult whose lap it travels on
+        const travellerIndexes = bookingData.travellers
+          .map((traveller, index) => index)
+          .sort((a, b) => getPassengerType(bookingData.travellers[b].type).needsSeat
+            - getPassengerType(bookingData.travellers[a].type).needsSeat);
+        const flightBookings = [];
+        for (const index of travellerIndexes) {
+          const traveller = bookingData.travellers[index];
+          const type = getPassengerType(traveller.type);
+          const seatNumber = type.needsSeat ? bookingData.seatNumbers[flight.id][index] : null;
+          const seatSurcharge = findFlightSeat(flight, seatNumber)?.surcharge || 0;
+          const bookingPayload = {
+            flight_id: flight.id,
+            passenger_name: traveller.name.trim(),
+            passenger_email: bookingData.contactEmail,
+            passenger_type: type.apiType,
+            date_of_birth: traveller.dateOfBirth.trim(),
+            passport_number: traveller.passportNumber.trim(),
+            seat_class: backendSeatClass,
+            fare_brand: flight.fareBrand,
+            seat_number: seatNumber,
+            seat_surcharge: seatSurcharge,
+            total_price: getTravellerFare(traveller, flight) + seatSurcharge,
+          };
+          if (!type.needsSeat) {
+            bookingPayload.lap_booking_reference = flightBookings[getLapAdultIndex(index)].booking_reference;
+          }
+          if (createdBookings.length > 0) {
+            bookingPayload.linked_booking_reference = createdBookings[0].booking_reference;
+          }
+
+          console.log('Booking payload:', bookingPayload);
+
+          const booking = await bookingsAPI.createBooking(bookingPayload);
+          console.log('Booking created successfully:', booking);
+          flightBookings[index] = booking;
+          createdBookings.push(booking);
+        }
+      }
+
+      // The first booking's reference is the reference of the whole itinerary
+      const itineraryReference = createdBookings[0].booking_reference;
+      let successMessage;
+      if (reschedule === 'true') {
+        successMessage = `Your flight has been successfully rescheduled! New booking reference: ${itineraryReference}`;
+      } else if (bookedFlights.length > 1) {
+        successMessage = `Your ${bookedFlights.length} flights have been confirmed! Itinerary reference: ${itineraryReference}\nTotal: ${formatPrice(getItineraryTotal())}`;
+      } else if (bookingData.travellers.length > 1) {
+        successMessage = `Your booking for ${bookingData.travellers.length} passengers has been confirmed! Reference: ${itineraryReference}\nTotal: ${formatPrice(getItineraryTotal())}`;
+      } else {
+        successMessage = `Your booking has been confirmed! Reference: ${itineraryReference}`;
+      }
+        
+      Alert.alert('Booking Confirmed', successMessage);
+      setShowBookingModal(false);
+      clearSearchResults();
+      
+      // Small delay to ensure backend processing is complete
+      setTimeout(() => {
+        // Navigate to My Trips for all new bookings
+        router.replace('/my-trips');
+      }, 500);
+    } catch (error) {
+      console.error('Booking error:', error);
+      // The 401 handler is already redirecting to login
+      if (isSessionExpiredError(error)) {
+        setShowBookingModal(false);
+        return;
+      }
+      // Roll back the flights already booked, so a failed itinerary leaves nothing booked
+      if (createdBookings.length > 0) {
+        const remainingReferences = await cancelCreatedBookings(createdBookings);
+        if (remainingReferences.length > 0) {
+          Alert.alert(
+            'Booking Incomplete',
+            `The remaining flights could not be booked: ${error.message || 'Please try again.'}\n\nBooking ${remainingReferences.join(', ')} could not be cancelled automatically. Please cancel it from My Trips.`,
+            [{ text: 'View My Trips', onPress: () => router.replace('/my-trips') }]
+          );
+          setShowBookingModal(false);
+          return;
+        }
+        if (!isSeatConflictError(error)) {
+          Alert.alert(
+            'Booking Error',
+            `${error.message || 'Failed to create booking.'}\n\nNothing was booked: the flights already reserved have been cancelled. Please try again.`
+          );
+          return;
+        }
+      }
+      // A seat was taken after the map loaded: refresh it and let the user choose again
+      if (isSeatConflictError(error)) {
+        const seatMap = await loadSeatMap(bookingFlight);
+        const takenSeats = [
+          ...error.seats,
+          ...(seatMap?.occupied_seats || []),
+          ...(seatMap?.blocked_seats || []),
+        ];
+        const releasedIndex = releaseTakenSeats(bookingFlight.id, takenSeats);
+        setSelectedFlight(bookingFlight);
+        if (releasedIndex !== undefined) {
+          setActiveTravellerIndex(releasedIndex);
+        }
+        Alert.alert(
+          'Seat No Longer Available',
+          `${error.message}\n\nNothing was booked. The seat map for ${bookingFlight.flightNumber} has been updated. Please choose another seat.`
+        );
+        return;
+      }
+      Alert.alert('Booking Error', error.message || 'Failed to create booking. Please try again.');
+    }
+  };
+
+  // Debug logging
+  console.log('Book page render - selectedSeat:', selectedSeat, 'selectedFlight:', selectedFlight?.id);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Set status bar to dark content for white background */}
+      <StatusBar style="dark" />
+      
+      {/* Header Section */}
+      <View style={styles.header}>
+        <View style={styles.logoContainer}>
+          <Image 
+            source={require('../../assets/images/header.png')}
+            style={styles.headerLogo}
+            resizeMode="contain"
+          />
+        </View>
+        
+        <TouchableOpacity style={styles.menuButton} onPress={() => router.push('/menu')}>
+          <Ionicons name="menu" size={24} color="#A68F65" />
+        </TouchableOpacity>
+      </View>
+
+      {/* Connection notice, from the app's own requests */}
+      <OfflineBanner />
+
+      <ScrollView style={styles.scrollContainer}>
+        {/* Flight Type Selection */}
+        <View style={styles.flightTypeContainer}>
+          {[
+            { value: 'oneway', label: 'One-way' },
+            { value: 'return', label: 'Return' },
+            { value: 'multicity', label: 'Multi-city' },
+          ].map((type) => (
+            <TouchableOpacity
+              key={type.value}
+              style={[styles.flightTypeButton, flightType === type.value && styles.flightTypeButtonActive]}
+              onPress={() => handleFlightTypeChange(type.value)}
+            >
+              <Text style={[styles.flightTypeText, flightType === type.value && styles.flightTypeTextActive]}>
+                {type.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {flightType === 'multicity' ? (
+          /* Multi-city Legs */
+          <View style={styles.multiCityContainer}>
+            {multiCityLegs.map((leg, legIndex) => (
+              <View key={legIndex} style={styles.multiCityLeg}>
+                <View style={styles.multiCityLegHeader}>
+                  <Text style={styles.multiCityLegTitle}>Flight {legIndex + 1}</Text>
+                  {multiCityLegs.length > 2 && (
+                    <TouchableOpacity onPress={() => removeMultiCityLeg(legIndex)}>
+                      <Ionicons name="close-circle" size={20} color="#8B8B8B" />
+                    </TouchableOpacity>
+                  )}
+                </View>
+                <View style={styles.routeContainer}>
+                  <TouchableOpacity
+                    style={styles.airportButton}
+                    onPress={() => handleAirportSelect('origin', legIndex)}
+                  >
+                    <Ionicons name="airplane" size={20} color="#A68F65" />
+                    <View style={styles.airportInfo}>
+                      <Text style={styles.airportLabel}>From</Text>
+                      <Text style={styles.airportValue}>
+                        {leg.origin ? getAirportName(leg.origin) : 'Your origin'}
+                      </Text>
+                    </View>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={styles.airportButton}
+                    onPress={() => handleAirportSelect('destination', legIndex)}
+                  >
+                    <Ionicons name="airplane" size={20} color="#A68F65" />
+                    <View style={styles.airportInfo}>
+                      <Text style={styles.airportLabel}>To</Text>
+                      <Text style={styles.airportValue}>
+                        {leg.destination ? getAirportName(leg.destination) : 'Your destination'}
+                      </Text>
+                    </View>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={styles.dateButton}
+                    onPress={() => handleDateSelect('leg', legIndex)}
+                  >
+                    <Ionicons name="calendar" size={20} color="#A68F65" />
+                    <Text style={styles.dateText}>
+                      {leg.date ? formatShortDate(leg.date) : 'Departure Date'}
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            ))}
+            {multiCityLegs.length < MAX_MULTI_CITY_LEGS && (
+              <TouchableOpacity style={styles.addLegButton} onPress={addMultiCityLeg}>
+                <Ionicons name="add" size={20} color="#A68F65" />
+                <Text style={styles.addLegButtonText}>Add another flight</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        ) : (
+        <>
+        {/* Origin and Destination */}
+        <View style={styles.routeContainer}>
+          <TouchableOpacity
+            style={styles.airportButton}
+            onPress={() => handleAirportSelect('origin')}
+          >
+            <Ionicons name="airplane" size={20} color="#A68F65" />
+            <View style={styles.airportInfo}>
+              <Text style={styles.airportLabel}>From</Text>
+              <Text style={styles.airportValue}>
+                {origin ? getAirportName(origin) : 'Your origin'}
+              </Text>
+            </View>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.airportButton}
+            onPress={() => handleAirportSelect('destination')}
+          >
+            <Ionicons name="airplane" size={20} color="#A68F65" />
+            <View style={styles.airportInfo}>
+              <Text style={styles.airportLabel}>To</Text>
+              <Text style={styles.airportValue}>
+                {destination ? getAirportName(destination) : 'Your destination'}
+              </Text>
+            </View>
+          </TouchableOpacity>
+        </View>
+
+        {/* Date Selection */}
+        <View style={styles.dateContainer}>
+          <TouchableOpacity 
+            style={styles.dateButton}
+            onPress={() => handleDateSelect('departure')}
+          >
+            <Ionicons name="calendar" size={20} color="#A68F65" />
+            <Text style={styles.dateText}>
+              {departureDate ? formatShortDate(departureDate) : 'Departure Date'}
+            </Text>
+          </TouchableOpacity>
+          {flightType === 'return' && (
+            <TouchableOpacity 
+              style={styles.dateButton}
+              onPress={() => handleDateSelect('return')}
+            >
+              <Ionicons name="calendar" size={20} color="#A68F65" />
+              <Text style={styles.dateText}>
+                {returnDate ? formatShortDate(returnDate) : 'Return Date'}
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+        </>
+        )}
+
+        {/* Passenger and Class Selection */}
+        <View style={styles.passengerContainer}>
+          <TouchableOpacity 
+            style={styles.passengerButton}
+            onPress={() => setShowPassengerModal(true)}
+          >
+            <Ionicons name="person" size={20} color="#A68F65" />
+            <Text style={styles.passengerText}>
+              {getTotalPassengers()} Passenger{getTotalPassengers() > 1 ? 's' : ''}
+            </Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity 
+            style={styles.classButton}
+            onPress={() => setShowClassModal(true)}
+          >
+            <Text style={styles.classText}>
+              {seatClasses.find(c => c.value === seatClass)?.label || 'Economy'}
+            </Text>
+            <Ionicons name="chevron-down" size={20} color="#8B8B8B" />
+          </TouchableOpacity>
+        </View>
+
+        {/* Search Button */}
+        <TouchableOpacity
+          style={[styles.searchButton, isSearching && styles.searchButtonDisabled]}
+          onPress={() => searchFlights()}
+          disabled={isSearching}
+        >
+          <Text style={styles.searchButtonText}>
+            {isSearching ? 'Searching...' : 'Search flights'}
+          </Text>
+        </TouchableOpacity>
+
+
+        {/* Pinned and Recent Searches - tap a chip to search again */}
+        {(pinnedSearches.length > 0 || recentSearches.length > 0) && (
+          <View style={styles.savedSearches}>
+            {pinnedSearches.length > 0 && (
+              <>
+                <Text style={styles.savedSearchesTitle}>Pinned routes</Text>
+                <View style={styles.savedSearchChips}>
+                  {pinnedSearches.map((search) => (
+                    <View key={getRouteKey(search)} style={[styles.savedSearchChip, styles.savedSearchChipPinned]}>
+                      <TouchableOpacity onPress={() => rerunSearch(search)} disabled={isSearching}>
+                        <Text style={styles.savedSearchChipText}>{describeSearchRoute(search)}</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity onPress={() => togglePin(search)} hitSlop={8}>
+                        <Ionicons name="pin" size={14} color="#A68F65" />
+                      </TouchableOpacity>
+                    </View>
+                  ))}
+                </View>
+              </>
+            )}
+            {recentSearches.length > 0 && (
+              <>
+                <View style={styles.savedSearchesHeader}>
+                  <Text style={styles.savedSearchesTitle}>Recent searches</Text>
+                  <TouchableOpacity onPress={clearRecent}>
+                    <Text style={styles.savedSearchesClear}>Clear</Text>
+                  </TouchableOpacity>
+                </View>
+                <View style={styles.savedSearchChips}>
+                  {recentSearches.map((search) => (
+                    <View key={getRouteKey(search)} style={styles.savedSearchChip}>
+                      <TouchableOpacity onPress={() => rerunSearch(search)} disabled={isSearching}>
+                        <Text style={styles.savedSearchChipText}>{describeSearchRoute(search)}</Text>
+                        <Text style={styles.savedSearchChipDate}>{describeSearchDates(search)}</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity onPress={() => togglePin(search)} hitSlop={8}>
+                        <Ionicons
+                          name={isPinned(search) ? 'pin' : 'pin-outline'}
+                          size={14}
+                          color={isPinned(search) ? '#A68F65' : '#8B8B8B'}
+                        />
+                      </TouchableOpacity>
+                    </View>
+                  ))}
+                </View>
+              </>
+            )}
+          </View>
+        )}
+
+        {/* Promo Code Link */}
+        <TouchableOpacity style={styles.promoCodeButton}>
+          <Text style={styles.promoCodeText}>Do you have a promo code?</Text>
+        </TouchableOpacity>
+
+        {/* Search Results */}
+        {activeLeg?.allFlights.length > 0 && (
+          <View style={styles.resultsContainer}>
+            <Text style={styles.resultsTitle}>
+              {searchLegs.length > 1 ? `Select ${activeLeg.label} Flight` : 'Available Flights'}
+            </Text>
+
+            {/* Fare Watch - follow the lowest fare of this route and date */}
+            {searchResults.length > 0 && (
+              <TouchableOpacity style={styles.fareWatchButton} onPress={toggleFareWatch}>
+                <Ionicons
+                  name={fareWatchIds.includes(getActiveFareWatchId()) ? 'notifications' : 'notifications-outline'}
+                  size={16}
+                  color="#A68F65"
+                />
+                <Text style={styles.fareWatchButtonText}>
+                  {fareWatchIds.includes(getActiveFareWatchId()) ? 'Watching this fare' : 'Watch this fare'}
+                </Text>
+              </TouchableOpacity>
+            )}
+
+            {/* Leg progress - one chip per leg, tap a completed leg to change it */}
+            {searchLegs.length > 1 && (
+              <View style={styles.legProgressContainer}>
+                {searchLegs.map((leg, legIndex) => (
+                  <TouchableOpacity
+                    key={`${leg.label}-${legIndex}`}
+                    style={[
+                      styles.legProgressItem,
+                      legIndex === activeLegIndex && styles.legProgressItemActive,
+                    ]}
+                    onPress={() => showLegResults(legIndex)}
+                    disabled={legIndex > selectedFlights.length}
+                  >
+                    <Text style={[
+                      styles.legProgressLabel,
+                      legIndex === activeLegIndex && styles.legProgressLabelActive,
+                    ]}>
+                      {leg.origin} → {leg.destination}
+                    </Text>
+                    <Text style={styles.legProgressValue}>
+                      {selectedFlights[legIndex] ? selectedFlights[legIndex].flightNumber : formatShortDate(leg.date)}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+            
+            {/* Nearby Dates - lowest fare ±3 days around the leg's date */}
+            <ScrollView
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              style={styles.nearbyDatesStrip}
+              contentContainerStyle={styles.nearbyDatesContent}
+            >
+              {getNearbyDates().map((nearbyDate) => (
+                <TouchableOpacity
+                  key={nearbyDate.dateKey}
+                  style={[
+                    styles.nearbyDate,
+                    nearbyDate.isCheapest && styles.nearbyDateCheapest,
+                    nearbyDate.isSelected && styles.nearbyDateSelected,
+                    !nearbyDate.isSelectable && styles.nearbyDateDisabled,
+                  ]}
+                  onPress={() => changeLegDate(nearbyDate.dateKey)}
+                  disabled={!nearbyDate.isSelectable || nearbyDate.isSelected}
+                >
+                  <Text style={[styles.nearbyDateLabel, nearbyDate.isSelected && styles.nearbyDateTextSelected]}>
+                    {formatDateKey(nearbyDate.dateKey, { weekday: 'short', day: 'numeric', month: 'short' })}
+                  </Text>
+                  <Text style={[styles.nearbyDateFare, nearbyDate.isSelected && styles.nearbyDateTextSelected]}>
+                    {nearbyDate.fare !== undefined ? formatPrice(nearbyDate.fare) : 'No flights'}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+
+            {/* Warning message when no flights found for selected date */}
+            {noFlightsForSelectedDate && (
+              <View style={styles.warningContainer}>
+                <View style={styles.warningHeader}>
+                  <Ionicons name="information-circle" size={20} color="#FF6B35" />
+                  <Text style={styles.warningTitle}>Date Not Available</Text>
+                </View>
+                <Text style={styles.warningText}>
+                  There are no flights on {formatFullDate(activeLeg.date)} for this route. Please pick another day above.
+                </Text>
+                {getNearestServiceDate() && (
+                  <TouchableOpacity onPress={() => changeLegDate(getNearestServiceDate())}>
+                    <Text style={styles.warningLink}>
+                      Show the nearest date with flights ({formatFullDate(getNearestServiceDate())})
+                    </Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            )}
+            
+            {/* Sort and Filter Bar */}
+            {searchResults.length > 0 && (
+              <View style={styles.sortFilterBar}>
+                <ScrollView
+                  horizontal
+                  showsHorizontalScrollIndicator={false}
+                  style={styles.sortOptionsScroll}
+                  contentContainerStyle={styles.sortOptions}
+                >
+                  {SORT_OPTIONS.map((option) => (
+                    <TouchableOpacity
+                      key={option.key}
+                      style={[styles.sortOption, resultSort === option.key && styles.sortOptionSelected]}
+                      onPress={() => setResultSort(option.key)}
+                    >
+                      <Text style={[styles.sortOptionText, resultSort === option.key && styles.sortOptionTextSelected]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </ScrollView>
+                <TouchableOpacity style={styles.filterButton} onPress={() => setShowFilterModal(true)}>
+                  <Ionicons name="options-outline" size={18} color="#A68F65" />
+                  <Text style={styles.filterButtonText}>
+                    {activeFilterCount > 0 ? `Filters (${activeFilterCount})` : 'Filters'}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
+            {/* Every flight filtered out */}
+            {searchResults.length > 0 && visibleResults.length === 0 && (
+              <View style={styles.noFilterResults}>
+                <Text style={styles.noFilterResultsText}>No flights match your filters.</Text>
+                <TouchableOpacity onPress={clearResultFilters}>
+                  <Text style={styles.warningLink}>Clear filters</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
+            {/* Group flights by date and display */}
+            {Object.entries(groupFlightsByDate(visibleResults)).map(([dateKey, flightsForDate]) => (
+              <View key={dateKey} style={styles.dateGroup}>
+                <Text style={styles.dateHeader}>{formatFullDate(flightsForDate[0].departureTime, flightsForDate[0].departureAirport)}</Text>
+                {flightsForDate.map((flight) => (
+              <View
+                key={flight.id}
+                style={[
+                  styles.flightCard,
+                  selectedFlights[activeLegIndex]?.id === flight.id && styles.flightCardSelected,
+                ]}
+              >
+                <View style={styles.flightHeader}>
+                  <Text style={styles.flightNumber}>{flight.flightNumber}</Text>
+                  <Text style={styles.flightStatus}>{flight.status}</Text>
+                </View>
+                
+                <View style={styles.flightRoute}>
+                  <View style={styles.routeInfo}>
+                    <Text style={styles.airportCode}>{flight.departureAirport}</Text>
+                    <Text style={styles.timeText}>{formatTime(flight.departureTime, flight.departureAirport)}</Text>
+                  </View>
+                  
+                  <View style={styles.flightIcon}>
+                    <Ionicons name="airplane" size={24} color="#A68F65" />
+                    {flight.isConnection && (
+                      <Text style={styles.layoverText}>via {flight.layover.airport}</Text>
+                    )}
+                  </View>
+                  
+                  <View style={styles.routeInfo}>
+                    <Text style={styles.airportCode}>{flight.arrivalAirport}</Text>
+                    <Text style={styles.timeText}>{formatTime(flight.arrivalTime, flight.arrivalAirport)}</Text>
+                  </View>
+                </View>
+                
+                {/* Connection - layover at the hub and the two flights */}
+                {flight.isConnection && (
+                  <View style={styles.connectionInfo}>
+                    <Text style={styles.connectionLayover}>{describeLayover(flight)}</Text>
+                    {flight.segments.map((segment) => (
+                      <Text key={segment.id} style={styles.connectionSegment}>
+                        {segment.flightNumber} • {segment.departureAirport} {formatTime(segment.departureTime, segment.departureAirport)}
+                        {' → '}{segment.arrivalAirport} {formatTime(segment.arrivalTime, segment.arrivalAirport)}
+                      </Text>
+                    ))}
+                  </View>
+                )}
+
+                {/* Fare Brands - every brand side by side, tap one to switch */}
+                <View style={styles.fareBrandRow}>
+                  {FARE_BRANDS.map((brand) => {
+                    const isChosen = getCardFareBrand(flight).key === brand.key;
+                    const isAvailable = isFareBrandAvailable(brand, flight);
+                    const brandPrice = getFareBrandPrice(brand, flight);
+                    return (
+                      <TouchableOpacity
+                        key={brand.key}
+                        style={[
+                          styles.fareBrandOption,
+                          isChosen && styles.fareBrandOptionSelected,
+                          !isAvailable && styles.fareBrandOptionDisabled,
+                        ]}
+                        onPress={() => selectCardFareBrand(flight, brand.key)}
+                        disabled={!isAvailable}
+                      >
+                        <Text style={[styles.fareBrandName, isChosen && styles.fareBrandNameSelected]}>
+                          {brand.name}
+                        </Text>
+                        <Text style={styles.fareBrandPrice}>
+                          {isAvailable ? formatPrice(brandPrice) : 'Sold out'}
+                        </Text>
+                        {isAvailable && (
+                          <Text style={styles.fareBrandDifference}>
+                            {formatPriceDifference(brandPrice, getFareBrandPrice(getCardFareBrand(flight), flight))}
+                          </Text>
+                        )}
+                        <Text style={styles.fareBrandCondition}>{brand.baggage}</Text>
+                        <Text style={styles.fareBrandCondition}>Changes: {brand.changes}</Text>
+                        <Text style={styles.fareBrandCondition}>Refund: {brand.refund}</Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+
+                <TouchableOpacity
+                  style={styles.selectFlightButton}
+                  onPress={() => selectFlight(flight)}
+                >
+                  <Text style={styles.selectFlightButtonText}>
+                    Select {getCardFareBrand(flight).name} • {formatPrice(getFareBrandPrice(getCardFareBrand(flight), flight))}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+                ))}
+              </View>
+            ))}
+          </View>
+        )}
+
+      </ScrollView>
+
+      {/* Airport Selection Modal */}
+      <Modal
+        visible={showAirportModal}
+        animationType="slide"
+        presentationStyle="pageSheet"
+      >
+        <SafeAreaView style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>
+              Select {airportType === 'origin' ? 'Origin' : 'Destination'}
+              {airportLegIndex !== null ? ` (Flight ${airportLegIndex + 1})` : ''}
+            </Text>
+            <TouchableOpacity onPress={() => setShowAirportModal(false)}>
+              <Ionicons name="close" size={24} color="#1A1A2E" />
+            </TouchableOpacity>
+          </View>
+          
+          {/* Airport Search - code, city, airport or country */}
+          <View style={styles.airportSearchContainer}>
+            <Ionicons name="search" size={18} color="#8B8B8B" />
+            <TextInput
+              style={styles.airportSearchInput}
+              placeholder="Search city, airport or code"
+              placeholderTextColor="#8B8B8B"
+              autoCorrect={false}
+              value={airportQuery}
+              onChangeText={setAirportQuery}
+            />
+          </View>
+          {airportType === 'destination' && routeMap && getPickerOrigin() && (
+            <Text style={styles.airportServedNote}>
+              Destinations served from {getAirportName(getPickerOrigin())}, directly or via Bahrain
+            </Text>
+          )}
+          
+          <FlatList
+            data={searchAirports(airportQuery, getAirportOptions())}
+            keyExtractor={(item) => item.iata}
+            keyboardShouldPersistTaps="handled"
+            renderItem={({ item }) => (
+              <TouchableOpacity
+                style={styles.airportItem}
+                onPress={() => selectAirport(item)}
+              >
+                <View style={styles.airportItemInfo}>
+                  <Text style={styles.airportItemCode}>{item.iata}</Text>
+                  <View style={styles.airportItemDetails}>
+                    <Text style={styles.airportItemCity}>{item.city}, {item.country}</Text>
+                    <Text style={styles.airportItemName}>{item.name}</Text>
+                  </View>
+                </View>
+              </TouchableOpacity>
+            )}
+            ListFooterComponent={getUnservedMatches().map((airport) => (
+              <View key={airport.iata} style={styles.unservedAirport}>
+                <Text style={styles.unservedAirportText}>
+                  {airport.city} ({airport.iata}) isn&apos;t available for this route.
+                  {airport.nearby.length > 0 ? ' Nearby:' : ''}
+                </Text>
+                {airport.nearby.map((nearbyAirport) => (
+                  <TouchableOpacity key={nearbyAirport.iata} onPress={() => selectAirport(nearbyAirport)}>
+                    <Text style={styles.warningLink}>
+                      {nearbyAirport.city} ({nearbyAirport.iata}) • {nearbyAirport.distanceKm} km
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            ))}
+          />
+        </SafeAreaView>
+      </Modal>
+
+      {/* Calendar Selection Modal */}
+      <Modal
+        visible={showCalendarModal}
+        animationType="slide"
+        presentationStyle="pageSheet"
+      >
+        <SafeAreaView style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Ionicons name="calendar" size={20} color="#A68F65" />
+            <Text style={styles.modalTitle}>Select date</Text>
+            <TouchableOpacity onPress={() => setShowCalendarModal(false)}>
+              <Ionicons name="close" size={24} color="#1A1A2E" />
+            </TouchableOpacity>
+          </View>
+          
+          {/* Date Selection Summary */}
+          <View style={styles.dateSelectionSummary}>
+            <View style={styles.dateSelectionItem}>
+              <Text style={styles.dateSelectionLabel}>
+                {calendarType === 'leg' ? `Flight ${calendarLegIndex + 1}` : 'Outbound'}
+              </Text>
+              <Text style={styles.dateSelectionValue}>
+                {calendarType === 'leg'
+                  ? (multiCityLegs[calendarLegIndex]?.date ? formatShortDate(multiCityLegs[calendarLegIndex].date) : 'Select date')
+                  : (departureDate ? formatShortDate(departureDate) : 'Select date')}
+              </Text>
+            </View>
+            {flightType === 'return' && (
+              <View style={styles.dateSelectionItem}>
+                <Text style={styles.dateSelectionLabel}>Inbound</Text>
+                <Text style={styles.dateSelectionValue}>
+                  {returnDate ? formatShortDate(returnDate) : 'Select date'}
+                </Text>
+              </View>
+            )}
+          </View>
+
+          {/* Fare Calendar Caption - which fare the days show */}
+          {getCalendarRoute() && (
+            <View style={styles.calendarFareCaption}>
+              {routeFares[`${getCalendarRoute().origin}-${getCalendarRoute().destination}`]?.isLoading && (
+                <ActivityIndicator size="small" color="#A68F65" />
+              )}
+              <Text style={styles.calendarFareCaptionText}>
+                {routeFares[`${getCalendarRoute().origin}-${getCalendarRoute().destination}`]?.error
+                  || `Lowest ${defaultFareBrand.name} fare per day in BHD. The cheapest day is highlighted.`}
+              </Text>
+            </View>
+          )}
+
+          {/* Calendar */}
+          <ScrollView style={styles.calendarContainer}>
+            {generateCalendarData().map((monthData, monthIndex) => (
+              <View key={`${monthData.year}-${monthData.month}`} style={styles.monthContainer}>
+                <Text style={styles.monthTitle}>
+                  {monthData.monthName} {monthData.year}
+                </Text>
+                
+                {/* Days of week header */}
+                <View style={styles.daysOfWeekContainer}>
+                  {['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map((day) => (
+                    <Text key={day} style={[
+                      styles.dayOfWeek,
+                      (day === 'Sat' || day === 'Sun') && styles.weekendDay
+                    ]}>
+                      {day}
+                    </Text>
+                  ))}
+                </View>
+                
+                {/* Calendar grid */}
+                <View style={styles.calendarGrid}>
+                  {monthData.days.map((dayData, dayIndex) => (
+                    <TouchableOpacity
+                      key={dayIndex}
+                      style={[
+                        styles.calendarDay,
+                        dayData && dayData.isToday && styles.todayDay,
+                        dayData && dayData.isPast && styles.pastDay,
+                        dayData && dayData.isSelectable && styles.selectableDay,
+                        dayData && dayData.hasNoService && styles.noServiceDay,
+                        dayData && dayData.isCheapest && styles.cheapestDay,
+                      ]}
+                      onPress={() => dayData && dayData.isSelectable && selectDate(dayData.date)}
+                      disabled={!dayData || !dayData.isSelectable}
+                    >
+                      {dayData && (
+                        <Text style={[
+                          styles.calendarDayText,
+                          dayData.isPast && styles.pastDayText,
+                          dayData.isToday && styles.todayDayText,
+                          dayData.isSelectable && styles.selectableDayText,
+                        ]}>
+                          {dayData.day}
+                        </Text>
+                      )}
+                      {dayData && dayData.isSelectable && dayData.fare !== undefined && (
+                        <Text style={[styles.calendarDayFare, dayData.isCheapest && styles.cheapestDayFare]}>
+                          {Math.round(dayData.fare)}
+                        </Text>
+                      )}
+                      {dayData && dayData.hasNoService && (
+                        <Text style={styles.calendarDayFare}>—</Text>
+                      )}
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            ))}
+          </ScrollView>
+        </SafeAreaView>
+      </Modal>
+
+      {/* Class Selection Modal */}
+      <Modal
+        visible={showClassModal}
+        animationType="slide"
+        presentationStyle="pageSheet"
+      >
+        <SafeAreaView style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Select Travel Class</Text>
+            <TouchableOpacity onPress={() => setShowClassModal(false)}>
+              <Ionicons name="close" size={24} color="#1A1A2E" />
+            </TouchableOpacity>
+          </View>
+          
+          <View style={styles.classOptionsContainer}>
+            {seatClasses.map((seatClassOption) => (
+              <TouchableOpacity
+                key={seatClassOption.value}
+                style={[
+                  styles.classOption,
+                  seatClass === seatClassOption.value && styles.classOptionSelected
+                ]}
+                onPress={() => selectSeatClass(seatClassOption.value)}
+              >
+                <Text style={[
+                  styles.classOptionText,
+                  seatClass === seatClassOption.value && styles.classOptionTextSelected
+                ]}>
+                  {seatClassOption.label}
+                </Text>
+                {seatClass === seatClassOption.value && (
+                  <Ionicons name="checkmark" size={20} color="#A68F65" />
+                )}
+              </TouchableOpacity>
+            ))}
+          </View>
+        </SafeAreaView>
+      </Modal>
+
+      {/* Filter Modal */}
+      <Modal
+        visible={showFilterModal}
+        animationType="slide"
+        presentationStyle="pageSheet"
+      >
+        <SafeAreaView style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Ionicons name="options-outline" size={20} color="#A68F65" />
+            <Text style={styles.modalTitle}>Filter flights</Text>
+            <TouchableOpacity onPress={() => setShowFilterModal(false)}>
+              <Ionicons name="close" size={24} color="#1A1A2E" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.filterContent}>
+            {/* Departure Time Window */}
+            <Text style={styles.filterSectionTitle}>Departure time</Text>
+            <View style={styles.filterChips}>
+              {DEPARTURE_WINDOWS.map((departureWindow) => (
+                <TouchableOpacity
+                  key={departureWindow.key}
+                  style={[
+                    styles.sortOption,
+                    resultFilters.departureWindow === departureWindow.key && styles.sortOptionSelected,
+                  ]}
+                  onPress={() => updateResultFilter('departureWindow', departureWindow.key)}
+                >
+                  <Text style={[
+                    styles.sortOptionText,
+                    resultFilters.departureWindow === departureWindow.key && styles.sortOptionTextSelected,
+                  ]}>
+                    {departureWindow.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {/* Maximum Price */}
+            <Text style={styles.filterSectionTitle}>Max price ({defaultFareBrand.name}, BHD)</Text>
+            <TextInput
+              style={styles.bookingInput}
+              placeholder="No limit"
+              placeholderTextColor="#8B8B8B"
+              keyboardType="decimal-pad"
+              value={resultFilters.maxPrice}
+              onChangeText={(value) => updateResultFilter('maxPrice', value.replace(/[^0-9.]/g, ''))}
+            />
+
+            {/* Seats Available In */}
+            <Text style={styles.filterSectionTitle}>Seats available in</Text>
+            <View style={styles.filterChips}>
+              {SEAT_AVAILABILITY_OPTIONS.map((option) => (
+                <TouchableOpacity
+                  key={option.key}
+                  style={[styles.sortOption, resultFilters.seatAvailability === option.key && styles.sortOptionSelected]}
+                  onPress={() => updateResultFilter('seatAvailability', option.key)}
+                >
+                  <Text style={[
+                    styles.sortOptionText,
+                    resultFilters.seatAvailability === option.key && styles.sortOptionTextSelected,
+                  ]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {/* Flight Status - statuses found in the current results */}
+            <Text style={styles.filterSectionTitle}>Flight status</Text>
+            <View style={styles.filterChips}>
+              {getFlightStatuses(searchResults).map((status) => (
+                <TouchableOpacity
+                  key={status}
+                  style={[styles.sortOption, resultFilters.statuses.includes(status) && styles.sortOptionSelected]}
+                  onPress={() => toggleStatusFilter(status)}
+                >
+                  <Text style={[
+                    styles.sortOptionText,
+                    resultFilters.statuses.includes(status) && styles.sortOptionTextSelected,
+                  ]}>
+                    {status}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </ScrollView>
+
+          <View style={styles.passengerModalActions}>
+            <TouchableOpacity style={styles.passengerCancelButton} onPress={clearResultFilters}>
+              <Text style={styles.passengerCancelButtonText}>Clear all</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.passengerConfirmButton} onPress={() => setShowFilterModal(false)}>
+              <Text style={styles.passengerConfirmButtonText}>
+                Show {visibleResults.length} {visibleResults.length === 1 ? 'flight' : 'flights'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </SafeAreaView>
+      </Modal>
+
+      {/* Passenger Selection Modal */}
+      <Modal
+        visible={showPassengerModal}
+        animationType="slide"
+        presentationStyle="pageSheet"
+      >
+        <SafeAreaView style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Ionicons name="person" size={20} color="#A68F65" />
+            <Text style={styles.modalTitle}>Select passengers</Text>
+            <TouchableOpacity onPress={() => setShowPassengerModal(false)}>
+              <Ionicons name="close" size={24} color="#1A1A2E" />
+            </TouchableOpacity>
+          </View>
+          
+          {/* Booking Limit */}
+          <View style={styles.bookingLimitContainer}>
+            <Text style={styles.bookingLimitText}>
+              You can add up to {MAX_PASSENGERS} passengers per booking.
+            </Text>
+          </View>
+
+          {/* Passenger Summary */}
+          <View style={styles.passengerSummaryContainer}>
+            <View style={styles.passengerSummaryItem}>
+              <Text style={styles.passengerSummaryNumber}>{getTotalPassengers()}</Text>
+              <Text style={styles.passengerSummaryLabel}>Current total</Text>
+            </View>
+            <View style={styles.passengerSummaryItem}>
+              <Text style={styles.passengerSummaryNumber}>{getRemainingPassengers()}</Text>
+              <Text style={styles.passengerSummaryLabel}>Remaining</Text>
+            </View>
+          </View>
+
+          {/* Passenger Categories */}
+          <ScrollView style={styles.passengerCategoriesContainer}>
+            {/* Adult */}
+            <View style={styles.passengerCategory}>
+              <View style={styles.passengerCategoryInfo}>
+                <Text style={styles.passengerCategoryTitle}>Adult</Text>
+                <Text style={styles.passengerCategoryDescription}>
+                  Passengers over 16 years old.
+                </Text>
+              </View>
+              <View style={styles.passengerCountControls}>
+                <TouchableOpacity
+                  style={[styles.passengerCountButton, passengerCounts.adults <= 1 && styles.passengerCountButtonDisabled]}
+                  onPress={() => updatePassengerCount('adults', -1)}
+                  disabled={passengerCounts.adults <= 1}
+                >
+                  <Ionicons name="remove" size={20} color={passengerCounts.adults <= 1 ? "#CCCCCC" : "#A68F65"} />
+                </TouchableOpacity>
+                <Text style={styles.passengerCountText}>{passengerCounts.adults}</Text>
+                <TouchableOpacity
+                  style={[styles.passengerCountButton, getTotalPassengers() >= MAX_PASSENGERS && styles.passengerCountButtonDisabled]}
+                  onPress={() => updatePassengerCount('adults', 1)}
+                  disabled={getTotalPassengers() >= MAX_PASSENGERS}
+                >
+                  <Ionicons name="add" size={20} color={getTotalPassengers() >= MAX_PASSENGERS ? "#CCCCCC" : "#A68F65"} />
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            {/* Child */}
+            <View style={styles.passengerCategory}>
+              <View style={styles.passengerCategoryInfo}>
+                <Text style={styles.passengerCategoryTitle}>Child</Text>
+                <Text style={styles.passengerCategoryDescription}>
+                  Passengers between 2 - 11 years old.
+                </Text>
+              </View>
+              <View style={styles.passengerCountControls}>
+                <TouchableOpacity
+                  style={[styles.passengerCountButton, passengerCounts.children <= 0 && styles.passengerCountButtonDisabled]}
+                  onPress={() => updatePassengerCount('children', -1)}
+                  disabled={passengerCounts.children <= 0}
+                >
+                  <Ionicons name="remove" size={20} color={passengerCounts.children <= 0 ? "#CCCCCC" : "#A68F65"} />
+                </TouchableOpacity>
+                <Text style={styles.passengerCountText}>{passengerCounts.children}</Text>
+                <TouchableOpacity
+                  style={[styles.passengerCountButton, getTotalPassengers() >= MAX_PASSENGERS && styles.passengerCountButtonDisabled]}
+                  onPress={() => updatePassengerCount('children', 1)}
+                  disabled={getTotalPassengers() >= MAX_PASSENGERS}
+                >
+                  <Ionicons name="add" size={20} color={getTotalPassengers() >= MAX_PASSENGERS ? "#CCCCCC" : "#A68F65"} />
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            {/* Infant */}
+            <View style={styles.passengerCategory}>
+              <View style={styles.passengerCategoryInfo}>
+                <Text style={styles.passengerCategoryTitle}>Infant</Text>
+                <Text style={styles.passengerCategoryDescription}>
+                  Passengers under 2 years old, travelling on an adult&apos;s lap (one per adult).
+                </Text>
+              </View>
+              <View style={styles.passengerCountControls}>
+                <TouchableOpacity
+                  style={[styles.passengerCountButton, passengerCounts.infants <= 0 && styles.passengerCountButtonDisabled]}
+                  onPress={() => updatePassengerCount('infants', -1)}
+                  disabled={passengerCounts.infants <= 0}
+                >
+                  <Ionicons name="remove" size={20} color={passengerCounts.infants <= 0 ? "#CCCCCC" : "#A68F65"} />
+                </TouchableOpacity>
+                <Text style={styles.passengerCountText}>{passengerCounts.infants}</Text>
+                <TouchableOpacity
+                  style={[styles.passengerCountButton, (getTotalPassengers() >= MAX_PASSENGERS || passengerCounts.infants >= passengerCounts.adults) && styles.passengerCountButtonDisabled]}
+                  onPress={() => updatePassengerCount('infants', 1)}
+                  disabled={getTotalPassengers() >= MAX_PASSENGERS || passengerCounts.infants >= passengerCounts.adults}
+                >
+                  <Ionicons name="add" size={20} color={getTotalPassengers() >= MAX_PASSENGERS || passengerCounts.infants >= passengerCounts.adults ? "#CCCCCC" : "#A68F65"} />
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            {/* Youth */}
+            <View style={styles.passengerCategory}>
+              <View style={styles.passengerCategoryInfo}>
+                <Text style={styles.passengerCategoryTitle}>Youth</Text>
+                <Text style={styles.passengerCategoryDescription}>
+                  Passengers between 12 - 15 years old.
+                </Text>
+              </View>
+              <View style={styles.passengerCountControls}>
+                <TouchableOpacity
+                  style={[styles.passengerCountButton, passengerCounts.youth <= 0 && styles.passengerCountButtonDisabled]}
+                  onPress={() => updatePassengerCount('youth', -1)}
+                  disabled={passengerCounts.youth <= 0}
+                >
+                  <Ionicons name="remove" size={20} color={passengerCounts.youth <= 0 ? "#CCCCCC" : "#A68F65"} />
+                </TouchableOpacity>
+                <Text style={styles.passengerCountText}>{passengerCounts.youth}</Text>
+                <TouchableOpacity
+                  style={[styles.passengerCountButton, getTotalPassengers() >= MAX_PASSENGERS && styles.passengerCountButtonDisabled]}
+                  onPress={() => updatePassengerCount('youth', 1)}
+                  disabled={getTotalPassengers() >= MAX_PASSENGERS}
+                >
+                  <Ionicons name="add" size={20} color={getTotalPassengers() >= MAX_PASSENGERS ? "#CCCCCC" : "#A68F65"} />
+                </TouchableOpacity>
+              </View>
+            </View>
+          </ScrollView>
+
+          {/* Action Buttons */}
+          <View style={styles.passengerModalActions}>
+            <TouchableOpacity
+              style={styles.passengerCancelButton}
+              onPress={() => setShowPassengerModal(false)}
+            >
+              <Text style={styles.passengerCancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.passengerConfirmButton}
+              onPress={() => setShowPassengerModal(false)}
+            >
+              <Text style={styles.passengerConfirmButtonText}>Confirm</Text>
+            </TouchableOpacity>
+          </View>
+        </SafeAreaView>
+      </Modal>
+
+
+      {/* Booking Modal */}
+      <Modal
+        visible={showBookingModal}
+        animationType="slide"
+        presentationStyle="pageSheet"
+      >
+        <SafeAreaView style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Complete Booking</Text>
+            <TouchableOpacity onPress={() => setShowBookingModal(false)}>
+              <Ionicons name="close" size={24} color="#1A1A2E" />
+            </TouchableOpacity>
+          </View>
+          
+          <ScrollView style={styles.bookingForm}>
+            {/* Itinerary Summary - adult fare per leg, then the fare per passenger type */}
+            <View style={styles.itinerarySummary}>
+              {selectedFlights.map((flight, legIndex) => (
+                <View key={flight.id} style={styles.itineraryRow}>
+                  <Text style={styles.itineraryFlight}>
+                    {searchLegs[legIndex]?.label ? `${searchLegs[legIndex].label}: ` : ''}
+                    {flight.flightNumber} • {flight.departureAirport} → {flight.arrivalAirport} • {getFlightFareBrand(flight).name}
+                    {flight.isConnection ? `\n${describeLayover(flight)}` : ''}
+                  </Text>
+                  <Text style={styles.itineraryPrice}>BHD {(getFlightPrice(flight) || 0).toFixed(3)}</Text>
+                </View>
+              ))}
+              <View style={styles.fareBreakdown}>
+                {getFareBreakdown().map((row) => (
+                  <View key={row.key} style={styles.itineraryRow}>
+                    <Text style={styles.fareBreakdownLabel}>
+                      {row.count} × {row.label} ({formatPrice(row.unitFare)})
+                    </Text>
+                    <Text style={styles.itineraryPrice}>{formatPrice(row.subtotal)}</Text>
+                  </View>
+                ))}
+                {getSeatSurchargeTotal() > 0 && (
+                  <View style={styles.itineraryRow}>
+                    <Text style={styles.fareBreakdownLabel}>Seat selection</Text>
+                    <Text style={styles.itineraryPrice}>{formatPrice(getSeatSurchargeTotal())}</Text>
+                  </View>
+                )}
+              </View>
+              <View style={styles.itineraryTotalRow}>
+                <Text style={styles.itineraryTotalLabel}>Total</Text>
+                <Text style={styles.itineraryTotalValue}>{formatPrice(getItineraryTotal())}</Text>
+              </View>
+            </View>
+            
+            <View style={styles.bookingFormGroup}>
+              <Text style={styles.bookingLabel}>Contact Email Address *</Text>
+              <TextInput
+                style={styles.bookingInput}
+                placeholder="Enter email address"
+                placeholderTextColor="#8B8B8B"
+                keyboardType="email-address"
+                autoCapitalize="none"
+                value={contactEmail}
+                onChangeText={setContactEmail}
+              />
+            </View>
+
+            {/* Traveller Forms - one per passenger */}
+            {travellers.map((traveller, index) => {
+              const type = getPassengerType(traveller.type);
+              const lapAdultIndex = type.needsSeat ? null : getLapAdultIndex(index);
+              return (
+                <View key={`${traveller.type}-${index}`} style={styles.travellerCard}>
+                  <Text style={styles.travellerTitle}>
+                    Passenger {index + 1} • {type.label}
+                  </Text>
+                  <Text style={styles.travellerSubtitle}>
+                    {describeAgeRange(type)} on the day of travel
+                    {lapAdultIndex !== null ? ` • On the lap of ${getTravellerLabel(lapAdultIndex)}` : ''}
+                  </Text>
+
+                  <View style={styles.bookingFormGroup}>
+                    <Text style={styles.bookingLabel}>Full Name *</Text>
+                    <TextInput
+                      style={styles.bookingInput}
+                      placeholder="As shown in passport"
+                      placeholderTextColor="#8B8B8B"
+                      value={traveller.name}
+                      onChangeText={(value) => updateTraveller(index, 'name', value)}
+                    />
+                  </View>
+
+                  <View style={styles.bookingFormGroup}>
+                    <Text style={styles.bookingLabel}>Date of Birth *</Text>
+                    <TextInput
+                      style={styles.bookingInput}
+                      placeholder="YYYY-MM-DD"
+                      placeholderTextColor="#8B8B8B"
+                      keyboardType="numbers-and-punctuation"
+                      value={traveller.dateOfBirth}
+                      onChangeText={(value) => updateTraveller(index, 'dateOfBirth', value)}
+                    />
+                  </View>
+
+                  <View style={styles.bookingFormGroup}>
+                    <Text style={styles.bookingLabel}>Passport Number *</Text>
+                    <TextInput
+                      style={styles.bookingInput}
+                      placeholder="Enter passport number"
+                      placeholderTextColor="#8B8B8B"
+                      autoCapitalize="characters"
+                      value={traveller.passportNumber}
+                      onChangeText={(value) => updateTraveller(index, 'passportNumber', value)}
+                    />
+                  </View>
+                </View>
+              );
+            })}
+            
+            <View style={styles.bookingFormGroup}>
+              <Text style={styles.bookingLabel}>Seat Selection</Text>
+              <View style={styles.seatSelectionContainer}>
+                {/* Leg Tabs - a seat is chosen separately for every flight */}
+                {bookedFlights.length > 1 && (
+                  <View style={styles.seatLegTabs}>
+                    {bookedFlights.map((flight) => (
+                      <TouchableOpacity
+                        key={flight.id}
+                        style={[
+                          styles.seatLegTab,
+                          selectedFlight?.id === flight.id && styles.seatLegTabActive,
+                        ]}
+                        onPress={() => selectSeatFlight(flight)}
+                      >
+                        <Text style={[
+                          styles.seatLegTabText,
+                          selectedFlight?.id === flight.id && styles.seatLegTabTextActive,
+                        ]}>
+                          {flight.flightNumber} • {Object.keys(selectedSeats[flight.id] || {}).length}/{seatedTravellerIndexes.length}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                )}
+
+                {/* Traveller Tabs - the seat map assigns seats to the active traveller */}
+                {seatedTravellerIndexes.length > 1 && (
+                  <View style={styles.seatLegTabs}>
+                    {seatedTravellerIndexes.map((travellerIndex) => (
+                      <TouchableOpacity
+                        key={travellerIndex}
+                        style={[
+                          styles.seatLegTab,
+                          activeTravellerIndex === travellerIndex && styles.seatLegTabActive,
+                        ]}
+                        onPress={() => setActiveTravellerIndex(travellerIndex)}
+                      >
+                        <Text style={[
+                          styles.seatLegTabText,
+                          activeTravellerIndex === travellerIndex && styles.seatLegTabTextActive,
+                        ]}>
+                          {getTravellerLabel(travellerIndex)}{flightSeats[travellerIndex] ? ` • ${flightSeats[travellerIndex]}` : ''}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                )}
+
+                <Text style={styles.seatSelectionLabel}>
+                  {selectedSeat
+                    ? `Selected for ${getTravellerLabel(activeTravellerIndex)}: ${selectedSeat}`
+                    : `Choose a seat for ${getTravellerLabel(activeTravellerIndex)}`}
+                </Text>
+                {findFlightSeat(selectedFlight, selectedSeat) && (
+                  <Text style={styles.selectedSeatDetails}>
+                    {describeSeat(findFlightSeat(selectedFlight, selectedSeat))}
+                    {findFlightSeat(selectedFlight, selectedSeat).surcharge > 0
+                      ? ` • +${formatPrice(findFlightSeat(selectedFlight, selectedSeat).surcharge)}`
+                      : ''}
+                  </Text>
+                )}
+                
+                {selectedFlight && (
+                  <SeatMap
+                    aircraftType={selectedFlight.aircraftType}
+                    seatClass={getFlightSeatClass(selectedFlight)}
+                    seatMap={seatMaps[selectedFlight.id]}
+                    selectedSeatIds={Object.values(flightSeats)}
+                    onSelectSeat={(seat) => selectSeat(seat.id)}
+                    onRetry={() => loadSeatMap(selectedFlight)}
+                    note="Exit rows are not available to children or adults travelling with an infant."
+                  />
+                )}
+              </View>
+            </View>
+            
+            <TouchableOpacity
+              style={[
+                styles.confirmBookingButton,
+                (!contactEmail.trim() || !allSeatsSelected) && styles.disabledButton
+              ]}
+              onPress={() => {
+                // Validate the contact email and every traveller form
+                const validationError = validateTravellers();
+                if (validationError) {
+                  Alert.alert('Validation Error', validationError);
+                  return;
+                }
+                if (!allSeatsSelected) {
+                  Alert.alert(
+                    'Validation Error',
+                    bookedFlights.length > 1 ? 'Please select a seat for every passenger on every flight' : 'Please select a seat for every passenger'
+                  );
+                  return;
+                }
+
+                // Get form data from the booking modal
+                const bookingData = {
+                  contactEmail: contactEmail.trim(),
+                  travellers,
+                  seatNumbers: selectedSeats,
+                };
+                createBooking(bookingData);
+              }}
+              disabled={!contactEmail.trim() || !allSeatsSelected}
+            >
+              <Text style={[
+                styles.confirmBookingButtonText,
+                (!contactEmail.trim() || !allSeatsSelected) && styles.disabledButtonText
+              ]}>
+                Confirm Booking
+              </Text>
+            </TouchableOpacity>
+          </ScrollView>
+        </SafeAreaView>
+      </Modal>
+
+
+      {/* Bottom Navigation Bar */}
+      <View style={styles.bottomNavBar}>
+        <TouchableOpacity style={styles.navItem} onPress={() => router.push('/home')}>
+          <Ionicons name="home" size={24} color="#8B8B8B" />
+          <Text style={styles.navItemText}>Home</Text>
+        </TouchableOpacity>
+        
+        <TouchableOpacity style={styles.navItem} onPress={() => router.push('/my-trips')}>
+          <Ionicons name="airplane" size={24} color="#8B8B8B" />
+          <Text style={styles.navItemText}>My Trips</Text>
+        </TouchableOpacity>
+        
+        <TouchableOpacity style={styles.navItem}>
+          <Ionicons name="calendar" size={24} color="#A68F65" />
+          <Text style={styles.navItemTextActive}>Book</Text>
+        </TouchableOpacity>
+        
+        <TouchableOpacity style={styles.navItem} onPress={() => router.push('/falcon-flyer')}>
+          <Ionicons name="heart" size={24} color="#8B8B8B" />
+          <Text style={styles.navItemText}>Falconflyer</Text>
+        </TouchableOpacity>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+// StyleSheet for Book Screen - Gulf Air Brand Colors and Layout
+const styles = StyleSheet.create({
+  // Main container with white background to match logo
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+  // Header section styling
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+    backgroundColor: '#FFFFFF',
+  },
+  // Logo container
+  logoContainer: {
+    alignItems: 'flex-start',
+    justifyContent: 'center',
+    flex: 0,
+    minWidth: 200,
+  },
+  // Header logo styling
+  headerLogo: {
+    width: 200,
+    height: 60,
+  },
+  // Menu button styling
+  menuButton: {
+    padding: 4,
+  },
+  // Scroll container
+  scrollContainer: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  // Flight type container
+  flightTypeContainer: {
+    flexDirection: 'row',
+    backgroundColor: '#1A1A2E',
+    borderRadius: 12,
+    padding: 4,
+    marginBottom: 20,
+  },
+  // Flight type button
+  flightTypeButton: {
+    flex: 1,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  // Active flight type button
+  flightTypeButtonActive: {
+    backgroundColor: '#FFFFFF',
+  },
+  // Flight type text
+  flightTypeText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#B8B8B8',
+  },
+  // Active flight type text
+  flightTypeTextActive: {
+    color: '#1A1A2E',
+  },
+  // Route container
+  routeContainer: {
+    gap: 12,
+    marginBottom: 20,
+  },
+  // Airport button
+  airportButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  // Airport info
+  airportInfo: {
+    marginLeft: 12,
+    flex: 1,
+  },
+  // Airport label
+  airportLabel: {
+    fontSize: 14,
+    color: '#666666',
+    marginBottom: 4,
+  },
+  // Airport value
+  airportValue: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1A1A2E',
+  },
+  // Date container
+  dateContainer: {
+    gap: 12,
+    marginBottom: 20,
+  },
+  // Date button
+  dateButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  // Date text
+  dateText: {
+    fontSize: 16,
+    color: '#1A1A2E',
+    marginLeft: 12,
+  },
+  // Multi-city legs container
+  multiCityContainer: {
+    marginBottom: 20,
+  },
+  // Single multi-city leg
+  multiCityLeg: {
+    marginBottom: 4,
+  },
+  // Multi-city leg header (title and remove button)
+  multiCityLegHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  // Multi-city leg title
+  multiCityLegTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666666',
+  },
+  // Add another flight button
+  addLegButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: '#A68F65',
+  },
+  // Add another flight button text
+  addLegButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#A68F65',
+    marginLeft: 8,
+  },
+  // Passenger container
+  passengerContainer: {
+    flexDirection: 'row',
+    gap: 12,
+    marginBottom: 20,
+  },
+  // Passenger button
+  passengerButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  // Passenger text
+  passengerText: {
+    fontSize: 16,
+    color: '#1A1A2E',
+    marginLeft: 12,
+  },
+  // Class button
+  classButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  // Class text
+  classText: {
+    fontSize: 16,
+    color: '#1A1A2E',
+  },
+  // Search button
+  searchButton: {
+    backgroundColor: '#A68F65',
+    borderRadius: 12,
+    paddingVertical: 16,
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  // Disabled search button
+  searchButtonDisabled: {
+    backgroundColor: '#8B8B8B',
+  },
+  // Search button text
+  searchButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  // Recent and pinned searches section
+  savedSearches: {
+    marginBottom: 16,
+  },
+  // Row holding the recent searches title and clear link
+  savedSearchesHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  // Saved searches section title
+  savedSearchesTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666666',
+    marginBottom: 8,
+  },
+  // Clear recent searches link
+  savedSearchesClear: {
+    fontSize: 13,
+    color: '#A68F65',
+    marginBottom: 8,
+  },
+  // Wrapping row of search chips
+  savedSearchChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 8,
+  },
+  // Saved search chip
+  savedSearchChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  // Pinned search chip
+  savedSearchChipPinned: {
+    borderColor: '#A68F65',
+  },
+  // Route on a search chip
+  savedSearchChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1A1A1A',
+  },
+  // Dates on a recent search chip
+  savedSearchChipDate: {
+    fontSize: 11,
+    color: '#8B8B8B',
+  },
+  // Promo code button
+  promoCodeButton: {
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  // Promo code text
+  promoCodeText: {
+    fontSize: 14,
+    color: '#A68F65',
+    textDecorationLine: 'underline',
+  },
+  // Results container
+  resultsContainer: {
+    marginBottom: 20,
+  },
+  // Watch this fare button
+  fareWatchButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 6,
+    borderWidth: 1,
+    borderColor: '#A68F65',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginBottom: 12,
+  },
+  // Watch this fare button text
+  fareWatchButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#A68F65',
+  },
+  // Results title
+  resultsTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+    marginBottom: 16,
+  },
+  // Warning container for date not available
+  warningContainer: {
+    backgroundColor: '#FFF3E0',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 20,
+    borderWidth: 1,
+    borderColor: '#FFB74D',
+  },
+  warningHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  warningTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#FF6B35',
+    marginLeft: 8,
+  },
+  warningText: {
+    fontSize: 14,
+    color: '#E65100',
+    lineHeight: 20,
+  },
+  // Link to the nearest date with flights
+  warningLink: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#A68F65',
+    marginTop: 8,
+    textDecorationLine: 'underline',
+  },
+  // Nearby dates strip above the results
+  nearbyDatesStrip: {
+    marginBottom: 16,
+  },
+  // Spacing between nearby dates
+  nearbyDatesContent: {
+    gap: 8,
+  },
+  // One nearby date
+  nearbyDate: {
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E9ECEF',
+    backgroundColor: '#FFFFFF',
+  },
+  // Cheapest nearby date
+  nearbyDateCheapest: {
+    borderColor: '#2E7D32',
+    borderWidth: 2,
+  },
+  // Date of the results shown
+  nearbyDateSelected: {
+    backgroundColor: '#A68F65',
+    borderColor: '#A68F65',
+  },
+  // Nearby date before today or the previous flight
+  nearbyDateDisabled: {
+    opacity: 0.4,
+  },
+  // Nearby date label
+  nearbyDateLabel: {
+    fontSize: 12,
+    color: '#666666',
+    marginBottom: 2,
+  },
+  // Lowest fare of a nearby date
+  nearbyDateFare: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1A1A2E',
+  },
+  // Nearby date text on the selected date
+  nearbyDateTextSelected: {
+    color: '#FFFFFF',
+  },
+  // Sort options and filter button above the results
+  sortFilterBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 16,
+  },
+  // Scrollable sort options next to the filter button
+  sortOptionsScroll: {
+    flex: 1,
+  },
+  // Row of sort options
+  sortOptions: {
+    gap: 8,
+  },
+  // Sort option or filter chip
+  sortOption: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    backgroundColor: '#FFFFFF',
+  },
+  // Chosen sort option or filter chip
+  sortOptionSelected: {
+    backgroundColor: '#A68F65',
+    borderColor: '#A68F65',
+  },
+  // Sort option text
+  sortOptionText: {
+    fontSize: 13,
+    color: '#1A1A2E',
+    textTransform: 'capitalize',
+  },
+  // Chosen sort option text
+  sortOptionTextSelected: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  // Button opening the filter modal
+  filterButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+  },
+  // Filter button text
+  filterButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#A68F65',
+  },
+  // Message when filters hide every flight
+  noFilterResults: {
+    alignItems: 'center',
+    paddingVertical: 20,
+  },
+  // No matching flights text
+  noFilterResultsText: {
+    fontSize: 14,
+    color: '#666666',
+  },
+  // Filter modal content
+  filterContent: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  // Filter section title
+  filterSectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1A1A2E',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  // Wrapping row of filter chips
+  filterChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  // Date group styling
+  dateGroup: {
+    marginBottom: 20,
+  },
+  dateHeader: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+    marginBottom: 12,
+    paddingLeft: 4,
+  },
+  // Flight card
+  flightCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  // Flight already chosen for the current leg
+  flightCardSelected: {
+    borderColor: '#A68F65',
+    borderWidth: 2,
+  },
+  // Leg progress row above the results
+  legProgressContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  // Leg progress chip
+  legProgressItem: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    backgroundColor: '#FFFFFF',
+  },
+  // Leg progress chip for the leg being shown
+  legProgressItemActive: {
+    borderColor: '#A68F65',
+    backgroundColor: '#F8F6F0',
+  },
+  // Leg progress route text
+  legProgressLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666666',
+  },
+  // Active leg progress route text
+  legProgressLabelActive: {
+    color: '#1A1A2E',
+  },
+  // Leg progress date or chosen flight number
+  legProgressValue: {
+    fontSize: 12,
+    color: '#8B8B8B',
+    marginTop: 2,
+  },
+  // Flight header
+  flightHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  // Flight number
+  flightNumber: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+  },
+  // Flight status
+  flightStatus: {
+    fontSize: 14,
+    color: '#A68F65',
+    fontWeight: '600',
+  },
+  // Flight route
+  flightRoute: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  // Route info
+  routeInfo: {
+    alignItems: 'center',
+  },
+  // Airport code
+  airportCode: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+  },
+  // Flight icon
+  flightIcon: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  // Hub airport under the flight icon of a connection
+  layoverText: {
+    fontSize: 11,
+    color: '#8B8B8B',
+    marginTop: 2,
+  },
+  // Layover and flights of a connection
+  connectionInfo: {
+    backgroundColor: '#F8F6F0',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 12,
+  },
+  // Layover duration and airport
+  connectionLayover: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#A68F65',
+    marginBottom: 4,
+  },
+  // One flight of a connection
+  connectionSegment: {
+    fontSize: 12,
+    color: '#666666',
+    marginTop: 2,
+  },
+  // Fare brands side by side on a result card
+  fareBrandRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 12,
+  },
+  // One fare brand column
+  fareBrandOption: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#E9ECEF',
+    borderRadius: 8,
+    padding: 8,
+    backgroundColor: '#FFFFFF',
+  },
+  // Fare brand chosen on the card
+  fareBrandOptionSelected: {
+    borderColor: '#A68F65',
+    borderWidth: 2,
+    backgroundColor: '#F8F6F0',
+  },
+  // Fare brand without seats left
+  fareBrandOptionDisabled: {
+    opacity: 0.5,
+  },
+  // Fare brand name
+  fareBrandName: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1A1A2E',
+    marginBottom: 4,
+  },
+  // Chosen fare brand name
+  fareBrandNameSelected: {
+    color: '#A68F65',
+  },
+  // Fare brand price
+  fareBrandPrice: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#A68F65',
+  },
+  // Price difference to the chosen fare brand
+  fareBrandDifference: {
+    fontSize: 11,
+    color: '#666666',
+    marginBottom: 6,
+  },
+  // Baggage, change and refund conditions
+  fareBrandCondition: {
+    fontSize: 11,
+    color: '#666666',
+    marginTop: 2,
+  },
+  // Button booking the chosen fare brand
+  selectFlightButton: {
+    backgroundColor: '#A68F65',
+    borderRadius: 8,
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  // Select flight button text
+  selectFlightButtonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  // Modal container
+  modalContainer: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+  // Modal header
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  // Modal title
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+  },
+  // Airport item
+  airportItem: {
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  // Airport item info
+  airportItemInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  // Airport item code
+  airportItemCode: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#A68F65',
+    width: 50,
+  },
+  // Airport item details
+  airportItemDetails: {
+    flex: 1,
+  },
+  // Airport item city
+  airportItemCity: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1A1A2E',
+  },
+  // Airport item name
+  airportItemName: {
+    fontSize: 14,
+    color: '#666666',
+  },
+  // Airport typeahead field
+  airportSearchContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginHorizontal: 16,
+    marginVertical: 12,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+  },
+  // Airport typeahead input
+  airportSearchInput: {
+    flex: 1,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1A1A2E',
+  },
+  // Note above the served destinations
+  airportServedNote: {
+    fontSize: 13,
+    color: '#666666',
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  // Search match that isn't offered for the route
+  unservedAirport: {
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  // Unserved airport message
+  unservedAirportText: {
+    fontSize: 14,
+    color: '#666666',
+  },
+  // Date selection summary
+  dateSelectionSummary: {
+    flexDirection: 'row',
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  // Date selection item
+  dateSelectionItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  // Date selection label
+  dateSelectionLabel: {
+    fontSize: 14,
+    color: '#666666',
+    marginBottom: 4,
+  },
+  // Date selection value
+  dateSelectionValue: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1A1A2E',
+  },
+  // Fare calendar caption under the date summary
+  calendarFareCaption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingHorizontal: 16,
+    paddingBottom: 12,
+  },
+  // Fare calendar caption text
+  calendarFareCaptionText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#666666',
+  },
+  // Calendar container
+  calendarContainer: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  // Month container
+  monthContainer: {
+    marginBottom: 32,
+  },
+  // Month title
+  monthTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+  // Days of week container
+  daysOfWeekContainer: {
+    flexDirection: 'row',
+    marginBottom: 12,
+    justifyContent: 'space-between',
+  },
+  // Day of week
+  dayOfWeek: {
+    width: '14%',
+    textAlign: 'center',
+    fontSize: 14,
+    color: '#666666',
+    fontWeight: '500',
+    paddingVertical: 8,
+  },
+  // Weekend day
+  weekendDay: {
+    fontWeight: 'bold',
+  },
+  // Calendar grid
+  calendarGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  // Calendar day
+  calendarDay: {
+    width: '14%', // Slightly less than 14.28% to account for spacing
+    aspectRatio: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 8,
+    borderRadius: 8,
+    minHeight: 40,
+  },
+  // Today day
+  todayDay: {
+    backgroundColor: '#A68F65',
+    borderRadius: 20,
+  },
+  // Past day
+  pastDay: {
+    opacity: 0.3,
+  },
+  // Selectable day
+  selectableDay: {
+    backgroundColor: '#F8F9FA',
+    borderWidth: 1,
+    borderColor: '#E9ECEF',
+  },
+  // Calendar day text
+  calendarDayText: {
+    fontSize: 16,
+    color: '#1A1A2E',
+    fontWeight: '500',
+  },
+  // Past day text
+  pastDayText: {
+    color: '#999999',
+  },
+  // Today day text
+  todayDayText: {
+    color: '#FFFFFF',
+    fontWeight: 'bold',
+  },
+  // Selectable day text
+  selectableDayText: {
+    color: '#1A1A2E',
+    fontWeight: '600',
+  },
+  // Day without flights on the route
+  noServiceDay: {
+    opacity: 0.4,
+  },
+  // Cheapest day of the route
+  cheapestDay: {
+    borderColor: '#2E7D32',
+    borderWidth: 2,
+  },
+  // Lowest fare of a day
+  calendarDayFare: {
+    fontSize: 10,
+    color: '#666666',
+  },
+  // Lowest fare of the cheapest day
+  cheapestDayFare: {
+    color: '#2E7D32',
+    fontWeight: 'bold',
+  },
+  // Class options container
+  classOptionsContainer: {
+    paddingHorizontal: 16,
+    paddingVertical: 20,
+  },
+  // Class option
+  classOption: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 16,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  // Selected class option
+  classOptionSelected: {
+    backgroundColor: '#F5F5F5',
+    borderColor: '#A68F65',
+  },
+  // Class option text
+  classOptionText: {
+    fontSize: 16,
+    color: '#1A1A2E',
+  },
+  // Selected class option text
+  classOptionTextSelected: {
+    color: '#A68F65',
+    fontWeight: '600',
+  },
+  // Passenger modal styles
+  bookingLimitContainer: {
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: '#F8F8F8',
+  },
+  bookingLimitText: {
+    fontSize: 14,
+    color: '#666666',
+    textAlign: 'center',
+  },
+  passengerSummaryContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingVertical: 20,
+    paddingHorizontal: 16,
+    backgroundColor: '#FFFFFF',
+  },
+  passengerSummaryItem: {
+    alignItems: 'center',
+  },
+  passengerSummaryNumber: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+  },
+  passengerSummaryLabel: {
+    fontSize: 14,
+    color: '#666666',
+    marginTop: 4,
+  },
+  passengerCategoriesContainer: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  passengerCategory: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  passengerCategoryInfo: {
+    flex: 1,
+  },
+  passengerCategoryTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+    marginBottom: 4,
+  },
+  passengerCategoryDescription: {
+    fontSize: 14,
+    color: '#666666',
+  },
+  passengerCountControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  passengerCountButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#A68F65',
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+  },
+  passengerCountButtonDisabled: {
+    borderColor: '#CCCCCC',
+    backgroundColor: '#F5F5F5',
+  },
+  passengerCountText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+    marginHorizontal: 20,
+    minWidth: 20,
+    textAlign: 'center',
+  },
+  passengerModalActions: {
+    flexDirection: 'row',
+    paddingHorizontal: 16,
+    paddingVertical: 20,
+    borderTopWidth: 1,
+    borderTopColor: '#E0E0E0',
+  },
+  passengerCancelButton: {
+    flex: 1,
+    paddingVertical: 16,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    marginRight: 8,
+    alignItems: 'center',
+  },
+  passengerCancelButtonText: {
+    fontSize: 16,
+    color: '#1A1A2E',
+    fontWeight: '600',
+  },
+  passengerConfirmButton: {
+    flex: 1,
+    paddingVertical: 16,
+    borderRadius: 8,
+    backgroundColor: '#A68F65',
+    marginLeft: 8,
+    alignItems: 'center',
+  },
+  passengerConfirmButtonText: {
+    fontSize: 16,
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  // Aircraft-based seat selection container
+  seatSelectionContainer: {
+    marginTop: 8,
+  },
+  seatSelectionLabel: {
+    fontSize: 16,
+    color: '#333333',
+    marginBottom: 8,
+    fontWeight: '500',
+  },
+  // Attributes and selected seat details under the seat label
+  selectedSeatDetails: {
+    fontSize: 14,
+    color: '#666666',
+    marginBottom: 8,
+  },
+  // Booking form
+  bookingForm: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  // Itinerary summary in the booking modal
+  itinerarySummary: {
+    backgroundColor: '#F5F5F5',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 24,
+  },
+  // One flight in the itinerary summary
+  itineraryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  // Flight details in the itinerary summary
+  itineraryFlight: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1A1A2E',
+  },
+  // Price of one flight in the itinerary summary
+  itineraryPrice: {
+    fontSize: 14,
+    color: '#666666',
+    marginLeft: 8,
+  },
+  // Fare breakdown by passenger type
+  fareBreakdown: {
+    borderTopWidth: 1,
+    borderTopColor: '#E0E0E0',
+    marginTop: 6,
+    paddingTop: 6,
+  },
+  // Fare breakdown row label
+  fareBreakdownLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: '#1A1A2E',
+  },
+  // Itinerary total row
+  itineraryTotalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    borderTopWidth: 1,
+    borderTopColor: '#E0E0E0',
+    marginTop: 6,
+    paddingTop: 8,
+  },
+  // Itinerary total label
+  itineraryTotalLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1A1A2E',
+  },
+  // Itinerary total value
+  itineraryTotalValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#A68F65',
+  },
+  // Traveller form card
+  travellerCard: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  // Traveller card title
+  travellerTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1A1A2E',
+  },
+  // Traveller card age rule and lap note
+  travellerSubtitle: {
+    fontSize: 13,
+    color: '#666666',
+    marginTop: 2,
+    marginBottom: 12,
+  },
+  // Seat selection tabs, one per flight or traveller
+  seatLegTabs: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  // Seat selection tab
+  seatLegTab: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  // Seat selection tab for the flight being edited
+  seatLegTabActive: {
+    backgroundColor: '#A68F65',
+    borderColor: '#A68F65',
+  },
+  // Seat selection tab text
+  seatLegTabText: {
+    fontSize: 14,
+    color: '#666666',
+  },
+  // Active seat selection tab text
+  seatLegTabTextActive: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  // Booking form group
+  bookingFormGroup: {
+    marginBottom: 20,
+  },
+  // Booking label
+  bookingLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1A1A2E',
+    marginBottom: 8,
+  },
+  // Booking input
+  bookingInput: {
+    backgroundColor: '#F5F5F5',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: '#1A1A2E',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  // Confirm booking button
+  confirmBookingButton: {
+    backgroundColor: '#A68F65',
+    borderRadius: 12,
+    paddingVertical: 16,
+    alignItems: 'center',
+    marginTop: 20,
+    marginBottom: 40,
+  },
+  // Confirm booking button text
+  confirmBookingButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  disabledButton: {
+    backgroundColor: '#CCCCCC',
+    opacity: 0.6,
+  },
+  disabledButtonText: {
+    color: '#999999',
+  },
+  // Bottom navigation bar styling
+  bottomNavBar: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    backgroundColor: '#FFFFFF',
+    borderTopWidth: 1,
+    borderTopColor: '#E0E0E0',
+  },
+  // Navigation item styling
+  navItem: {
+    alignItems: 'center',
+    gap: 4,
+  },
+  // Active navigation item text styling
+  navItemTextActive: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#A68F65',
+  },
+  // Inactive navigation item text styling
+  navItemText: {
+    fontSize: 12,
+    fontWeight: '500',
+    color: '#8B8B8B',
+  },
+});
@@ -0,0 +1,411 @@
+// Import React hooks and components for the Fare Watch list
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  RefreshControl,
+  Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { StatusBar } from 'expo-status-bar';
+import { router, useFocusEffect } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  loadFareWatches,
+  refreshFareWatches,
+  removeFareWatch,
+  isFareWatchExpired,
+} from '../../utils/fareWatch';
+import { getFareBrand } from '../../utils/fareBrands';
+import { getAirportCity } from '../../utils/airports';
+import { formatDateKey, formatCompactDateTime } from '../../utils/datetime';
+
+/**
+ * FareWatchScreen Component - Gulf Air Price Alerts
+ *
+ * Lists the fares the user is watching from the Book screen. Each watch
+ * follows the lowest fare of a route on one date in one fare brand.
+ *
+ * Features:
+ * - Fare when watched next to the latest fare, with the difference
+ * - Seats left warning below the watch's threshold
+ * - Pull to refresh re-checks every watch against the backend
+ * - Remove a watch
+ *
+ * @returns {JSX.Element} The list of fare watches
+ */
+export default function FareWatchScreen() {
+  // State management for watches and refreshing
+  const [watches, setWatches] = useState([]);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+
+  // Show stored watches right away, then check the ones that are due
+  useFocusEffect(
+    React.useCallback(() => {
+      loadFareWatches()
+        .then(setWatches)
+        .then(() => refreshFareWatches())
+        .then(setWatches);
+    }, [])
+  );
+
+  /**
+   * Handle Refresh
+   * Re-checks every upcoming watch, even ones checked recently
+   */
+  const handleRefresh = async () => {
+    setIsRefreshing(true);
+    try {
+      setWatches(await refreshFareWatches({ force: true }));
+    } finally {
+      setIsRefreshing(false);
+    }
+  };
+
+  /**
+   * Handle Remove Watch
+   * Asks before removing a watch from the list
+   */
+  const handleRemoveWatch = (watch) => {
+    Alert.alert(
+      'Stop Watching',
+      `Stop watching ${watch.origin} → ${watch.destination} on ${formatDateKey(watch.date, { day: 'numeric', month: 'short' })}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => setWatches(await removeFareWatch(watch.id)),
+        },
+      ]
+    );
+  };
+
+  /**
+   * Search Watched Fare
+   * Opens the Book screen with the watched route and date searched
+   */
+  const searchWatchedFare = (watch) => {
+    router.push({
+      pathname: '/book',
+      params: {
+        departure: watch.origin,
+        arrival: watch.destination,
+        date: watch.date,
+        travelClass: getFareBrand(watch.fareBrand).seatClass,
+      },
+    });
+  };
+
+  /**
+   * Format Price for Display
+   */
+  const formatPrice = (price) => {
+    if (typeof price !== 'number') return 'N/A';
+    return `BHD ${price.toFixed(3)}`;
+  };
+
+  /**
+   * Get Price Change
+   * Difference between the latest fare and the fare when watched
+   */
+  const getPriceChange = (watch) => {
+    if (typeof watch.currentPrice !== 'number' || typeof watch.watchedPrice !== 'number') return null;
+    const change = Math.round((watch.currentPrice - watch.watchedPrice) * 1000) / 1000;
+    if (change === 0) return { text: 'No change', style: styles.priceUnchanged };
+    return change < 0
+      ? { text: `↓ BHD ${Math.abs(change).toFixed(3)}`, style: styles.priceDown }
+      : { text: `↑ BHD ${change.toFixed(3)}`, style: styles.priceUp };
+  };
+
+  /**
+   * Render Watch Card
+   */
+  const renderWatch = (watch) => {
+    const isExpired = isFareWatchExpired(watch);
+    const priceChange = getPriceChange(watch);
+    const isSoldOut = !isExpired && watch.currentPrice === null;
+    const isLowOnSeats = watch.seatsLeft !== null && watch.seatsLeft < watch.seatThreshold;
+
+    return (
+      <View key={watch.id} style={[styles.watchCard, isExpired && styles.watchCardExpired]}>
+        <View style={styles.watchHeader}>
+          <TouchableOpacity style={styles.watchRoute} onPress={() => searchWatchedFare(watch)} disabled={isExpired}>
+            <Text style={styles.watchRouteText}>{watch.origin} → {watch.destination}</Text>
+            <Text style={styles.watchCities}>
+              {getAirportCity(watch.origin)} to {getAirportCity(watch.destination)}
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => handleRemoveWatch(watch)} hitSlop={8}>
+            <Ionicons name="trash-outline" size={20} color="#8B8B8B" />
+          </TouchableOpacity>
+        </View>
+
+        <Text style={styles.watchDetails}>
+          {formatDateKey(watch.date, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })}
+          {' • '}
+          {getFareBrand(watch.fareBrand).name}
+        </Text>
+
+        {isExpired ? (
+          <Text style={styles.watchNote}>This date has passed.</Text>
+        ) : (
+          <View style={styles.priceRow}>
+            <View>
+              <Text style={styles.priceLabel}>Watched at</Text>
+              <Text style={styles.priceValue}>{formatPrice(watch.watchedPrice)}</Text>
+            </View>
+            <View style={styles.priceColumnRight}>
+              <Text style={styles.priceLabel}>Now</Text>
+              <Text style={styles.priceValue}>{isSoldOut ? 'Sold out' : formatPrice(watch.currentPrice)}</Text>
+              {priceChange && <Text style={[styles.priceChange, priceChange.style]}>{priceChange.text}</Text>}
+            </View>
+          </View>
+        )}
+
+        {!isExpired && isLowOnSeats && (
+          <View style={styles.seatsWarning}>
+            <Ionicons name="alert-circle-outline" size={16} color="#D32F2F" />
+            <Text style={styles.seatsWarningText}>
+              Only {watch.seatsLeft} {watch.seatsLeft === 1 ? 'seat' : 'seats'} left at this fare
+            </Text>
+          </View>
+        )}
+
+        <Text style={styles.lastChecked}>Last checked {formatCompactDateTime(watch.lastCheckedAt)}</Text>
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Set status bar to light content for gold header */}
+      <StatusBar style="light" />
+
+      {/* Header Section */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={24} color="#FFFFFF" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>FARE WATCH</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView
+        style={styles.scrollContainer}
+        refreshControl={<RefreshControl refreshing={isRefreshing} onRefresh={handleRefresh} tintColor="#A68F65" />}
+      >
+        {watches.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Ionicons name="notifications-outline" size={48} color="#A68F65" />
+            <Text style={styles.emptyTitle}>No fares watched yet</Text>
+            <Text style={styles.emptyText}>
+              Search for flights and tap &quot;Watch this fare&quot; to be told when the price drops or seats run low.
+            </Text>
+            <TouchableOpacity style={styles.emptyButton} onPress={() => router.push('/book')}>
+              <Text style={styles.emptyButtonText}>Search Flights</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <>
+            <Text style={styles.listHint}>Pull down to check the latest fares.</Text>
+            {watches.map(renderWatch)}
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+// StyleSheet for Fare Watch screen
+const styles = StyleSheet.create({
+  // Main container with light background
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F8F8',
+  },
+  // Header section with gold background
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: '#A68F65',
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+  },
+  // Back button styling
+  backButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  // Header title styling
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  // Header spacer for centering
+  headerSpacer: {
+    width: 32,
+  },
+  // Scroll container
+  scrollContainer: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  // Hint above the list
+  listHint: {
+    fontSize: 13,
+    color: '#8B8B8B',
+    textAlign: 'center',
+    marginVertical: 12,
+  },
+  // Watch card
+  watchCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  // Watch whose date has passed
+  watchCardExpired: {
+    opacity: 0.6,
+  },
+  // Route and remove button row
+  watchHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+  },
+  // Tappable route
+  watchRoute: {
+    flex: 1,
+  },
+  // Route codes
+  watchRouteText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+  },
+  // Route cities
+  watchCities: {
+    fontSize: 13,
+    color: '#666666',
+    marginTop: 2,
+  },
+  // Date and fare brand
+  watchDetails: {
+    fontSize: 14,
+    color: '#1A1A2E',
+    marginTop: 8,
+  },
+  // Note for a passed date
+  watchNote: {
+    fontSize: 14,
+    color: '#8B8B8B',
+    marginTop: 12,
+  },
+  // Watched and current price row
+  priceRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  // Current price column
+  priceColumnRight: {
+    alignItems: 'flex-end',
+  },
+  // Price label
+  priceLabel: {
+    fontSize: 12,
+    color: '#8B8B8B',
+  },
+  // Price value
+  priceValue: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1A1A2E',
+  },
+  // Price change
+  priceChange: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  // Price went down
+  priceDown: {
+    color: '#2E7D32',
+  },
+  // Price went up
+  priceUp: {
+    color: '#D32F2F',
+  },
+  // Price unchanged
+  priceUnchanged: {
+    color: '#8B8B8B',
+  },
+  // Low seats warning row
+  seatsWarning: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 12,
+  },
+  // Low seats warning text
+  seatsWarningText: {
+    fontSize: 13,
+    color: '#D32F2F',
+  },
+  // Last checked time
+  lastChecked: {
+    fontSize: 12,
+    color: '#8B8B8B',
+    marginTop: 12,
+  },
+  // Empty state container
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+    paddingHorizontal: 24,
+  },
+  // Empty state title
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+    marginTop: 16,
+  },
+  // Empty state text
+  emptyText: {
+    fontSize: 14,
+    color: '#666666',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  // Empty state button
+  emptyButton: {
+    backgroundColor: '#A68F65',
+    borderRadius: 8,
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    marginTop: 20,
+  },
+  // Empty state button text
+  emptyButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+});
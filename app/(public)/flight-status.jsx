@@ -0,0 +1,828 @@
+// Import React hooks and components for Flight Status functionality
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  TextInput,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { StatusBar } from 'expo-status-bar';
+import { router, useLocalSearchParams, useFocusEffect } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { flightsAPI } from '../../utils/api';
+import { getAirport, getAirportCity } from '../../utils/airports';
+import {
+  toDateKey,
+  shiftDateKey,
+  getDaysBetween,
+  formatDateKey,
+  formatTime,
+  formatFullDate,
+  parseDateTime,
+} from '../../utils/datetime';
+import {
+  FLIGHT_STAGES,
+  FLIGHT_STATUS_REFRESH_SECONDS,
+  getStatusInfo,
+  normalizeFlightStatus,
+  getFlightStatusDateKey,
+  getStageIndex,
+  getFlightProgress,
+} from '../../utils/flightStatus';
+
+// Search modes shown as tabs
+const SEARCH_MODES = [
+  { key: 'flight', label: 'Flight number' },
+  { key: 'route', label: 'Route' },
+];
+
+/**
+ * FlightStatusScreen Component - Gulf Air Flight Status
+ *
+ * Looks up the status of Gulf Air flights by flight number or by route and
+ * date, and keeps the results up to date while the screen is open.
+ *
+ * Features:
+ * - Scheduled, estimated and actual departure and arrival times
+ * - Gate, terminal and delay reason when the backend provides them
+ * - Progress timeline from scheduled to landed
+ * - Auto-refresh every minute
+ *
+ * @returns {JSX.Element} The flight status search and results
+ */
+export default function FlightStatusScreen() {
+  // Flight number and date passed in from other screens
+  const params = useLocalSearchParams();
+
+  // Search form
+  const todayKey = toDateKey(new Date());
+  // Yesterday, today and tomorrow, plus a later date passed in (e.g. a trip from My Trips)
+  const dateOptions = [...new Set([
+    ...[-1, 0, 1].map((offset) => shiftDateKey(todayKey, offset)),
+    ...(params.date ? [String(params.date)] : []),
+  ])].sort();
+  const [searchMode, setSearchMode] = useState('flight');
+  const [flightNumber, setFlightNumber] = useState('');
+  const [origin, setOrigin] = useState('');
+  const [destination, setDestination] = useState('');
+  const [date, setDate] = useState(todayKey);
+
+  // Results
+  const [activeQuery, setActiveQuery] = useState(null); // Query shown in the results, refreshed automatically
+  const [flights, setFlights] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [refreshError, setRefreshError] = useState(null);
+
+  // Look up a flight passed in as a parameter
+  useEffect(() => {
+    if (!params.flightNumber) return;
+    const query = {
+      mode: 'flight',
+      flightNumber: String(params.flightNumber).toUpperCase(),
+      date: params.date || todayKey,
+    };
+    setSearchMode('flight');
+    setFlightNumber(query.flightNumber);
+    setDate(query.date);
+    runQuery(query);
+  }, [params.flightNumber, params.date]);
+
+  // Refresh the results every minute while the screen is open
+  useFocusEffect(
+    React.useCallback(() => {
+      if (!activeQuery) return undefined;
+      const timer = setInterval(() => runQuery(activeQuery, { isRefresh: true }), FLIGHT_STATUS_REFRESH_SECONDS * 1000);
+      return () => clearInterval(timer);
+    }, [activeQuery])
+  );
+
+  /**
+   * Fetch Flights
+   * Flights matching a query from the status endpoint or a route search
+   */
+  const fetchFlights = async (query) => {
+    if (query.mode === 'flight') {
+      const response = await flightsAPI.getFlightStatus(query.flightNumber);
+      // The endpoint returns one flight, or every date of the flight number
+      const results = Array.isArray(response) ? response : [response];
+      const onDate = results.filter((flight) => getFlightStatusDateKey(flight) === query.date);
+      return Array.isArray(response) ? onDate : results;
+    }
+    const results = await flightsAPI.searchFlights(query.origin, query.destination);
+    return results.filter((flight) => getFlightStatusDateKey(flight) === query.date);
+  };
+
+  /**
+   * Run Query
+   * Loads the flights of a query; a failed automatic refresh keeps the last results
+   */
+  const runQuery = async (query, { isRefresh = false } = {}) => {
+    try {
+      if (!isRefresh) setIsSearching(true);
+      const results = (await fetchFlights(query))
+        .filter(Boolean)
+        .map(normalizeFlightStatus)
+        .sort((a, b) => (parseDateTime(a.scheduledDeparture)?.getTime() || 0) - (parseDateTime(b.scheduledDeparture)?.getTime() || 0));
+      setFlights(results);
+      setActiveQuery(query);
+      setLastUpdated(new Date());
+      setRefreshError(null);
+    } catch (error) {
+      console.error('Flight status error:', error);
+      if (isRefresh) {
+        setRefreshError(error.message || 'Could not refresh');
+        return;
+      }
+      setFlights([]);
+      setActiveQuery(null);
+      Alert.alert('Flight Status', error.message || 'Could not load the flight status. Please try again.');
+    } finally {
+      if (!isRefresh) setIsSearching(false);
+    }
+  };
+
+  /**
+   * Handle Search
+   * Validates the form and looks the flights up
+   */
+  const handleSearch = () => {
+    if (searchMode === 'flight') {
+      const number = flightNumber.replace(/\s+/g, '').toUpperCase();
+      if (!/^[A-Z0-9]{2}\d{1,4}[A-Z]?$/.test(number)) {
+        Alert.alert('Flight Status', 'Please enter a flight number such as GF123.');
+        return;
+      }
+      runQuery({ mode: 'flight', flightNumber: number, date });
+      return;
+    }
+
+    const from = origin.trim().toUpperCase();
+    const to = destination.trim().toUpperCase();
+    if (!getAirport(from) || !getAirport(to)) {
+      Alert.alert('Flight Status', 'Please enter the airport codes of the route, such as BAH and LHR.');
+      return;
+    }
+    if (from === to) {
+      Alert.alert('Flight Status', 'Origin and destination must be different.');
+      return;
+    }
+    runQuery({ mode: 'route', origin: from, destination: to, date });
+  };
+
+  /**
+   * Change Search Mode
+   * Switches between flight number and route search
+   */
+  const changeSearchMode = (mode) => {
+    setSearchMode(mode);
+    setFlights([]);
+    setActiveQuery(null);
+  };
+
+  /**
+   * Describe Date Option
+   * "Yesterday", "Today", "Tomorrow" or the weekday, with the date
+   */
+  const describeDateOption = (dateKey) => {
+    const names = { [-1]: 'Yesterday', 0: 'Today', 1: 'Tomorrow' };
+    const name = names[getDaysBetween(todayKey, dateKey)] || formatDateKey(dateKey, { weekday: 'short' });
+    return `${name} • ${formatDateKey(dateKey, { day: 'numeric', month: 'short' })}`;
+  };
+
+  /**
+   * Render Time Row
+   * Scheduled time, crossed out when an estimated or actual time replaces it
+   */
+  const renderTimeRow = (label, scheduled, estimated, actual, airport) => {
+    const revised = actual || estimated;
+    const isChanged = revised && formatTime(revised, airport) !== formatTime(scheduled, airport);
+    return (
+      <View style={styles.timeRow}>
+        <Text style={styles.timeLabel}>{label}</Text>
+        <View style={styles.timeValues}>
+          <Text style={[styles.timeValue, isChanged && styles.timeValueReplaced]}>
+            {formatTime(scheduled, airport)}
+          </Text>
+          {revised && (
+            <Text style={[styles.timeValue, isChanged && styles.timeValueRevised]}>
+              {actual ? 'Actual' : 'Estimated'} {formatTime(revised, airport)}
+            </Text>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  /**
+   * Render Timeline
+   * Stages from scheduled to landed, with the flight's progress in the air
+   */
+  const renderTimeline = (flight) => {
+    const stageIndex = getStageIndex(flight);
+    const progress = getFlightProgress(flight);
+
+    return (
+      <View style={styles.timeline}>
+        <View style={styles.timelineStages}>
+          {FLIGHT_STAGES.map((stage, index) => (
+            <View key={stage.key} style={styles.timelineStage}>
+              <View style={[styles.timelineDot, index <= stageIndex && styles.timelineDotReached]}>
+                <Ionicons name={stage.icon} size={14} color={index <= stageIndex ? '#FFFFFF' : '#8B8B8B'} />
+              </View>
+              <Text style={[styles.timelineLabel, index === stageIndex && styles.timelineLabelCurrent]}>
+                {stage.label}
+              </Text>
+            </View>
+          ))}
+        </View>
+        {stageIndex >= 2 && (
+          <View style={styles.progressTrack}>
+            <View style={[styles.progressFill, { width: `${Math.round(progress * 100)}%` }]} />
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  /**
+   * Render Flight Card
+   */
+  const renderFlight = (flight) => {
+    const statusInfo = getStatusInfo(flight.status);
+    const isCancelled = getStageIndex(flight) === -1;
+
+    return (
+      <View key={`${flight.id}-${flight.scheduledDeparture}`} style={styles.flightCard}>
+        {/* Flight number and status */}
+        <View style={styles.flightHeader}>
+          <View>
+            <Text style={styles.flightNumber}>{flight.flightNumber}</Text>
+            <Text style={styles.flightDate}>{formatFullDate(flight.scheduledDeparture, flight.from)}</Text>
+          </View>
+          <View style={[styles.statusBadge, { backgroundColor: statusInfo.color }]}>
+            <Text style={styles.statusBadgeText}>{statusInfo.label}</Text>
+          </View>
+        </View>
+
+        {/* Route */}
+        <View style={styles.routeRow}>
+          <View>
+            <Text style={styles.airportCode}>{flight.from}</Text>
+            <Text style={styles.airportCity}>{getAirportCity(flight.from)}</Text>
+          </View>
+          <Ionicons name="airplane" size={20} color="#A68F65" />
+          <View style={styles.routeRight}>
+            <Text style={styles.airportCode}>{flight.to}</Text>
+            <Text style={styles.airportCity}>{getAirportCity(flight.to)}</Text>
+          </View>
+        </View>
+
+        {/* Delay */}
+        {!isCancelled && flight.delayMinutes > 0 && (
+          <View style={styles.delayBanner}>
+            <Ionicons name="time-outline" size={16} color="#FF6B35" />
+            <Text style={styles.delayText}>
+              Delayed {flight.delayMinutes} min{flight.delayReason ? ` – ${flight.delayReason}` : ''}
+            </Text>
+          </View>
+        )}
+        {!isCancelled && !flight.delayMinutes && flight.delayReason && (
+          <View style={styles.delayBanner}>
+            <Ionicons name="information-circle-outline" size={16} color="#FF6B35" />
+            <Text style={styles.delayText}>{flight.delayReason}</Text>
+          </View>
+        )}
+        {isCancelled && (
+          <View style={styles.cancelledBanner}>
+            <Ionicons name="close-circle-outline" size={16} color="#D32F2F" />
+            <Text style={styles.cancelledText}>
+              This flight is cancelled{flight.delayReason ? ` – ${flight.delayReason}` : ''}.
+            </Text>
+          </View>
+        )}
+
+        {/* Times */}
+        {renderTimeRow('Departure', flight.scheduledDeparture, flight.estimatedDeparture, flight.actualDeparture, flight.from)}
+        {renderTimeRow('Arrival', flight.scheduledArrival, flight.estimatedArrival, flight.actualArrival, flight.to)}
+
+        {/* Gate and terminal */}
+        <View style={styles.gateRow}>
+          <View style={styles.gateItem}>
+            <Text style={styles.gateLabel}>Terminal</Text>
+            <Text style={styles.gateValue}>{flight.departureTerminal || '–'}</Text>
+          </View>
+          <View style={styles.gateItem}>
+            <Text style={styles.gateLabel}>Gate</Text>
+            <Text style={styles.gateValue}>{flight.departureGate || '–'}</Text>
+          </View>
+          {(flight.arrivalTerminal || flight.arrivalGate) && (
+            <View style={styles.gateItem}>
+              <Text style={styles.gateLabel}>Arrival</Text>
+              <Text style={styles.gateValue}>
+                {[flight.arrivalTerminal && `T${flight.arrivalTerminal}`, flight.arrivalGate && `Gate ${flight.arrivalGate}`]
+                  .filter(Boolean)
+                  .join(' • ')}
+              </Text>
+            </View>
+          )}
+        </View>
+
+        {/* Timeline */}
+        {!isCancelled && renderTimeline(flight)}
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Set status bar to light content for gold header */}
+      <StatusBar style="light" />
+
+      {/* Header Section */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={24} color="#FFFFFF" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>FLIGHT STATUS</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView style={styles.scrollContainer} keyboardShouldPersistTaps="handled">
+        {/* Search Form */}
+        <View style={styles.searchCard}>
+          <View style={styles.modeTabs}>
+            {SEARCH_MODES.map((mode) => (
+              <TouchableOpacity
+                key={mode.key}
+                style={[styles.modeTab, searchMode === mode.key && styles.modeTabActive]}
+                onPress={() => changeSearchMode(mode.key)}
+              >
+                <Text style={[styles.modeTabText, searchMode === mode.key && styles.modeTabTextActive]}>
+                  {mode.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {searchMode === 'flight' ? (
+            <TextInput
+              style={styles.input}
+              value={flightNumber}
+              onChangeText={(text) => setFlightNumber(text.toUpperCase())}
+              placeholder="Flight number, e.g. GF123"
+              autoCapitalize="characters"
+              autoCorrect={false}
+            />
+          ) : (
+            <View style={styles.routeInputs}>
+              <TextInput
+                style={[styles.input, styles.routeInput]}
+                value={origin}
+                onChangeText={(text) => setOrigin(text.toUpperCase())}
+                placeholder="From (BAH)"
+                autoCapitalize="characters"
+                autoCorrect={false}
+                maxLength={3}
+              />
+              <Ionicons name="arrow-forward" size={20} color="#8B8B8B" />
+              <TextInput
+                style={[styles.input, styles.routeInput]}
+                value={destination}
+                onChangeText={(text) => setDestination(text.toUpperCase())}
+                placeholder="To (LHR)"
+                autoCapitalize="characters"
+                autoCorrect={false}
+                maxLength={3}
+              />
+            </View>
+          )}
+
+          <View style={styles.dateOptions}>
+            {dateOptions.map((dateKey) => (
+              <TouchableOpacity
+                key={dateKey}
+                style={[styles.dateOption, date === dateKey && styles.dateOptionSelected]}
+                onPress={() => setDate(dateKey)}
+              >
+                <Text style={[styles.dateOptionText, date === dateKey && styles.dateOptionTextSelected]}>
+                  {describeDateOption(dateKey)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <TouchableOpacity
+            style={[styles.searchButton, isSearching && styles.searchButtonDisabled]}
+            onPress={handleSearch}
+            disabled={isSearching}
+          >
+            {isSearching ? (
+              <ActivityIndicator color="#FFFFFF" />
+            ) : (
+              <Text style={styles.searchButtonText}>Check Status</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+
+        {/* Results */}
+        {activeQuery && (
+          <>
+            <Text style={styles.updatedText}>
+              {refreshError
+                ? `Couldn't refresh (${refreshError}). Showing status from ${formatTime(lastUpdated)}.`
+                : `Updated ${formatTime(lastUpdated)} • refreshes every minute`}
+            </Text>
+            {flights.length > 0 ? (
+              flights.map(renderFlight)
+            ) : (
+              <View style={styles.emptyState}>
+                <Ionicons name="airplane-outline" size={40} color="#A68F65" />
+                <Text style={styles.emptyText}>
+                  No flights found on {formatDateKey(activeQuery.date, { day: 'numeric', month: 'long' })}.
+                </Text>
+              </View>
+            )}
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+// StyleSheet for Flight Status screen
+const styles = StyleSheet.create({
+  // Main container with light background
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F8F8',
+  },
+  // Header section with gold background
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: '#A68F65',
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+  },
+  // Back button styling
+  backButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  // Header title styling
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  // Header spacer for centering
+  headerSpacer: {
+    width: 32,
+  },
+  // Scroll container
+  scrollContainer: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  // Search form card
+  searchCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginVertical: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  // Search mode tabs
+  modeTabs: {
+    flexDirection: 'row',
+    backgroundColor: '#F0F0F0',
+    borderRadius: 8,
+    padding: 4,
+    marginBottom: 16,
+  },
+  // Search mode tab
+  modeTab: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 6,
+    alignItems: 'center',
+  },
+  // Selected search mode tab
+  modeTabActive: {
+    backgroundColor: '#FFFFFF',
+  },
+  // Search mode tab text
+  modeTabText: {
+    fontSize: 14,
+    color: '#666666',
+  },
+  // Selected search mode tab text
+  modeTabTextActive: {
+    fontWeight: '600',
+    color: '#1A1A2E',
+  },
+  // Text input
+  input: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1A1A2E',
+  },
+  // Route inputs row
+  routeInputs: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  // Airport code input
+  routeInput: {
+    flex: 1,
+  },
+  // Date options row
+  dateOptions: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 12,
+  },
+  // Date option
+  dateOption: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    paddingVertical: 8,
+    alignItems: 'center',
+  },
+  // Selected date option
+  dateOptionSelected: {
+    borderColor: '#A68F65',
+    backgroundColor: '#FAF6EE',
+  },
+  // Date option text
+  dateOptionText: {
+    fontSize: 12,
+    color: '#666666',
+  },
+  // Selected date option text
+  dateOptionTextSelected: {
+    fontWeight: '600',
+    color: '#A68F65',
+  },
+  // Search button
+  searchButton: {
+    backgroundColor: '#A68F65',
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  // Search button while searching
+  searchButtonDisabled: {
+    backgroundColor: '#8B8B8B',
+  },
+  // Search button text
+  searchButtonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  // Last updated text
+  updatedText: {
+    fontSize: 12,
+    color: '#8B8B8B',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  // Flight card
+  flightCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  // Flight number and status row
+  flightHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+  },
+  // Flight number
+  flightNumber: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+  },
+  // Flight date
+  flightDate: {
+    fontSize: 13,
+    color: '#666666',
+    marginTop: 2,
+  },
+  // Status badge
+  statusBadge: {
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+  },
+  // Status badge text
+  statusBadgeText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  // Origin and destination row
+  routeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginVertical: 16,
+  },
+  // Destination column
+  routeRight: {
+    alignItems: 'flex-end',
+  },
+  // Airport code
+  airportCode: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+  },
+  // Airport city
+  airportCity: {
+    fontSize: 13,
+    color: '#666666',
+  },
+  // Delay banner
+  delayBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    backgroundColor: '#FFF4EE',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 12,
+  },
+  // Delay text
+  delayText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#FF6B35',
+  },
+  // Cancelled banner
+  cancelledBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    backgroundColor: '#FDECEA',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 12,
+  },
+  // Cancelled text
+  cancelledText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#D32F2F',
+  },
+  // Departure or arrival time row
+  timeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  // Time row label
+  timeLabel: {
+    fontSize: 14,
+    color: '#666666',
+  },
+  // Scheduled and revised times
+  timeValues: {
+    alignItems: 'flex-end',
+  },
+  // Time value
+  timeValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1A1A2E',
+  },
+  // Scheduled time replaced by a revised one
+  timeValueReplaced: {
+    color: '#8B8B8B',
+    fontWeight: 'normal',
+    textDecorationLine: 'line-through',
+  },
+  // Revised time that differs from the schedule
+  timeValueRevised: {
+    color: '#FF6B35',
+  },
+  // Gate and terminal row
+  gateRow: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  // Gate or terminal item
+  gateItem: {
+    flex: 1,
+  },
+  // Gate or terminal label
+  gateLabel: {
+    fontSize: 12,
+    color: '#8B8B8B',
+    textTransform: 'uppercase',
+  },
+  // Gate or terminal value
+  gateValue: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1A1A2E',
+    marginTop: 2,
+  },
+  // Timeline container
+  timeline: {
+    marginTop: 16,
+  },
+  // Timeline stages row
+  timelineStages: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  // One timeline stage
+  timelineStage: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  // Timeline stage dot
+  timelineDot: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: '#F0F0F0',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  // Reached timeline stage dot
+  timelineDotReached: {
+    backgroundColor: '#A68F65',
+  },
+  // Timeline stage label
+  timelineLabel: {
+    fontSize: 11,
+    color: '#8B8B8B',
+    marginTop: 4,
+  },
+  // Current timeline stage label
+  timelineLabelCurrent: {
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+  },
+  // Flight progress track
+  progressTrack: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#F0F0F0',
+    marginTop: 12,
+    overflow: 'hidden',
+  },
+  // Flight progress fill
+  progressFill: {
+    height: 4,
+    backgroundColor: '#A68F65',
+  },
+  // Empty results
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 40,
+  },
+  // Empty results text
+  emptyText: {
+    fontSize: 14,
+    color: '#666666',
+    marginTop: 12,
+    textAlign: 'center',
+  },
+});
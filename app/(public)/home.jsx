@@ -1,5 +1,5 @@
 // Import React hooks and components for home page functionality
-import React, { useEffect, useState } from 'react';
+import React from 'react';
 import {
   View,
   Text,
@@ -13,7 +13,7 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { StatusBar } from 'expo-status-bar';
 import { router } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
-import { getAuthToken, clearAuthToken, authAPI } from '../utils/api';
+import { useAuth } from '../../context/AuthContext';
 
 /**
  * HomeScreen Component - Gulf Air App Main Landing Page
@@ -31,19 +31,8 @@ import { getAuthToken, clearAuthToken, authAPI } from '../utils/api';
  * @returns {JSX.Element} A complete home page with navigation options
  */
 export default function HomeScreen() {
-  const [isLoggedIn, setIsLoggedIn] = useState(false);
-
-  useEffect(() => {
-    const checkAuth = async () => {
-      const token = await getAuthToken();
-      setIsLoggedIn(!!token);
-    };
-    const unsubscribe = router.addListener?.('focus', checkAuth);
-    checkAuth();
-    return () => {
-      if (unsubscribe) unsubscribe();
-    };
-  }, []);
+  // Session state from AuthProvider, re-renders whenever the user logs in or out
+  const { isAuthenticated: isLoggedIn, logout } = useAuth();
 
   /**
    * Handle Login Navigation
@@ -71,11 +60,7 @@ export default function HomeScreen() {
 
   const handleLogout = async () => {
     try {
-      try {
-        await authAPI.logout();
-      } catch (e) {}
-      await clearAuthToken();
-      setIsLoggedIn(false);
+      await logout();
       Alert.alert('Logged out', 'You have been signed out.');
       router.replace('/login');
     } catch (error) {
@@ -92,7 +77,7 @@ export default function HomeScreen() {
       <View style={styles.topNavBar}>
         <View style={styles.logoContainer}>
           <Image 
-            source={require('../assets/images/header.png')}
+            source={require('../../assets/images/header.png')}
             style={styles.topLogo}
             resizeMode="contain"
           />
@@ -107,7 +92,7 @@ export default function HomeScreen() {
         {/* Plane Image Section with Overlay */}
         <View style={styles.planeImageContainer}>
           <Image 
-            source={require('../assets/images/plane.jpg')}
+            source={require('../../assets/images/plane.jpg')}
             style={styles.planeImage}
             resizeMode="cover"
           />
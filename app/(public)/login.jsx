@@ -4,7 +4,7 @@
 // using either their Falcon Flyer number or email address. It includes
 // form validation, API connectivity testing, and secure authentication flow.
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -19,11 +19,17 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { StatusBar } from 'expo-status-bar';
-import { router } from 'expo-router';
-import { authAPI, setAuthToken, testAPIConnection } from '../utils/api';
+import { router, useLocalSearchParams } from 'expo-router';
+import { useAuth } from '../../context/AuthContext';
+import { getSafeRedirect } from '../../utils/navigation';
+import OfflineBanner from '../../components/OfflineBanner';
 
 
 export default function LoginScreen() {
+  // Return-to route and expiry flag set by the 401 handler in _layout.jsx
+  const { redirect, expired } = useLocalSearchParams();
+  const { login, isAuthenticated, isRestoring } = useAuth();
+
   // State management for login form
   const [loginMethod, setLoginMethod] = useState('falconFlyer'); // 'falconFlyer' or 'email'
   const [falconFlyerNumber, setFalconFlyerNumber] = useState(''); // Falcon Flyer number input
@@ -31,6 +37,14 @@ export default function LoginScreen() {
   const [password, setPassword] = useState(''); // Password input
   const [isLoading, setIsLoading] = useState(false); // Loading state for login process
 
+  // Skip the form once a restored (or new) session is available
+  useEffect(() => {
+    if (!isRestoring && isAuthenticated) {
+      console.log('Session available, leaving login');
+      router.replace(getSafeRedirect(redirect));
+    }
+  }, [isRestoring, isAuthenticated, redirect]);
+
   // This function manages the complete login flow including validation,
   // API connectivity testing, authentication, and navigation.
   const handleLogin = async () => {
@@ -55,14 +69,6 @@ export default function LoginScreen() {
     setIsLoading(true);
     
     try {
-      // Test API connection before attempting login
-      // This prevents unnecessary API calls if backend is unavailable
-      const isConnected = await testAPIConnection();
-      if (!isConnected) {
-        Alert.alert('Connection Error', 'Cannot connect to server. Please check your internet connection and ensure the backend is running.');
-        return;
-      }
-
       // Prepare login data based on selected method
       const loginData = {
         password: password.trim()
@@ -80,18 +86,10 @@ export default function LoginScreen() {
       console.log('API endpoint being called:', '/auth/login');
       console.log('Full URL:', 'http://localhost:8000/auth/login');
 
-      // Authenticate user with backend API
-      const response = await authAPI.login(loginData);
-
-      // Store JWT token for authenticated API requests
-      if (response.token) {
-        await setAuthToken(response.token);
-        console.log('Login successful, token stored');
-      }
-      
-      // Log success for debugging and navigate to home
+      // Authenticate user with backend API and store the session.
+      // The effect above navigates back once AuthProvider sees the new session.
+      const response = await login(loginData);
       console.log('Login successful:', response);
-      router.push('/home');
     } catch (error) {
       // Handle authentication errors and display user-friendly messages
       console.error('Login error:', error);
@@ -121,6 +119,9 @@ export default function LoginScreen() {
     <SafeAreaView style={styles.container}>
       {/* Set status bar to light content for better visibility on dark background */}
       <StatusBar style="light" />
+
+      {/* Connection notice, from the app's own requests */}
+      <OfflineBanner />
       
       {/* Keyboard avoiding view to prevent keyboard from covering form inputs */}
       <KeyboardAvoidingView 
@@ -132,7 +133,7 @@ export default function LoginScreen() {
           <View style={styles.header}>
             <View style={styles.logoContainer}>
               <Image 
-                source={require('../assets/images/logo.png')}
+                source={require('../../assets/images/logo.png')}
                 style={styles.logo}
                 resizeMode="contain"
               />
@@ -141,6 +142,15 @@ export default function LoginScreen() {
             <Text style={styles.subtitleText}>Sign in to your account</Text>
           </View>
 
+          {/* Session Expired Notice - shown after the API rejected an old token */}
+          {expired === 'true' && (
+            <View style={styles.expiredNotice}>
+              <Text style={styles.expiredNoticeText}>
+                Your session has expired. Please sign in again to continue.
+              </Text>
+            </View>
+          )}
+
           {/* Main Login Form Container */}
           <View style={styles.formContainer}>
             {/* Login Method Toggle - Switch between Falcon Flyer and Email */}
@@ -313,6 +323,21 @@ const styles = StyleSheet.create({
     color: '#B8B8B8',
     textAlign: 'center',
   },
+  // Session expired notice above the form
+  expiredNotice: {
+    backgroundColor: 'rgba(232, 184, 109, 0.15)',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E8B86D',
+    padding: 12,
+    marginBottom: 16,
+  },
+  // Session expired notice text
+  expiredNoticeText: {
+    fontSize: 14,
+    color: '#E8B86D',
+    textAlign: 'center',
+  },
   // Main form container with elevated background and reduced padding
   formContainer: {
     backgroundColor: '#16213E', // Slightly lighter blue for contrast
@@ -12,7 +12,8 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { StatusBar } from 'expo-status-bar';
 import { router } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
-import { authAPI, clearAuthToken } from '../utils/api';
+import { useAuth } from '../../context/AuthContext';
+import { clearOfflineCache } from '../../utils/offlineCache';
 
 /**
  * MenuScreen Component - Gulf Air App Menu
@@ -23,6 +24,7 @@ import { authAPI, clearAuthToken } from '../utils/api';
  * 
  * Features:
  * - Flight status and check-in options
+ * - Fare watch price alerts
  * - Booking management
  * - App information
  * - Contact assistance
@@ -32,6 +34,8 @@ import { authAPI, clearAuthToken } from '../utils/api';
  * @returns {JSX.Element} A complete menu interface with Gulf Air branding
  */
 export default function MenuScreen() {
+  const { logout } = useAuth();
+
   /**
    * Handle Menu Item Navigation
    * Navigates to different sections based on menu item
@@ -39,10 +43,16 @@ export default function MenuScreen() {
   const handleMenuItem = (item) => {
     switch (item) {
       case 'flight-status':
-        Alert.alert('Flight Status', 'Flight status feature coming soon!');
+        router.push('/flight-status');
         break;
       case 'check-in':
-        Alert.alert('Check In', 'Check-in feature coming soon!');
+        router.push('/check-in');
+        break;
+      case 'fare-watch':
+        router.push('/fare-watch');
+        break;
+      case 'notifications':
+        router.push('/notification-settings');
         break;
       case 'manage-booking':
         Alert.alert('Manage Booking', 'Booking management feature coming soon!');
@@ -51,7 +61,9 @@ export default function MenuScreen() {
         Alert.alert('About Gulf Air App', 'Gulf Air App v1.0.0\nYour trusted travel companion.');
         break;
       case 'clear-cache':
-        Alert.alert('Clear Cache', 'Cache cleared successfully!');
+        clearOfflineCache().then(() => {
+          Alert.alert('Clear Cache', 'Trips, loyalty data and boarding passes saved for offline use have been removed.');
+        });
         break;
       case 'contact-us':
         Alert.alert('Contact Us', 'Contact us feature coming soon!');
@@ -71,13 +83,8 @@ export default function MenuScreen() {
 
   const handleLogout = async () => {
     try {
-      // Best-effort backend notification (if endpoint exists)
-      try {
-        await authAPI.logout();
-      } catch (e) {
-        // Ignore if backend doesn't support logout
-      }
-      await clearAuthToken();
+      // Best-effort backend notification happens inside logout()
+      await logout();
       Alert.alert('Logged out', 'You have been signed out.');
       router.replace('/login');
     } catch (error) {
@@ -118,6 +125,22 @@ export default function MenuScreen() {
             <Ionicons name="chevron-forward" size={20} color="#8B8B8B" />
           </TouchableOpacity>
 
+          <TouchableOpacity 
+            style={styles.menuItem}
+            onPress={() => handleMenuItem('fare-watch')}
+          >
+            <Text style={styles.menuItemText}>Fare Watch</Text>
+            <Ionicons name="chevron-forward" size={20} color="#8B8B8B" />
+          </TouchableOpacity>
+
+          <TouchableOpacity 
+            style={styles.menuItem}
+            onPress={() => handleMenuItem('notifications')}
+          >
+            <Text style={styles.menuItemText}>Notifications</Text>
+            <Ionicons name="chevron-forward" size={20} color="#8B8B8B" />
+          </TouchableOpacity>
+
           <TouchableOpacity 
             style={styles.menuItem}
             onPress={() => handleMenuItem('manage-booking')}
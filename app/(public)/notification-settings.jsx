@@ -0,0 +1,252 @@
+// Import React hooks and components for the Notification Settings screen
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Switch,
+  Linking,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { StatusBar } from 'expo-status-bar';
+import { router, useFocusEffect } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  TRIP_ALERT_CATEGORIES,
+  loadTripAlertSettings,
+  saveTripAlertSettings,
+  syncTripAlerts,
+} from '../../utils/tripAlerts';
+import {
+  isNotificationSupported,
+  getNotificationPermission,
+  requestNotificationPermission,
+} from '../../utils/notifications';
+
+/**
+ * NotificationSettingsScreen Component - Gulf Air Trip Alerts
+ *
+ * Lets the user choose which trip alerts the app sends for their bookings.
+ *
+ * Features:
+ * - One switch per category: check-in opens, departure reminder, gate
+ *   changes and delays
+ * - Shows when notifications are blocked and links to the system settings
+ *
+ * @returns {JSX.Element} The notification settings
+ */
+export default function NotificationSettingsScreen() {
+  // State management for settings and permission
+  const [settings, setSettings] = useState(null);
+  const [isPermissionGranted, setIsPermissionGranted] = useState(true);
+
+  // Load the settings and check the permission each time the screen opens,
+  // as it may have been changed in the system settings in the meantime
+  useFocusEffect(
+    React.useCallback(() => {
+      loadTripAlertSettings().then(setSettings);
+      getNotificationPermission().then(setIsPermissionGranted);
+    }, [])
+  );
+
+  /**
+   * Toggle Category
+   * Saves the new setting and schedules the trip alerts again
+   */
+  const toggleCategory = async (key, isEnabled) => {
+    const next = { ...settings, [key]: isEnabled };
+    setSettings(next);
+    await saveTripAlertSettings(next);
+    if (isEnabled) {
+      setIsPermissionGranted(await requestNotificationPermission());
+    }
+    syncTripAlerts();
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Set status bar to light content for gold header */}
+      <StatusBar style="light" />
+
+      {/* Header Section */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={24} color="#FFFFFF" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>NOTIFICATIONS</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView style={styles.scrollContainer}>
+        {!isNotificationSupported ? (
+          <View style={styles.notice}>
+            <Ionicons name="information-circle-outline" size={20} color="#666666" />
+            <Text style={styles.noticeText}>Trip alerts are available in the Gulf Air app on iOS and Android.</Text>
+          </View>
+        ) : !isPermissionGranted && (
+          <View style={styles.notice}>
+            <Ionicons name="notifications-off-outline" size={20} color="#FF6B35" />
+            <View style={styles.noticeBody}>
+              <Text style={styles.noticeText}>
+                Notifications are turned off for Gulf Air. Allow them in your phone&apos;s settings to receive trip alerts.
+              </Text>
+              <TouchableOpacity onPress={() => Linking.openSettings()}>
+                <Text style={styles.noticeLink}>Open settings</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
+        <Text style={styles.sectionTitle}>Trip alerts</Text>
+        <Text style={styles.sectionText}>Sent for every active booking while you are signed in.</Text>
+
+        <View style={styles.card}>
+          {TRIP_ALERT_CATEGORIES.map((category, index) => (
+            <View
+              key={category.key}
+              style={[styles.settingRow, index < TRIP_ALERT_CATEGORIES.length - 1 && styles.settingRowDivider]}
+            >
+              <Ionicons name={category.icon} size={24} color="#A68F65" />
+              <View style={styles.settingText}>
+                <Text style={styles.settingTitle}>{category.title}</Text>
+                <Text style={styles.settingDescription}>{category.description}</Text>
+              </View>
+              <Switch
+                value={!!settings?.[category.key]}
+                onValueChange={(isEnabled) => toggleCategory(category.key, isEnabled)}
+                disabled={!settings || !isNotificationSupported}
+                trackColor={{ false: '#E0E0E0', true: '#A68F65' }}
+                thumbColor="#FFFFFF"
+              />
+            </View>
+          ))}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+// StyleSheet for Notification Settings screen
+const styles = StyleSheet.create({
+  // Main container with light background
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F8F8',
+  },
+  // Header section with gold background
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: '#A68F65',
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+  },
+  // Back button styling
+  backButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  // Header title styling
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  // Header spacer for centering
+  headerSpacer: {
+    width: 32,
+  },
+  // Scroll container
+  scrollContainer: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  // Permission or platform notice
+  notice: {
+    flexDirection: 'row',
+    gap: 10,
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginTop: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  // Notice text and link column
+  noticeBody: {
+    flex: 1,
+  },
+  // Notice text
+  noticeText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#666666',
+  },
+  // Link to the system settings
+  noticeLink: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#A68F65',
+    marginTop: 8,
+  },
+  // Section title
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1A1A2E',
+    marginTop: 24,
+  },
+  // Section description
+  sectionText: {
+    fontSize: 14,
+    color: '#666666',
+    marginTop: 4,
+    marginBottom: 12,
+  },
+  // Card holding the settings
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  // One setting
+  settingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 16,
+  },
+  // Divider between settings
+  settingRowDivider: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  // Setting title and description column
+  settingText: {
+    flex: 1,
+  },
+  // Setting title
+  settingTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1A1A2E',
+  },
+  // Setting description
+  settingDescription: {
+    fontSize: 13,
+    color: '#666666',
+    marginTop: 2,
+  },
+});
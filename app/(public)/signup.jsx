@@ -15,7 +15,8 @@ import {
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { StatusBar } from 'expo-status-bar';
 import { router } from 'expo-router';
-import { authAPI, setAuthToken, testAPIConnection } from '../utils/api';
+import { authAPI, setAuthToken } from '../../utils/api';
+import OfflineBanner from '../../components/OfflineBanner';
 
 /**
  * SignupScreen Component - Gulf Air App Registration
@@ -95,13 +96,6 @@ export default function SignupScreen() {
     setIsLoading(true);
     
     try {
-      // Test API connection before attempting registration
-      const isConnected = await testAPIConnection();
-      if (!isConnected) {
-        Alert.alert('Connection Error', 'Cannot connect to server. Please check your internet connection and ensure the backend is running.');
-        return;
-      }
-
       // Prepare registration data
       // Generate username from email (user-friendly approach)
       const emailUsername = email.trim().split('@')[0];
@@ -146,6 +140,9 @@ export default function SignupScreen() {
     <SafeAreaView style={styles.container}>
       {/* Set status bar to light content for better visibility on dark background */}
       <StatusBar style="light" />
+
+      {/* Connection notice, from the app's own requests */}
+      <OfflineBanner />
       
       {/* Keyboard avoiding view to prevent keyboard from covering form inputs */}
       <KeyboardAvoidingView 
@@ -157,7 +154,7 @@ export default function SignupScreen() {
           <View style={styles.header}>
             <View style={styles.logoContainer}>
               <Image 
-                source={require('../assets/images/logo.png')}
+                source={require('../../assets/images/logo.png')}
                 style={styles.logo}
                 resizeMode="contain"
               />
@@ -34,7 +34,7 @@ export default function SplashScreen() {
       
       {/* Background Image - Custom loading page image */}
       <Image 
-        source={require('../assets/images/loadingpage.jpg')}
+        source={require('../../assets/images/loadingpage.jpg')}
         style={styles.backgroundImage}
         resizeMode="cover" // Ensures image covers entire screen 
       />
@@ -1,37 +1,138 @@
 // This is the main layout file that defines the navigation structure for the entire app.
 // It's like the "master template" that wraps all your screens and sets up navigation.
 
-import { Stack } from "expo-router";
+import { useEffect, useRef } from "react";
+import { AppState, Platform } from "react-native";
+import { Stack, router, usePathname, useGlobalSearchParams, useSegments } from "expo-router";
+import * as Notifications from "expo-notifications";
+import { onSessionExpired, onSessionChange } from "../utils/session";
+import { refreshFareWatches } from "../utils/fareWatch";
+import { syncTripAlerts, TRIP_ALERT_TYPE } from "../utils/tripAlerts";
+import { buildRedirectPath } from "../utils/navigation";
+import { AuthProvider } from "../context/AuthContext";
+
+// Sends the user to /login when the API reports an expired session (HTTP 401).
+// The current route is passed along as `redirect` so login can return to it.
+// Screens in the (protected) group are left to the guard in app/(protected)/_layout.jsx.
+function useSessionExpiryRedirect() {
+  const pathname = usePathname();
+  const params = useGlobalSearchParams();
+  const segments = useSegments();
+  const currentRoute = useRef({ pathname, params, segments });
+
+  // Keep the latest route available to the expiry listener
+  useEffect(() => {
+    currentRoute.current = { pathname, params, segments };
+  }, [pathname, params, segments]);
+
+  useEffect(() => {
+    return onSessionExpired(() => {
+      const { pathname: expiredPath, params: expiredParams, segments: expiredSegments } = currentRoute.current;
+      if (expiredPath === '/login' || expiredSegments[0] === '(protected)') return;
+
+      router.replace({
+        pathname: '/login',
+        params: {
+          redirect: buildRedirectPath(expiredPath, expiredParams),
+          expired: 'true',
+        },
+      });
+    });
+  }, []);
+}
+
+// Re-checks fare watches when the app opens or comes back to the foreground,
+// and opens Fare Watch when one of its notifications is tapped.
+function useFareWatchRefresh() {
+  useEffect(() => {
+    refreshFareWatches();
+    const appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') refreshFareWatches();
+    });
+    if (Platform.OS === 'web') return () => appStateSubscription.remove();
+
+    const responseSubscription = Notifications.addNotificationResponseReceivedListener((response) => {
+      if (response.notification.request.content.data?.type === 'fare-watch') {
+        router.push('/fare-watch');
+      }
+    });
+    return () => {
+      appStateSubscription.remove();
+      responseSubscription.remove();
+    };
+  }, []);
+}
+
+// Syncs trip alerts when the app opens, comes back to the foreground or the
+// session changes (logging out cancels them), and opens the matching screen
+// when one of their notifications is tapped. Web has no local notifications.
+function useTripAlerts() {
+  useEffect(() => {
+    if (Platform.OS === 'web') return undefined;
+
+    syncTripAlerts();
+    const appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') syncTripAlerts();
+    });
+    const unsubscribeSession = onSessionChange(() => syncTripAlerts());
+    const responseSubscription = Notifications.addNotificationResponseReceivedListener((response) => {
+      const data = response.notification.request.content.data;
+      if (data?.type !== TRIP_ALERT_TYPE) return;
+      if (data.category === 'checkIn') {
+        router.push(`/check-in?bookingId=${data.bookingId}`);
+      } else {
+        router.push('/my-trips');
+      }
+    });
+    return () => {
+      appStateSubscription.remove();
+      unsubscribeSession();
+      responseSubscription.remove();
+    };
+  }, []);
+}
 
 // This function defines the root layout of the app. It's the first component
 // that gets rendered when the app starts, and it sets up the navigation structure.
 export default function RootLayout() {
+  useSessionExpiryRedirect();
+  useFareWatchRefresh();
+  useTripAlerts();
+
   return (
-    // Stack creates a stack based navigation where screens are pushed on top
-    // of each other. Users can navigate forward and backward through the stack.
-    <Stack
-      screenOptions={{
-        // Hide the default header for all screens as eacg screen has its own custom header design
-        headerShown: false,
-        // Enable swipe gestures for navigation
-        gestureEnabled: true,
-        // Set the animation style for screen transitions creates a smooth slide-in effect from the right
-        animation: 'slide_from_right',
-      }}
-    >
-  
-      {/* /Each <Stack.Screen> defines a route in the app. */}
-      <Stack.Screen name="index" />
-      <Stack.Screen name="splash" />
-      <Stack.Screen name="home" />
-      <Stack.Screen name="menu" />
-      <Stack.Screen name="my-trips" />
-      <Stack.Screen name="manage-booking" />
-      <Stack.Screen name="book" />
-      <Stack.Screen name="login" />
-      <Stack.Screen name="signup" />
-      <Stack.Screen name="falcon-flyer" />
-    </Stack>
+    // AuthProvider shares the session (user, profile, login/logout) with every screen
+    <AuthProvider>
+      {/* Stack creates a stack based navigation where screens are pushed on top
+          of each other. Users can navigate forward and backward through the stack. */}
+      <Stack
+        screenOptions={{
+          // Hide the default header for all screens as eacg screen has its own custom header design
+          headerShown: false,
+          // Enable swipe gestures for navigation
+          gestureEnabled: true,
+          // Set the animation style for screen transitions creates a smooth slide-in effect from the right
+          animation: 'slide_from_right',
+        }}
+      >
+
+        {/* /Each <Stack.Screen> defines a route in the app. */}
+        <Stack.Screen name="index" />
+
+        {/* Public routes, open to everyone */}
+        <Stack.Screen name="(public)/splash" />
+        <Stack.Screen name="(public)/home" />
+        <Stack.Screen name="(public)/menu" />
+        <Stack.Screen name="(public)/book" />
+        <Stack.Screen name="(public)/fare-watch" />
+        <Stack.Screen name="(public)/flight-status" />
+        <Stack.Screen name="(public)/notification-settings" />
+        <Stack.Screen name="(public)/login" />
+        <Stack.Screen name="(public)/signup" />
+
+        {/* Authenticated routes, guarded by app/(protected)/_layout.jsx */}
+        <Stack.Screen name="(protected)" />
+      </Stack>
+    </AuthProvider>
   );
 }
 
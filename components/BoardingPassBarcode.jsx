@@ -0,0 +1,81 @@
+// Import React components for the boarding pass barcode
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Svg, { Path } from 'react-native-svg';
+import QRCode from 'qrcode';
+
+// Quiet zone around the code, in modules
+const QUIET_ZONE = 2;
+
+// Options used for the screen and for the exported file, so both scan the same
+export const BARCODE_OPTIONS = { errorCorrectionLevel: 'M', margin: QUIET_ZONE };
+
+// SVG path drawing every dark module of a QR code as a 1×1 square
+const buildModulesPath = (modules) => {
+  let path = '';
+  for (let row = 0; row < modules.size; row++) {
+    for (let column = 0; column < modules.size; column++) {
+      if (modules.get(row, column)) {
+        path += `M${column + QUIET_ZONE} ${row + QUIET_ZONE}h1v1h-1z`;
+      }
+    }
+  }
+  return path;
+};
+
+/**
+ * BoardingPassBarcode Component - Scannable Boarding Pass Code
+ *
+ * Draws the IATA BCBP data of a boarding pass as a QR code, black on white
+ * so gate readers can scan it from the screen.
+ *
+ * @param {string} data - BCBP string from buildBcbpData
+ * @param {number} size - Width and height in points
+ * @returns {JSX.Element} The QR code
+ */
+export default function BoardingPassBarcode({ data, size = 220 }) {
+  let modules = null;
+  try {
+    modules = QRCode.create(data, BARCODE_OPTIONS).modules;
+  } catch (error) {
+    console.error('Error building boarding pass barcode:', error);
+  }
+
+  if (!modules) {
+    return (
+      <View style={[styles.placeholder, { width: size, height: size }]}>
+        <Text style={styles.placeholderText}>Barcode unavailable</Text>
+      </View>
+    );
+  }
+
+  const viewBoxSize = modules.size + QUIET_ZONE * 2;
+  return (
+    <View style={styles.container}>
+      <Svg width={size} height={size} viewBox={`0 0 ${viewBoxSize} ${viewBoxSize}`}>
+        <Path d={`M0 0h${viewBoxSize}v${viewBoxSize}H0z`} fill="#FFFFFF" />
+        <Path d={buildModulesPath(modules)} fill="#000000" />
+      </Svg>
+    </View>
+  );
+}
+
+// StyleSheet for the barcode
+const styles = StyleSheet.create({
+  // White background behind the code
+  container: {
+    backgroundColor: '#FFFFFF',
+    alignItems: 'center',
+  },
+  // Shown when the code can't be built
+  placeholder: {
+    backgroundColor: '#F0F0F0',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  // Placeholder text
+  placeholderText: {
+    fontSize: 14,
+    color: '#8B8B8B',
+  },
+});
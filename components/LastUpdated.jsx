@@ -0,0 +1,62 @@
+// Import React components for the cached data stamp
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { formatCompactDateTime } from '../utils/datetime';
+
+/**
+ * LastUpdated Component - Offline Cache Stamp
+ *
+ * Tells the user how fresh the data on screen is. Shown by screens that load
+ * through utils/offlineCache.js; stale data gets an offline note so it isn't
+ * mistaken for live data.
+ *
+ * @param {string} updatedAt - ISO time the data was fetched
+ * @param {boolean} isStale - True while the data couldn't be refreshed
+ * @returns {JSX.Element|null} The stamp, or nothing before data has loaded
+ */
+export default function LastUpdated({ updatedAt, isStale }) {
+  if (!updatedAt) return null;
+
+  return (
+    <View style={[styles.container, isStale && styles.containerStale]}>
+      <Ionicons
+        name={isStale ? 'cloud-offline-outline' : 'checkmark-circle-outline'}
+        size={14}
+        color={isStale ? '#FF6B35' : '#8B8B8B'}
+      />
+      <Text style={[styles.text, isStale && styles.textStale]}>
+        {isStale
+          ? `Offline – last updated ${formatCompactDateTime(updatedAt)}`
+          : `Last updated ${formatCompactDateTime(updatedAt)}`}
+      </Text>
+    </View>
+  );
+}
+
+// StyleSheet for the stamp
+const styles = StyleSheet.create({
+  // Icon and text row
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    paddingVertical: 8,
+  },
+  // Highlighted while offline
+  containerStale: {
+    backgroundColor: '#FFF4EE',
+    borderRadius: 8,
+    marginTop: 8,
+  },
+  // Stamp text
+  text: {
+    fontSize: 12,
+    color: '#8B8B8B',
+  },
+  // Stamp text while offline
+  textStale: {
+    color: '#FF6B35',
+  },
+});
@@ -0,0 +1,63 @@
+// Import React components for the offline banner
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { NETWORK_STATUS, useNetworkStatus } from '../utils/api';
+
+// Icon and message for each status other than online
+const BANNERS = {
+  [NETWORK_STATUS.OFFLINE]: {
+    icon: 'cloud-offline-outline',
+    message: "You're offline. Some information may be out of date.",
+  },
+  [NETWORK_STATUS.TIMEOUT]: {
+    icon: 'hourglass-outline',
+    message: 'The connection is slow. Requests may take longer than usual.',
+  },
+  [NETWORK_STATUS.SERVER_DOWN]: {
+    icon: 'server-outline',
+    message: "Gulf Air services can't be reached right now. Please try again later.",
+  },
+};
+
+/**
+ * OfflineBanner Component - Network Status Notice
+ *
+ * Shows a strip under the header while the app is offline, on a slow
+ * connection or can't reach the backend. The status comes from the network
+ * layer in utils/api.js, which follows the app's own requests, so the banner
+ * makes no request of its own.
+ *
+ * @returns {JSX.Element|null} The banner, or nothing while online
+ */
+export default function OfflineBanner() {
+  const networkStatus = useNetworkStatus();
+  const banner = BANNERS[networkStatus];
+  if (!banner) return null;
+
+  return (
+    <View style={styles.banner}>
+      <Ionicons name={banner.icon} size={16} color="#FFFFFF" />
+      <Text style={styles.bannerText}>{banner.message}</Text>
+    </View>
+  );
+}
+
+// StyleSheet for the banner
+const styles = StyleSheet.create({
+  // Dark strip across the screen
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: '#1A1A2E',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  // Banner message
+  bannerText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#FFFFFF',
+  },
+});
@@ -0,0 +1,307 @@
+// Import React components for the shared seat map
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+} from 'react-native';
+import {
+  getAircraftConfig,
+  buildSeatRows,
+  getSeatAttributeLegend,
+} from '../utils/aircraftConfigs';
+
+// Seat class names shown above the map (frontend and backend names)
+const CABIN_NAMES = {
+  economy: 'Economy',
+  falcon_gold: 'Falcon Gold',
+  business: 'Falcon Gold',
+};
+
+// Format a surcharge in BHD with 3 decimals
+const formatSurcharge = (amount) => `BHD ${amount.toFixed(3)}`;
+
+/**
+ * SeatMap Component - Gulf Air App Seat Picker
+ *
+ * Renders the cabin of a flight from the aircraft config registry together
+ * with its seat map (occupied and blocked seats), the legend and the seat
+ * surcharges. Used by the Book screen and the Manage Booking reschedule modal.
+ *
+ * @param {string} aircraftType - The flight's aircraft_type
+ * @param {string} seatClass - 'economy', 'falcon_gold' or the backend 'business'
+ * @param {Object} seatMap - { occupied, blocked, isLoading, error } for the flight
+ * @param {string[]} selectedSeatIds - Seats to highlight as selected
+ * @param {Function} onSelectSeat - Called with the seat object of an available seat
+ * @param {Function} onRetry - Called when the user retries a failed seat map load
+ * @param {string} note - Optional rule shown under the seat prices
+ * @returns {JSX.Element} The seat picker
+ */
+export default function SeatMap({
+  aircraftType,
+  seatClass,
+  seatMap = {},
+  selectedSeatIds = [],
+  onSelectSeat,
+  onRetry,
+  note,
+}) {
+  const rows = buildSeatRows(aircraftType, seatClass, seatMap);
+  const attributeLegend = getSeatAttributeLegend(aircraftType, seatClass);
+
+  return (
+    <View>
+      {/* Aircraft Type Info */}
+      <Text style={styles.aircraftInfo}>
+        {getAircraftConfig(aircraftType).name} • {CABIN_NAMES[seatClass] || CABIN_NAMES.economy}
+      </Text>
+
+      {/* Seat Legend */}
+      <View style={styles.seatLegend}>
+        <View style={styles.legendItem}>
+          <View style={[styles.seatButton, styles.legendColor]} />
+          <Text style={styles.legendText}>Available</Text>
+        </View>
+        <View style={styles.legendItem}>
+          <View style={[styles.legendColor, styles.seatButtonSelected]} />
+          <Text style={styles.legendText}>Selected</Text>
+        </View>
+        <View style={styles.legendItem}>
+          <View style={[styles.legendColor, styles.seatButtonOccupied]} />
+          <Text style={styles.legendText}>Occupied</Text>
+        </View>
+        <View style={styles.legendItem}>
+          <View style={[styles.legendColor, styles.seatButtonBlocked]} />
+          <Text style={styles.legendText}>Blocked</Text>
+        </View>
+        <View style={styles.legendItem}>
+          <View style={[styles.seatButton, styles.seatButtonPaid, styles.legendColor]} />
+          <Text style={styles.legendText}>Paid seat</Text>
+        </View>
+      </View>
+
+      {/* Seat Attributes - surcharge per attribute, a seat costs the highest one */}
+      <View style={styles.seatAttributeLegend}>
+        {attributeLegend.map((attribute) => (
+          <Text key={attribute.key} style={styles.seatAttributeText}>
+            {attribute.label}: {attribute.surcharge > 0 ? `+${formatSurcharge(attribute.surcharge)}` : 'Free'}
+          </Text>
+        ))}
+        {!!note && <Text style={styles.seatAttributeNote}>{note}</Text>}
+      </View>
+
+      {/* Seat Map with Aircraft Layout */}
+      <View style={styles.seatMapContainer}>
+        {seatMap.isLoading ? (
+          <ActivityIndicator size="small" color="#A68F65" />
+        ) : seatMap.error ? (
+          <View style={styles.seatMapError}>
+            <Text style={styles.seatMapErrorText}>{seatMap.error}</Text>
+            {onRetry && (
+              <TouchableOpacity onPress={onRetry}>
+                <Text style={styles.seatMapRetryText}>Try again</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        ) : rows.map((row) => (
+          <View key={row.row} style={styles.seatRow}>
+            <Text style={[styles.seatRowNumber, row.isExitRow && styles.seatRowNumberExit]}>
+              {row.isExitRow ? `${row.row}◂` : row.row}
+            </Text>
+            <View style={styles.seatRowContent}>
+              {row.seats.map((seat) => {
+                const isSelected = !seat.isAisle && selectedSeatIds.includes(seat.id);
+                const isUnavailable = seat.status === 'occupied' || seat.status === 'blocked';
+                return (
+                  <TouchableOpacity
+                    key={seat.id}
+                    style={[
+                      styles.seatButton,
+                      seat.surcharge > 0 && styles.seatButtonPaid,
+                      isSelected && styles.seatButtonSelected,
+                      seat.status === 'occupied' && styles.seatButtonOccupied,
+                      seat.status === 'blocked' && styles.seatButtonBlocked,
+                      seat.isAisle && styles.aisleSpace
+                    ]}
+                    onPress={() => onSelectSeat(seat)}
+                    disabled={seat.isAisle || isUnavailable}
+                  >
+                    {!seat.isAisle && (
+                      <Text style={[
+                        styles.seatButtonText,
+                        isSelected && styles.seatButtonTextSelected,
+                        isUnavailable && styles.seatButtonTextUnavailable
+                      ]}>
+                        {seat.status === 'blocked' ? '×' : seat.letter}
+                      </Text>
+                    )}
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+// StyleSheet
+const styles = StyleSheet.create({
+  // Aircraft and cabin name
+  aircraftInfo: {
+    fontSize: 14,
+    color: '#666666',
+    marginBottom: 16,
+    fontStyle: 'italic',
+  },
+  // Seat map legend
+  seatLegend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginBottom: 12,
+    gap: 12,
+  },
+  // Legend item
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  // Legend colour swatch
+  legendColor: {
+    width: 16,
+    height: 16,
+    borderRadius: 4,
+  },
+  // Legend text
+  legendText: {
+    fontSize: 12,
+    color: '#666666',
+  },
+  // Seat attribute price list
+  seatAttributeLegend: {
+    backgroundColor: '#F8F6F0',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+  },
+  // Seat attribute price
+  seatAttributeText: {
+    fontSize: 13,
+    color: '#1A1A2E',
+    marginBottom: 2,
+  },
+  // Seating rule note (e.g. exit rows)
+  seatAttributeNote: {
+    fontSize: 12,
+    color: '#666666',
+    marginTop: 6,
+  },
+  // Cabin outline around the seat rows
+  seatMapContainer: {
+    backgroundColor: '#F8F9FA',
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: '#E9ECEF',
+  },
+  // Seat map load error
+  seatMapError: {
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  // Seat map load error text
+  seatMapErrorText: {
+    fontSize: 14,
+    color: '#666666',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  // Seat map retry link
+  seatMapRetryText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#A68F65',
+  },
+  // One seat row
+  seatRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+    justifyContent: 'center',
+  },
+  // Row number at the start of each seat row
+  seatRowNumber: {
+    width: 24,
+    fontSize: 12,
+    color: '#8B8B8B',
+    textAlign: 'right',
+    marginRight: 8,
+  },
+  // Row number of an exit row
+  seatRowNumberExit: {
+    color: '#C62828',
+    fontWeight: '600',
+  },
+  // Seats and aisles of a row
+  seatRowContent: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 4,
+  },
+  // Available seat
+  seatButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#A68F65',
+    backgroundColor: '#FFFFFF',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  // Seat with a surcharge
+  seatButtonPaid: {
+    borderColor: '#2E7D32',
+    borderWidth: 2,
+  },
+  // Selected seat
+  seatButtonSelected: {
+    backgroundColor: '#A68F65',
+    borderColor: '#A68F65',
+  },
+  // Occupied seat
+  seatButtonOccupied: {
+    backgroundColor: '#E0E0E0',
+    borderColor: '#E0E0E0',
+  },
+  // Blocked seat (not sold, e.g. crew rest)
+  seatButtonBlocked: {
+    backgroundColor: '#F5F5F5',
+    borderColor: '#CCCCCC',
+  },
+  // Seat letter
+  seatButtonText: {
+    fontSize: 12,
+    color: '#A68F65',
+    fontWeight: '600',
+  },
+  // Selected seat letter
+  seatButtonTextSelected: {
+    color: '#FFFFFF',
+  },
+  // Occupied or blocked seat letter
+  seatButtonTextUnavailable: {
+    color: '#8B8B8B',
+  },
+  // Gap for an aisle
+  aisleSpace: {
+    backgroundColor: 'transparent',
+    borderColor: 'transparent',
+    width: 16,
+  },
+});
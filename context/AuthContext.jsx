@@ -0,0 +1,156 @@
+// AuthContext - Global authentication state for the Gulf Air App
+// Mounted once in app/_layout.jsx so every screen reads the same session
+// instead of polling getAuthToken() on its own.
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { authAPI, setAuthToken, clearAuthToken } from '../utils/api';
+import { restoreSession, onSessionChange, onSessionExpired } from '../utils/session';
+import { clearOfflineCache } from '../utils/offlineCache';
+
+const AuthContext = createContext(null);
+
+/**
+ * Decode the payload of a JWT without verifying it
+ * Used only to show who is signed in before the profile has loaded
+ */
+const decodeTokenPayload = (token) => {
+  try {
+    const payload = token.split('.')[1];
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=');
+    return JSON.parse(atob(padded));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * AuthProvider Component
+ *
+ * Restores the persisted session on launch and keeps `user`, `profile` and
+ * `isAuthenticated` in sync with the session store, including when the API
+ * clears an expired token.
+ */
+export function AuthProvider({ children }) {
+  const [token, setToken] = useState(null);
+  const [user, setUser] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(true);
+  // True when the last session ended because the API rejected the token
+  const [isSessionExpired, setIsSessionExpired] = useState(false);
+
+  // Restore the stored session and follow every later change to it
+  useEffect(() => {
+    let isActive = true;
+
+    const unsubscribe = onSessionChange((nextToken) => {
+      setToken(nextToken);
+      if (!nextToken) {
+        setUser(null);
+        setProfile(null);
+        // Trips, loyalty and boarding passes cached for offline use belong to this user
+        clearOfflineCache();
+      } else {
+        setIsSessionExpired(false);
+      }
+    });
+    const unsubscribeExpired = onSessionExpired(() => {
+      setIsSessionExpired(true);
+    });
+
+    restoreSession().then((storedToken) => {
+      if (!isActive) return;
+      setToken(storedToken);
+      setIsRestoring(false);
+    });
+
+    return () => {
+      isActive = false;
+      unsubscribe();
+      unsubscribeExpired();
+    };
+  }, []);
+
+  /**
+   * Refresh Profile
+   * Loads the signed-in user's profile from the backend
+   */
+  const refreshProfile = useCallback(async () => {
+    try {
+      const response = await authAPI.getProfile();
+      setProfile(response);
+      return response;
+    } catch (error) {
+      console.error('Error loading profile:', error);
+      return null;
+    }
+  }, []);
+
+  // Load the profile whenever a new session starts
+  useEffect(() => {
+    if (token) {
+      refreshProfile();
+    }
+  }, [token, refreshProfile]);
+
+  /**
+   * Login
+   * Authenticates with the backend and stores the new session
+   */
+  const login = useCallback(async (credentials) => {
+    const response = await authAPI.login(credentials);
+    if (!response?.token) {
+      throw new Error('Login failed. No token was returned.');
+    }
+    if (response.user) {
+      setUser(response.user);
+    }
+    await setAuthToken(response.token);
+    return response;
+  }, []);
+
+  /**
+   * Logout
+   * Notifies the backend (best effort) and clears the local session
+   */
+  const logout = useCallback(async () => {
+    try {
+      await authAPI.logout();
+    } catch {
+      // Ignore if backend doesn't support logout
+    }
+    await clearAuthToken();
+  }, []);
+
+  // Fall back to the token payload until the backend returns the user or profile
+  const currentUser = useMemo(() => {
+    if (!token) return null;
+    return user || profile || decodeTokenPayload(token);
+  }, [token, user, profile]);
+
+  const value = useMemo(() => ({
+    user: currentUser,
+    profile,
+    token,
+    isAuthenticated: !!token,
+    isRestoring,
+    isSessionExpired,
+    login,
+    logout,
+    refreshProfile,
+  }), [currentUser, profile, token, isRestoring, isSessionExpired, login, logout, refreshProfile]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+/**
+ * useAuth Hook
+ * Returns the current auth state and actions from the nearest AuthProvider
+ */
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+}
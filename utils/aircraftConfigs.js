@@ -0,0 +1,187 @@
+// Aircraft configuration registry for the Gulf Air App
+// One entry per aircraft type describing the seat layout of each cabin. The
+// seat maps in Book and Manage Booking are built from these entries, so
+// adding an aircraft or changing a cabin only happens here.
+//
+// Cabin fields:
+// - firstRow / lastRow: row numbers of the cabin (inclusive)
+// - letters: seat letters from left to right, `null` marks an aisle
+// - exitRows: rows next to an emergency exit
+// - extraLegroomRows: rows with more legroom (bulkheads and exits)
+// - lavatoryRows: rows next to a lavatory
+// - bassinetSeats: seats with a bassinet position in front of them
+// - blockedSeats: seats that are never sold (e.g. inoperative or crew seats)
+// - seatPrices: surcharge in BHD per seat attribute; a seat costs the highest
+//   surcharge of its attributes, seats without a priced attribute are free
+
+// Seat attributes shown in the seat map legend, in display order
+export const SEAT_ATTRIBUTES = {
+  window: { label: 'Window' },
+  aisle: { label: 'Aisle' },
+  exit_row: { label: 'Exit row' },
+  extra_legroom: { label: 'Extra legroom' },
+  bassinet: { label: 'Bassinet' },
+  near_lavatory: { label: 'Near lavatory' },
+};
+
+// Aircraft used when a flight has no (or an unknown) aircraft_type
+export const DEFAULT_AIRCRAFT_TYPE = 'A320';
+
+export const AIRCRAFT_CONFIGS = {
+  A320: {
+    name: 'Airbus A320',
+    // Codes matched against the flight's aircraft_type
+    typeCodes: ['A320', '320'],
+    cabins: {
+      falcon_gold: {
+        firstRow: 1,
+        lastRow: 3,
+        letters: ['A', 'C', null, 'D', 'F'],
+        exitRows: [],
+        extraLegroomRows: [],
+        lavatoryRows: [1],
+        bassinetSeats: [],
+        blockedSeats: [],
+        seatPrices: {},
+      },
+      economy: {
+        firstRow: 8,
+        lastRow: 28,
+        letters: ['A', 'B', 'C', null, 'D', 'E', 'F'],
+        exitRows: [12, 13],
+        extraLegroomRows: [8, 12, 13],
+        lavatoryRows: [28],
+        bassinetSeats: ['8C', '8D'],
+        blockedSeats: ['28C', '28D'],
+        seatPrices: { extra_legroom: 12, exit_row: 10, window: 2, aisle: 2 },
+      },
+    },
+  },
+  B787: {
+    name: 'Boeing 787 Dreamliner',
+    typeCodes: ['B787', '787', 'B789', '789'],
+    cabins: {
+      falcon_gold: {
+        firstRow: 1,
+        lastRow: 5,
+        letters: ['A', 'C', null, 'D', 'F', null, 'G', 'K'],
+        exitRows: [],
+        extraLegroomRows: [],
+        lavatoryRows: [5],
+        bassinetSeats: ['1D', '1F'],
+        blockedSeats: [],
+        seatPrices: {},
+      },
+      economy: {
+        firstRow: 8,
+        lastRow: 28,
+        letters: ['A', 'B', 'C', null, 'D', 'E', 'F', null, 'H', 'J', 'K'],
+        exitRows: [8, 18],
+        extraLegroomRows: [8, 18],
+        lavatoryRows: [17, 28],
+        bassinetSeats: ['8D', '8F', '18D', '18F'],
+        blockedSeats: ['28D', '28E', '28F'],
+        seatPrices: { extra_legroom: 18, exit_row: 15, window: 3, aisle: 3 },
+      },
+    },
+  },
+};
+
+// Seat classes used across the app mapped to cabin keys
+// The backend calls Falcon Gold 'business'
+const CABIN_KEYS = {
+  economy: 'economy',
+  falcon_gold: 'falcon_gold',
+  business: 'falcon_gold',
+};
+
+// Get the config of an aircraft type such as 'A320', 'Airbus A320neo' or 'B787-9'
+export const getAircraftConfig = (aircraftType) => {
+  const normalized = String(aircraftType || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const config = Object.values(AIRCRAFT_CONFIGS).find((entry) =>
+    entry.typeCodes.some((code) => normalized.includes(code))
+  );
+  return config || AIRCRAFT_CONFIGS[DEFAULT_AIRCRAFT_TYPE];
+};
+
+// Get the cabin layout of an aircraft type for a frontend or backend seat class
+export const getCabinConfig = (aircraftType, seatClass) => {
+  const { cabins } = getAircraftConfig(aircraftType);
+  return cabins[CABIN_KEYS[seatClass]] || cabins.economy;
+};
+
+// Attributes of the seat at `index` in a cabin row
+const getSeatAttributes = (cabin, rowNum, index, seatId) => {
+  const { letters } = cabin;
+  const attributes = [];
+  if (index === 0 || index === letters.length - 1) attributes.push('window');
+  if (letters[index - 1] === null || letters[index + 1] === null) attributes.push('aisle');
+  if (cabin.exitRows.includes(rowNum)) attributes.push('exit_row');
+  if (cabin.extraLegroomRows.includes(rowNum)) attributes.push('extra_legroom');
+  if (cabin.bassinetSeats.includes(seatId)) attributes.push('bassinet');
+  if (cabin.lavatoryRows.includes(rowNum)) attributes.push('near_lavatory');
+  return attributes;
+};
+
+// Surcharge in BHD of a seat: the highest price of its attributes
+const getSeatSurcharge = (cabin, attributes) => {
+  return attributes.reduce((highest, attribute) => Math.max(highest, cabin.seatPrices[attribute] || 0), 0);
+};
+
+// Build the seat rows of a cabin, marking seats from the config and from a
+// seat map ({ occupied: [], blocked: [] }) as 'occupied' or 'blocked'
+export const buildSeatRows = (aircraftType, seatClass, seatMap = {}) => {
+  const cabin = getCabinConfig(aircraftType, seatClass);
+  const rows = [];
+
+  for (let rowNum = cabin.firstRow; rowNum <= cabin.lastRow; rowNum++) {
+    const isExitRow = cabin.exitRows.includes(rowNum);
+    const seats = cabin.letters.map((letter, index) => {
+      if (!letter) {
+        return { id: `${rowNum}-aisle-${index}`, isAisle: true };
+      }
+      const id = `${rowNum}${letter}`;
+      let status = 'available';
+      if (cabin.blockedSeats.includes(id) || seatMap.blocked?.includes(id)) {
+        status = 'blocked';
+      } else if (seatMap.occupied?.includes(id)) {
+        status = 'occupied';
+      }
+      const attributes = getSeatAttributes(cabin, rowNum, index, id);
+      return {
+        id,
+        letter,
+        isAisle: false,
+        status,
+        attributes,
+        surcharge: getSeatSurcharge(cabin, attributes),
+      };
+    });
+    rows.push({ row: rowNum, isExitRow, seats });
+  }
+
+  return rows;
+};
+
+// Legend entries for the attributes found in a cabin, with their surcharge
+export const getSeatAttributeLegend = (aircraftType, seatClass) => {
+  const cabin = getCabinConfig(aircraftType, seatClass);
+  const cabinAttributes = new Set(
+    buildSeatRows(aircraftType, seatClass).flatMap((row) =>
+      row.seats.filter((seat) => !seat.isAisle).flatMap((seat) => seat.attributes)
+    )
+  );
+  return Object.keys(SEAT_ATTRIBUTES)
+    .filter((key) => cabinAttributes.has(key))
+    .map((key) => ({ key, label: SEAT_ATTRIBUTES[key].label, surcharge: cabin.seatPrices[key] || 0 }));
+};
+
+// Find a seat such as '12A' in a cabin, or null when the cabin has no such seat
+export const findSeat = (aircraftType, seatClass, seatId) => {
+  const normalizedId = String(seatId || '').trim().toUpperCase();
+  for (const row of buildSeatRows(aircraftType, seatClass)) {
+    const seat = row.seats.find((rowSeat) => !rowSeat.isAisle && rowSeat.id === normalizedId);
+    if (seat) return seat;
+  }
+  return null;
+};
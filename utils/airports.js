@@ -0,0 +1,119 @@
+// Airport catalogue for the Gulf Air App
+// One entry per airport on the Gulf Air network. Screens look airports up
+// here instead of keeping their own lists, and the airport picker uses the
+// route helpers below to only offer destinations that are actually served.
+
+// Gulf Air's hub, where one-stop connections change planes
+export const HUB_AIRPORT = 'BAH';
+
+// Regions in display order
+export const AIRPORT_REGIONS = ['Middle East', 'Europe', 'Asia', 'Africa'];
+
+export const AIRPORTS = [
+  // Middle East routes
+  { iata: 'BAH', icao: 'OBBI', name: 'Bahrain International Airport', city: 'Bahrain', country: 'Bahrain', region: 'Middle East', timezone: 'Asia/Bahrain', latitude: 26.2708, longitude: 50.6336 },
+  { iata: 'DXB', icao: 'OMDB', name: 'Dubai International Airport', city: 'Dubai', country: 'United Arab Emirates', region: 'Middle East', timezone: 'Asia/Dubai', latitude: 25.2532, longitude: 55.3657 },
+  { iata: 'DOH', icao: 'OTHH', name: 'Hamad International Airport', city: 'Doha', country: 'Qatar', region: 'Middle East', timezone: 'Asia/Qatar', latitude: 25.2731, longitude: 51.6081 },
+  { iata: 'KWI', icao: 'OKKK', name: 'Kuwait International Airport', city: 'Kuwait', country: 'Kuwait', region: 'Middle East', timezone: 'Asia/Kuwait', latitude: 29.2266, longitude: 47.9689 },
+  { iata: 'RUH', icao: 'OERK', name: 'King Khalid International Airport', city: 'Riyadh', country: 'Saudi Arabia', region: 'Middle East', timezone: 'Asia/Riyadh', latitude: 24.9576, longitude: 46.6988 },
+  { iata: 'JED', icao: 'OEJN', name: 'King Abdulaziz International Airport', city: 'Jeddah', country: 'Saudi Arabia', region: 'Middle East', timezone: 'Asia/Riyadh', latitude: 21.6796, longitude: 39.1565 },
+  { iata: 'CAI', icao: 'HECA', name: 'Cairo International Airport', city: 'Cairo', country: 'Egypt', region: 'Middle East', timezone: 'Africa/Cairo', latitude: 30.1219, longitude: 31.4056 },
+  { iata: 'BEY', icao: 'OLBA', name: 'Beirut Rafic Hariri International Airport', city: 'Beirut', country: 'Lebanon', region: 'Middle East', timezone: 'Asia/Beirut', latitude: 33.8209, longitude: 35.4884 },
+  { iata: 'AMM', icao: 'OJAI', name: 'Queen Alia International Airport', city: 'Amman', country: 'Jordan', region: 'Middle East', timezone: 'Asia/Amman', latitude: 31.7226, longitude: 35.9932 },
+
+  // European routes
+  { iata: 'LHR', icao: 'EGLL', name: 'Heathrow Airport', city: 'London', country: 'United Kingdom', region: 'Europe', timezone: 'Europe/London', latitude: 51.47, longitude: -0.4543 },
+  { iata: 'CDG', icao: 'LFPG', name: 'Charles de Gaulle Airport', city: 'Paris', country: 'France', region: 'Europe', timezone: 'Europe/Paris', latitude: 49.0097, longitude: 2.5479 },
+  { iata: 'FRA', icao: 'EDDF', name: 'Frankfurt Airport', city: 'Frankfurt', country: 'Germany', region: 'Europe', timezone: 'Europe/Berlin', latitude: 50.0379, longitude: 8.5622 },
+  { iata: 'MAD', icao: 'LEMD', name: 'Adolfo Suárez Madrid–Barajas Airport', city: 'Madrid', country: 'Spain', region: 'Europe', timezone: 'Europe/Madrid', latitude: 40.4983, longitude: -3.5676 },
+  { iata: 'FCO', icao: 'LIRF', name: 'Leonardo da Vinci International Airport', city: 'Rome', country: 'Italy', region: 'Europe', timezone: 'Europe/Rome', latitude: 41.8003, longitude: 12.2389 },
+  { iata: 'ATH', icao: 'LGAV', name: 'Athens International Airport', city: 'Athens', country: 'Greece', region: 'Europe', timezone: 'Europe/Athens', latitude: 37.9364, longitude: 23.9445 },
+
+  // Asian routes
+  { iata: 'BOM', icao: 'VABB', name: 'Chhatrapati Shivaji Maharaj International Airport', city: 'Mumbai', country: 'India', region: 'Asia', timezone: 'Asia/Kolkata', latitude: 19.0896, longitude: 72.8656 },
+  { iata: 'DEL', icao: 'VIDP', name: 'Indira Gandhi International Airport', city: 'Delhi', country: 'India', region: 'Asia', timezone: 'Asia/Kolkata', latitude: 28.5562, longitude: 77.1 },
+  { iata: 'BKK', icao: 'VTBS', name: 'Suvarnabhumi Airport', city: 'Bangkok', country: 'Thailand', region: 'Asia', timezone: 'Asia/Bangkok', latitude: 13.69, longitude: 100.7501 },
+  { iata: 'KUL', icao: 'WMKK', name: 'Kuala Lumpur International Airport', city: 'Kuala Lumpur', country: 'Malaysia', region: 'Asia', timezone: 'Asia/Kuala_Lumpur', latitude: 2.7456, longitude: 101.7072 },
+  { iata: 'SIN', icao: 'WSSS', name: 'Singapore Changi Airport', city: 'Singapore', country: 'Singapore', region: 'Asia', timezone: 'Asia/Singapore', latitude: 1.3644, longitude: 103.9915 },
+  { iata: 'HKG', icao: 'VHHH', name: 'Hong Kong International Airport', city: 'Hong Kong', country: 'Hong Kong', region: 'Asia', timezone: 'Asia/Hong_Kong', latitude: 22.308, longitude: 113.9185 },
+
+  // African routes
+  { iata: 'NBO', icao: 'HKJK', name: 'Jomo Kenyatta International Airport', city: 'Nairobi', country: 'Kenya', region: 'Africa', timezone: 'Africa/Nairobi', latitude: -1.3192, longitude: 36.9278 },
+  { iata: 'JNB', icao: 'FAOR', name: 'O.R. Tambo International Airport', city: 'Johannesburg', country: 'South Africa', region: 'Africa', timezone: 'Africa/Johannesburg', latitude: -26.1392, longitude: 28.246 },
+  { iata: 'ADD', icao: 'HAAB', name: 'Addis Ababa Bole International Airport', city: 'Addis Ababa', country: 'Ethiopia', region: 'Africa', timezone: 'Africa/Addis_Ababa', latitude: 8.9779, longitude: 38.7993 },
+];
+
+// Get an airport by IATA or ICAO code, or null when it isn't in the catalogue
+export const getAirport = (code) => {
+  const normalized = String(code || '').trim().toUpperCase();
+  return AIRPORTS.find((airport) => airport.iata === normalized || airport.icao === normalized) || null;
+};
+
+// City of an airport code, falling back to the code itself
+export const getAirportCity = (code) => getAirport(code)?.city || code;
+
+// Typeahead search on code, city, airport name and country
+// Exact code matches come first, then cities starting with the query
+export const searchAirports = (query, airports = AIRPORTS) => {
+  const normalized = String(query || '').trim().toLowerCase();
+  if (!normalized) return airports;
+
+  const matches = airports.filter((airport) => [
+    airport.iata, airport.icao, airport.city, airport.name, airport.country,
+  ].some((value) => value.toLowerCase().includes(normalized)));
+
+  const getRank = (airport) => {
+    if (airport.iata.toLowerCase() === normalized || airport.icao.toLowerCase() === normalized) return 0;
+    if (airport.city.toLowerCase().startsWith(normalized)) return 1;
+    return 2;
+  };
+  return matches.sort((a, b) => getRank(a) - getRank(b));
+};
+
+// Great-circle distance between two airports in km
+export const getDistanceKm = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const earthRadiusKm = 6371;
+  const latDelta = toRadians(to.latitude - from.latitude);
+  const lonDelta = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(latDelta / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(lonDelta / 2) ** 2;
+  return Math.round(2 * earthRadiusKm * Math.asin(Math.sqrt(a)));
+};
+
+// Airports within a radius of an airport, closest first, with their distance
+export const getNearbyAirports = (code, radiusKm = 1000, airports = AIRPORTS) => {
+  const airport = getAirport(code);
+  if (!airport) return [];
+  return airports
+    .filter((candidate) => candidate.iata !== airport.iata)
+    .map((candidate) => ({ ...candidate, distanceKm: getDistanceKm(airport, candidate) }))
+    .filter((candidate) => candidate.distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+};
+
+// Destinations flown from each origin: { BAH: ['DXB', 'LHR', ...] }
+// Built from the backend flights list (departure_airport / arrival_airport)
+export const buildRouteMap = (flights) => {
+  const routeMap = {};
+  (flights || []).forEach((flight) => {
+    const from = flight.departure_airport;
+    const to = flight.arrival_airport;
+    if (!from || !to) return;
+    if (!routeMap[from]) routeMap[from] = [];
+    if (!routeMap[from].includes(to)) routeMap[from].push(to);
+  });
+  return routeMap;
+};
+
+// Destinations served from an origin, directly or with one stop at the hub
+export const getServedDestinations = (routeMap, origin) => {
+  const direct = routeMap[origin] || [];
+  const viaHub = origin !== HUB_AIRPORT && direct.includes(HUB_AIRPORT) ? routeMap[HUB_AIRPORT] || [] : [];
+  return [...new Set([...direct, ...viaHub])].filter((code) => code !== origin);
+};
+
+// Whether an origin and destination are connected, directly or via the hub
+export const isRouteServed = (routeMap, origin, destination) => {
+  return getServedDestinations(routeMap, origin).includes(destination);
+};
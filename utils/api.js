@@ -1,9 +1,18 @@
+import { useSyncExternalStore } from 'react';
 import axios from 'axios';
+import NetInfo from '@react-native-community/netinfo';
+import { getSessionToken, setSessionToken, clearSession, expireSession } from './session';
+import { getMockSeatMap } from './mockSeatMap';
+import { getItineraryReference } from './bookingGroups';
 
 // API Configuration for Gulf Air Backend
 // Using localhost for local development
 const API_BASE_URL = 'http://localhost:8000';
 
+// The backend has no seat-map endpoint yet, so seat maps come from a local mock.
+// Set to false once GET /api/flights/{id}/seats is available.
+const USE_MOCK_SEAT_MAP = true;
+
 // Create axios instance with default configuration
 const apiClient = axios.create({
   baseURL: API_BASE_URL,
@@ -14,6 +23,75 @@ const apiClient = axios.create({
   },
 });
 
+// Network status
+// Reachability is tracked passively, from the device's connection (NetInfo,
+// with its own reachability pings turned off) and from the outcome of the
+// app's real requests, so no screen has to test the connection first.
+// Requests that get no response are classified and rejected with a
+// `networkStatus` saying why.
+export const NETWORK_STATUS = {
+  ONLINE: 'online',
+  OFFLINE: 'offline', // The device has no network connection
+  TIMEOUT: 'timeout', // The backend didn't answer in time
+  SERVER_DOWN: 'server_down', // The backend can't be reached or is unavailable (502/503/504)
+};
+
+// Message of a request that failed for each network status
+const NETWORK_ERROR_MESSAGES = {
+  [NETWORK_STATUS.OFFLINE]: 'You appear to be offline. Please check your internet connection and try again.',
+  [NETWORK_STATUS.TIMEOUT]: 'The server took too long to respond. Please try again.',
+  [NETWORK_STATUS.SERVER_DOWN]: 'Cannot connect to server. Please try again later.',
+};
+
+let networkStatus = NETWORK_STATUS.ONLINE;
+let isDeviceConnected = true;
+const networkListeners = new Set();
+
+const setNetworkStatus = (status) => {
+  if (status === networkStatus) return;
+  console.log('Network status:', status);
+  networkStatus = status;
+  networkListeners.forEach((listener) => {
+    try {
+      listener(status);
+    } catch (error) {
+      console.error('Network status listener failed:', error);
+    }
+  });
+};
+
+// Current network status, one of NETWORK_STATUS
+export const getNetworkStatus = () => networkStatus;
+
+// Subscribe to network status changes, returns an unsubscribe function
+export const onNetworkStatusChange = (listener) => {
+  networkListeners.add(listener);
+  return () => {
+    networkListeners.delete(listener);
+  };
+};
+
+// Current network status in a component, e.g. for an offline banner
+export const useNetworkStatus = () => useSyncExternalStore(onNetworkStatusChange, getNetworkStatus);
+
+// Follow the device's connection; coming back online is confirmed by the next request
+NetInfo.configure({ reachabilityShouldRun: () => false });
+NetInfo.addEventListener((state) => {
+  isDeviceConnected = state.isConnected !== false;
+  if (!isDeviceConnected) {
+    setNetworkStatus(NETWORK_STATUS.OFFLINE);
+  } else if (networkStatus === NETWORK_STATUS.OFFLINE) {
+    setNetworkStatus(NETWORK_STATUS.ONLINE);
+  }
+});
+
+// Why a request got no response
+const classifyNetworkError = (error) => {
+  if (!isDeviceConnected) return NETWORK_STATUS.OFFLINE;
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return NETWORK_STATUS.TIMEOUT;
+  return NETWORK_STATUS.SERVER_DOWN;
+};
+
 // Request interceptor to add auth token
 apiClient.interceptors.request.use(
   async (config) => {
@@ -23,6 +101,8 @@ apiClient.interceptors.request.use(
     console.log('Request interceptor - Token value:', token ? `${token.substring(0, 20)}...` : 'null');
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
+      // Remember which token was sent so a 401 can expire exactly this session
+      config.authToken = token;
       console.log('Authorization header set:', config.headers.Authorization ? 'Yes' : 'No');
     } else {
       console.log('No token available for request');
@@ -39,13 +119,18 @@ apiClient.interceptors.request.use(
 apiClient.interceptors.response.use(
   (response) => {
     console.log('API Response:', response.status, response.data);
+    setNetworkStatus(NETWORK_STATUS.ONLINE);
     return response.data; // Return only the data part
   },
-  (error) => {
+  async (error) => {
     console.error('API Error:', error);
     
     // Handle different types of errors
     if (error.response) {
+      // A gateway error means the backend behind it is down; any other answer means it is up
+      const isServerDown = [502, 503, 504].includes(error.response.status);
+      setNetworkStatus(isServerDown ? NETWORK_STATUS.SERVER_DOWN : NETWORK_STATUS.ONLINE);
+
       // Server responded with error status
       console.error('Full error response:', error.response);
       console.error('Error response data:', error.response.data);
@@ -56,6 +141,24 @@ apiClient.interceptors.response.use(
                    error.response.data?.message || 
                    `HTTP error! status: ${error.response.status}`;
       
+      // Expired or invalid token: clear the session and send the user to /login.
+      // Every request rejected with this token fails with the same error, but only
+      // the first one clears the session and triggers the redirect.
+      if (error.response.status === 401 && error.config?.authToken) {
+        await expireSession(error.config.authToken);
+        const sessionError = new Error('Your session has expired. Please log in again.');
+        sessionError.isSessionExpired = true;
+        throw sessionError;
+      }
+
+      // Seat already taken: keep the seats so the booking screen can refresh its map
+      if (error.response.status === 409) {
+        const conflictError = new Error(message);
+        conflictError.isSeatConflict = true;
+        conflictError.seats = error.response.data?.seats || [];
+        throw conflictError;
+      }
+
       // Handle specific error cases
       if (error.response.status === 400) {
         if (message.includes('already cancelled') || message.includes('cancelled')) {
@@ -81,7 +184,11 @@ apiClient.interceptors.response.use(
       // Request was made but no response received
       console.error('Network Error - No response received');
       console.error('Request details:', error.request);
-      throw new Error('Cannot connect to server. Please check your internet connection and ensure the backend is running.');
+      const status = classifyNetworkError(error);
+      setNetworkStatus(status);
+      const networkError = new Error(NETWORK_ERROR_MESSAGES[status]);
+      networkError.networkStatus = status;
+      throw networkError;
     } else {
       // Something else happened
       console.error('Request Setup Error:', error.message);
@@ -117,11 +224,10 @@ export const API_ENDPOINTS = {
 };
 
 // Helper function to get auth token from storage
+// Restores the persisted session on first use after launch
 export const getAuthToken = async () => {
   try {
-    // For now, we'll use a simple approach
-    // In a real app, you'd use AsyncStorage
-    const token = global.authToken || null;
+    const token = await getSessionToken();
     return token;
   } catch (error) {
     console.error('Error getting auth token:', error);
@@ -132,10 +238,8 @@ export const getAuthToken = async () => {
 // Helper function to store auth token
 export const setAuthToken = async (token) => {
   try {
-    // Store token globally for now
-    // In a real app, you'd use AsyncStorage.setItem('authToken', token)
-    global.authToken = token;
-    console.log('Token stored:', token);
+    await setSessionToken(token);
+    console.log('Token stored:', !!token);
   } catch (error) {
     console.error('Error storing auth token:', error);
   }
@@ -144,25 +248,22 @@ export const setAuthToken = async (token) => {
 // Helper function to clear auth token
 export const clearAuthToken = async () => {
   try {
-    global.authToken = null;
+    await clearSession();
     console.log('Token cleared');
   } catch (error) {
     console.error('Error clearing auth token:', error);
   }
 };
 
-// Test API connectivity
-export const testAPIConnection = async () => {
-  try {
-    console.log('Testing API connection to:', API_BASE_URL);
-    const response = await apiClient.get('/');
-    console.log('API connection successful:', response);
-    return true;
-  } catch (error) {
-    console.error('API connection failed:', error.message);
-    return false;
-  }
-};
+// Check whether an error came from the central 401 handler
+// Screens use this to skip their own alerts while the app redirects to /login
+export const isSessionExpiredError = (error) => !!error?.isSessionExpired;
+
+// Check whether a booking failed because a chosen seat was taken (HTTP 409)
+export const isSeatConflictError = (error) => !!error?.isSeatConflict;
+
+// Check whether a request failed without reaching the backend (offline, timeout or server down)
+export const isNetworkError = (error) => !!error?.networkStatus;
 
 // API service functions
 export const authAPI = {
@@ -180,6 +281,15 @@ export const flightsAPI = {
     apiClient.get(`${API_ENDPOINTS.SEARCH_FLIGHTS}/${departure}/${arrival}`),
   getFlightStatus: (flightNumber) => 
     apiClient.get(`${API_ENDPOINTS.FLIGHT_STATUS}/${flightNumber}`),
+  // Occupied and blocked seats of a flight: { occupied_seats: [], blocked_seats: [] }
+  getSeatMap: (flightId, seatClass) => {
+    if (USE_MOCK_SEAT_MAP) {
+      return getMockSeatMap(flightId, seatClass);
+    }
+    return apiClient.get(`${API_ENDPOINTS.FLIGHTS}/${flightId}/seats`, {
+      params: { seat_class: seatClass },
+    });
+  },
 };
 
 export const bookingsAPI = {
@@ -187,12 +297,22 @@ export const bookingsAPI = {
   createBooking: (bookingData) => apiClient.post(API_ENDPOINTS.CREATE_BOOKING, bookingData),
   getBooking: (id) => apiClient.get(`${API_ENDPOINTS.BOOKINGS}/${id}`),
   cancelBooking: (id) => apiClient.delete(`${API_ENDPOINTS.BOOKINGS}/${id}`),
-  checkIn: (id) => apiClient.post(`${API_ENDPOINTS.CHECK_IN}/${id}/checkin`),
-  rescheduleBooking: (bookingId, newFlightId, seatClass, seatNumber) =>
+  // Passport details and the dangerous goods declaration from the check-in wizard
+  checkIn: (id, checkInDetails = {}) => apiClient.post(`${API_ENDPOINTS.CHECK_IN}/${id}/checkin`, checkInDetails),
+  // `details` are booking fields the new booking keeps, e.g. its linked_booking_reference
+  rescheduleBooking: (bookingId, newFlightId, seatClass, seatNumber, details = {}) =>
     apiClient.post(`${API_ENDPOINTS.BOOKINGS}/${bookingId}/reschedule`, {
       new_flight_id: newFlightId,
       seat_class: seatClass,
       seat_number: seatNumber,
+      ...details,
+    }),
+  // The backend has no seat change endpoint: a seat change is a reschedule to the same flight,
+  // which reissues the booking under a new id and reference. The new booking stays linked to
+  // the itinerary. No price is sent, so callers only offer seats without a surcharge.
+  changeSeat: (booking, seatNumber) =>
+    bookingsAPI.rescheduleBooking(booking.id, booking.flight_id ?? booking.flight?.id, booking.seat_class, seatNumber, {
+      linked_booking_reference: getItineraryReference(booking),
     }),
 };
 
@@ -0,0 +1,178 @@
+// Boarding passes for the Gulf Air App
+// Builds what the boarding pass screen shows from a checked-in backend
+// booking (with its `flight`), including the IATA BCBP barcode data, and
+// keeps passes in the offline cache so they open without a network connection.
+// Times are in the local time of the airport.
+
+import { getAirportCity } from './airports';
+import { parseDateTime, formatTime, formatFullDate, getDateKeyAt, getDaysBetween } from './datetime';
+import { CACHE_KEYS, readCache, writeCache } from './offlineCache';
+import { isLapInfant } from './bookingGroups';
+
+// Boarding starts and the gate closes this many minutes before departure
+export const BOARDING_MINUTES_BEFORE_DEPARTURE = 45;
+export const GATE_CLOSES_MINUTES_BEFORE_DEPARTURE = 20;
+
+// Instant a number of minutes before departure, as an ISO string
+const getTimeBeforeDeparture = (departureTime, minutes) => {
+  const departure = parseDateTime(departureTime);
+  if (!departure) return null;
+  return new Date(departure.getTime() - minutes * 60 * 1000).toISOString();
+};
+
+// Seat class name printed on the pass (backend seat_class)
+const getCabinName = (seatClass) => (seatClass === 'business' ? 'Falcon Gold' : 'Economy');
+
+// BCBP compartment code of a backend seat_class
+const getCompartmentCode = (seatClass) => (seatClass === 'business' ? 'J' : 'Y');
+
+// Left-justify a value in a fixed-width BCBP field
+const padField = (value, length) => String(value || '').slice(0, length).padEnd(length, ' ');
+
+// Passenger name as SURNAME/GIVEN NAMES in BCBP's A-Z alphabet, e.g. "KHALIFA/SARA AL"
+const formatBcbpName = (passengerName) => {
+  const parts = String(passengerName || '')
+    .normalize('NFD')
+    .toUpperCase()
+    .replace(/[^A-Z\s]/g, '')
+    .trim()
+    .split(/\s+/);
+  const surname = parts.pop() || '';
+  return parts.length > 0 ? `${surname}/${parts.join(' ')}` : surname;
+};
+
+// Carrier and flight number fields, e.g. "GF123" -> "GF " and "0123 "
+const splitFlightNumber = (flightNumber) => {
+  const match = String(flightNumber || '').toUpperCase().replace(/\s+/g, '').match(/^([A-Z0-9]{2})(\d{1,4})([A-Z]?)$/);
+  if (!match) return { carrier: padField('GF', 3), number: padField(flightNumber, 5) };
+  return {
+    carrier: padField(match[1], 3),
+    number: `${match[2].padStart(4, '0')}${match[3] || ' '}`,
+  };
+};
+
+// Day of the year (001-366) of a date key, BCBP's "Julian" flight date
+const getJulianDate = (dateKey) => {
+  if (!dateKey) return '000';
+  const dayOfYear = getDaysBetween(`${dateKey.slice(0, 4)}-01-01`, dateKey) + 1;
+  return String(dayOfYear).padStart(3, '0');
+};
+
+// Seat field such as "014A"
+const formatBcbpSeat = (seatNumber) => {
+  const match = String(seatNumber || '').toUpperCase().match(/^(\d{1,3})([A-Z])$/);
+  return match ? `${match[1].padStart(3, '0')}${match[2]}` : padField(seatNumber, 4);
+};
+
+// IATA BCBP (Resolution 792) mandatory items of a single-leg boarding pass,
+// 60 characters, encoded in the pass's barcode
+export const buildBcbpData = (booking) => {
+  const flight = booking.flight || {};
+  const { carrier, number } = splitFlightNumber(flight.flight_number);
+  return [
+    'M', // Format code
+    '1', // Number of legs encoded
+    padField(formatBcbpName(booking.passenger_name), 20),
+    'E', // Electronic ticket indicator
+    padField(String(booking.booking_reference || '').toUpperCase(), 7),
+    padField(flight.departure_airport, 3),
+    padField(flight.arrival_airport, 3),
+    carrier,
+    number,
+    getJulianDate(getDateKeyAt(flight.departure_time, flight.departure_airport)),
+    getCompartmentCode(booking.seat_class),
+    isLapInfant(booking) ? 'INF ' : formatBcbpSeat(booking.seat_number), // A lap infant has no seat
+    `${String(booking.id % 10000).padStart(4, '0')} `, // Check-in sequence number
+    '1', // Passenger status: checked in
+    '00', // No conditional items
+  ].join('');
+};
+
+// Boarding pass of a checked-in booking
+export const buildBoardingPass = (booking) => {
+  const flight = booking.flight || {};
+  const from = flight.departure_airport;
+  const to = flight.arrival_airport;
+  return {
+    bookingId: booking.id,
+    bookingReference: booking.booking_reference,
+    passengerName: booking.passenger_name,
+    flightNumber: flight.flight_number,
+    from,
+    to,
+    fromCity: getAirportCity(from),
+    toCity: getAirportCity(to),
+    date: formatFullDate(flight.departure_time, from),
+    departureTime: formatTime(flight.departure_time, from),
+    arrivalTime: formatTime(flight.arrival_time, to),
+    boardingTime: formatTime(getTimeBeforeDeparture(flight.departure_time, BOARDING_MINUTES_BEFORE_DEPARTURE), from),
+    gateClosesTime: formatTime(getTimeBeforeDeparture(flight.departure_time, GATE_CLOSES_MINUTES_BEFORE_DEPARTURE), from),
+    gate: flight.gate || null,
+    seatNumber: isLapInfant(booking) ? 'INF' : booking.seat_number,
+    cabin: getCabinName(booking.seat_class),
+    barcodeData: buildBcbpData(booking),
+    savedAt: new Date().toISOString(),
+  };
+};
+
+// Boarding pass saved on the device for a booking, or null
+export const loadSavedBoardingPass = async (bookingId) => {
+  const cached = await readCache(CACHE_KEYS.boardingPass(bookingId));
+  return cached?.data || null;
+};
+
+// Keep a boarding pass on the device so it opens offline
+export const saveBoardingPass = async (boardingPass) => {
+  await writeCache(CACHE_KEYS.boardingPass(boardingPass.bookingId), boardingPass);
+};
+
+// Escape text printed into the exported HTML
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// HTML of a boarding pass for exporting it as a PDF file
+export const buildBoardingPassHtml = (boardingPass, barcodeSvg) => {
+  const pass = Object.fromEntries(
+    Object.entries(boardingPass).map(([key, value]) => [key, escapeHtml(value)])
+  );
+  return `
+<html>
+  <head>
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <style>
+      body { font-family: -apple-system, Helvetica, Arial, sans-serif; color: #1A1A2E; padding: 24px; }
+      .pass { border: 2px solid #A68F65; border-radius: 16px; padding: 24px; max-width: 420px; margin: 0 auto; }
+      .brand { color: #A68F65; font-weight: bold; font-size: 20px; display: flex; justify-content: space-between; }
+      .route { display: flex; justify-content: space-between; margin: 24px 0; }
+      .code { font-size: 36px; font-weight: bold; }
+      .label { font-size: 11px; color: #8B8B8B; text-transform: uppercase; }
+      .value { font-size: 16px; font-weight: 600; margin-bottom: 12px; }
+      .grid { display: grid; grid-template-columns: 1fr 1fr; }
+      .barcode { text-align: center; margin-top: 16px; }
+      .barcode svg { width: 200px; height: 200px; }
+    </style>
+  </head>
+  <body>
+    <div class="pass">
+      <div class="brand"><span>GULF AIR</span><span>${pass.cabin}</span></div>
+      <div class="route">
+        <div><div class="code">${pass.from}</div>${pass.fromCity}<br />${pass.departureTime}</div>
+        <div style="text-align: right"><div class="code">${pass.to}</div>${pass.toCity}<br />${pass.arrivalTime}</div>
+      </div>
+      <div class="label">Passenger</div><div class="value">${pass.passengerName}</div>
+      <div class="grid">
+        <div><div class="label">Flight</div><div class="value">${pass.flightNumber}</div></div>
+        <div><div class="label">Date</div><div class="value">${pass.date}</div></div>
+        <div><div class="label">Boarding</div><div class="value">${pass.boardingTime}</div></div>
+        <div><div class="label">Gate</div><div class="value">${pass.gate || 'TBA'}</div></div>
+        <div><div class="label">Seat</div><div class="value">${pass.seatNumber}</div></div>
+        <div><div class="label">Booking Ref</div><div class="value">${pass.bookingReference}</div></div>
+      </div>
+      <div class="barcode">${barcodeSvg}</div>
+    </div>
+  </body>
+</html>`;
+};
@@ -0,0 +1,41 @@
+// Booking groups for the Gulf Air App
+// The backend books one passenger on one flight per booking, so Book creates
+// a booking per passenger per flight. Every booking after the first carries
+// the first one's reference as `linked_booking_reference`: that is the
+// itinerary reference the user is given. These helpers put the bookings of an
+// itinerary back together, so My Trips, Manage Booking and Cancel Booking
+// show, reschedule and cancel them as one. A lap infant's booking has no seat
+// and points at its adult's booking through `lap_booking_reference`.
+
+// Reference of the itinerary a booking belongs to
+export const getItineraryReference = (booking) => (
+  booking?.linked_booking_reference || booking?.booking_reference || ''
+);
+
+// Flight id of a booking, whether or not its flight is included
+const getBookingFlightId = (booking) => booking?.flight_id ?? booking?.flight?.id;
+
+// Active bookings of the itinerary a booking belongs to, the booking included
+export const getItineraryBookings = (booking, bookings) => {
+  if (!booking) return [];
+  const reference = getItineraryReference(booking);
+  const itineraryBookings = (bookings || []).filter((other) => (
+    other.booking_status !== 'cancelled' && getItineraryReference(other) === reference
+  ));
+  return itineraryBookings.some((other) => other.id === booking.id)
+    ? itineraryBookings
+    : [booking, ...itineraryBookings];
+};
+
+// Passengers of the itinerary on the booking's flight, who travel together
+export const getTravelParty = (booking, bookings) => (
+  getItineraryBookings(booking, bookings).filter((other) => (
+    getBookingFlightId(other) === getBookingFlightId(booking)
+  ))
+);
+
+// Whether a booking is an infant travelling on an adult's lap, without a seat
+export const isLapInfant = (booking) => booking?.passenger_type === 'infant';
+
+// Seat of a booking as shown to the user: "Seat 12A", or "Lap" for an infant
+export const getSeatLabel = (booking) => (isLapInfant(booking) ? 'Lap' : `Seat ${booking?.seat_number}`);
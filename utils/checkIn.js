@@ -0,0 +1,170 @@
+// Online check-in rules for the Gulf Air App
+// Shared by My Trips (check-in button and message), Manage Booking (exit rows)
+// and the check-in wizard in app/(protected)/check-in.jsx. Bookings are backend
+// bookings with their `flight` included.
+
+import { getHoursUntil, parseDateTime, getDateKeyAt } from './datetime';
+
+// Online check-in opens this many hours before departure
+export const CHECK_IN_OPENS_HOURS = 24;
+
+// Items that can't be checked in online; carrying any of them means checking
+// in at the airport so the ground staff can inspect them
+export const DANGEROUS_GOODS = [
+  { key: 'batteries', icon: 'battery-charging-outline', label: 'Spare lithium batteries or power banks over 160 Wh' },
+  { key: 'flammables', icon: 'flame-outline', label: 'Flammable liquids or solids, lighter fuel, paint' },
+  { key: 'gases', icon: 'cloud-outline', label: 'Compressed gases, gas cylinders, aerosols other than toiletries' },
+  { key: 'explosives', icon: 'warning-outline', label: 'Explosives, fireworks, flares or ammunition' },
+  { key: 'corrosives', icon: 'flask-outline', label: 'Corrosives, poisons, acids or bleach' },
+  { key: 'radioactive', icon: 'nuclear-outline', label: 'Radioactive or magnetised materials' },
+];
+
+// Whether a booking can be checked in online now
+export const canCheckIn = (departureTime, bookingStatus) => {
+  if (bookingStatus !== 'confirmed') return false;
+  const hoursUntilDeparture = getHoursUntil(departureTime);
+
+  return hoursUntilDeparture !== null && hoursUntilDeparture <= CHECK_IN_OPENS_HOURS && hoursUntilDeparture > 0;
+};
+
+// Message under the check-in button explaining when check-in is possible
+export const getCheckInMessage = (departureTime, bookingStatus) => {
+  if (bookingStatus === 'checked_in') {
+    return 'You have already checked in for this flight.';
+  }
+
+  if (bookingStatus === 'cancelled') {
+    return 'This booking has been cancelled.';
+  }
+
+  const hoursUntilDeparture = getHoursUntil(departureTime);
+
+  if (hoursUntilDeparture === null) {
+    return 'Departure time not available.';
+  }
+
+  if (hoursUntilDeparture <= 0) {
+    return 'This flight has already departed.';
+  }
+
+  if (hoursUntilDeparture > CHECK_IN_OPENS_HOURS) {
+    const hoursUntilCheckIn = hoursUntilDeparture - CHECK_IN_OPENS_HOURS;
+    const daysUntilCheckIn = Math.floor(hoursUntilCheckIn / 24);
+
+    if (daysUntilCheckIn > 0) {
+      return `Check-in opens in ${daysUntilCheckIn} day${daysUntilCheckIn > 1 ? 's' : ''} (${CHECK_IN_OPENS_HOURS} hours before departure).`;
+    }
+    return `Check-in opens in ${Math.ceil(hoursUntilCheckIn)} hours.`;
+  }
+
+  return 'You can check-in now!';
+};
+
+// Whether a passenger name ends with a surname, e.g. "Sara Al Khalifa" and "al khalifa"
+const hasSurname = (passengerName, surname) => {
+  const name = String(passengerName || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  const lastName = String(surname || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  return !!lastName && (name === lastName || name.endsWith(` ${lastName}`));
+};
+
+// Bookings matching a booking reference and surname, ignoring case and spaces
+// Every booking of an itinerary is linked to its first booking's reference,
+// so several passengers and flights can match
+export const findBookingsForCheckIn = (bookings, bookingReference, surname) => {
+  const reference = String(bookingReference || '').replace(/\s+/g, '').toUpperCase();
+  return (bookings || []).filter((booking) => (
+    [booking.booking_reference, booking.linked_booking_reference]
+      .some((bookingRef) => String(bookingRef || '').toUpperCase() === reference)
+    && hasSurname(booking.passenger_name, surname)
+  ));
+};
+
+// Whether an infant travels on a booked passenger's lap, from the user's
+// bookings: the infant's booking points at the adult's through lap_booking_reference
+export const hasLapInfant = (booking, bookings = []) => (
+  bookings.some((other) => (
+    other.booking_status !== 'cancelled' && other.lap_booking_reference === booking?.booking_reference
+  ))
+);
+
+// Whether a booked passenger may sit in an exit row. Children can't, and
+// neither can adults with an infant on their lap.
+export const canBookingSitInExitRow = (booking, bookings = []) => (
+  booking?.passenger_type !== 'child' && !hasLapInfant(booking, bookings)
+);
+
+// Why a passenger can't change seat during check-in, or null when they can.
+// The fare has to allow changes, and an adult with a lap infant keeps the
+// seat the infant's booking is linked to.
+export const getCheckInSeatChangeBlock = (booking, fareBrand, bookings = []) => {
+  if (!fareBrand.allowsChanges) {
+    return `Your ${fareBrand.name} fare doesn't allow changes, so you keep seat ${booking.seat_number}.`;
+  }
+  if (hasLapInfant(booking, bookings)) {
+    return `Passengers travelling with an infant keep seat ${booking.seat_number}, as the infant's booking is linked to it. Our airport staff can help with a seat change.`;
+  }
+  return null;
+};
+
+// Parse a passport expiry typed as DD/MM/YYYY into a date key, or null
+export const parsePassportExpiry = (value) => {
+  const match = String(value || '').trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!match) return null;
+  const [, day, month, year] = match;
+  const dateKey = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  const date = parseDateTime(dateKey);
+  // Reject dates such as 31/02/2030 that roll over into another month
+  return date && date.toISOString().startsWith(dateKey) ? dateKey : null;
+};
+
+// Error message for passport details, or null when they are valid for the flight
+export const validatePassportDetails = (details, flight) => {
+  if (!/^[A-Z0-9]{6,9}$/.test(String(details.passportNumber || '').trim().toUpperCase())) {
+    return 'Please enter a valid passport number (6 to 9 letters or digits).';
+  }
+  if (!String(details.nationality || '').trim()) {
+    return 'Please enter your nationality.';
+  }
+  const expiry = parsePassportExpiry(details.passportExpiry);
+  if (!expiry) {
+    return 'Please enter the passport expiry date as DD/MM/YYYY.';
+  }
+  const arrivalDate = getDateKeyAt(flight?.arrival_time, flight?.arrival_airport);
+  if (arrivalDate && expiry < arrivalDate) {
+    return 'Your passport expires before you arrive. Please travel with a valid passport.';
+  }
+  return null;
+};
+
+// Title and message of the alert shown after check-in, from the loyalty
+// rewards in the check-in response, or null when there are none
+export const describeCheckInRewards = (data) => {
+  if (!data || !data.loyalty_rewards) return null;
+  const rewards = data.loyalty_rewards;
+  const tierUpgrade = data.tier_upgrade;
+
+  // Add tier upgrade message if user was upgraded
+  if (tierUpgrade && tierUpgrade.upgraded) {
+    return {
+      title: '🎉 TIER UPGRADE! 🎉',
+      message: `CONGRATULATIONS! You've been upgraded to ${tierUpgrade.new_tier} tier!\n\n` +
+        `Previous Tier: ${tierUpgrade.old_tier}\n` +
+        `New Tier: ${tierUpgrade.new_tier}\n\n` +
+        `You earned ${rewards.miles_earned} miles and ${rewards.points_earned} points!\n` +
+        `Total Miles: ${rewards.total_miles}\n\n` +
+        `Enjoy your new ${tierUpgrade.new_tier} benefits!`,
+    };
+  }
+
+  let message = `You've earned ${rewards.miles_earned} miles and ${rewards.points_earned} points!\n\n` +
+    `Flight: ${rewards.flight_distance} miles\n` +
+    `Seat Class: ${rewards.seat_class.charAt(0).toUpperCase() + rewards.seat_class.slice(1)}\n` +
+    `Loyalty Tier: ${rewards.loyalty_tier}\n\n` +
+    `Total Miles: ${rewards.total_miles}\n` +
+    `Total Points: ${rewards.total_points}`;
+  if (tierUpgrade && tierUpgrade.next_tier_threshold) {
+    // Show progress to next tier
+    message += `\n\nPoints to next tier: ${tierUpgrade.next_tier_threshold - rewards.total_points}`;
+  }
+  return { title: 'Check-in Successful! 🎉', message };
+};
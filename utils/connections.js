@@ -0,0 +1,82 @@
+// One-stop connections through the Bahrain hub for the Gulf Air App
+// The backend only searches direct flights, so a connection is built from a
+// flight into the hub and a flight out of it. A connection has the same shape
+// as a direct flight from transformFlight in utils/flightSearch.js (so fare brands,
+// sorting and filters work on it) plus `isConnection`, `segments` and
+// `layover`.
+
+import { HUB_AIRPORT } from './airports';
+import { getDurationMinutes } from './datetime';
+
+// Shortest and longest time allowed between the two flights, in minutes
+export const MIN_CONNECTION_MINUTES = 60;
+export const MAX_LAYOVER_MINUTES = 12 * 60;
+
+// Whether a route can be flown as a connection through the hub
+export const canConnectViaHub = (origin, destination) => {
+  return !!origin && !!destination && origin !== HUB_AIRPORT && destination !== HUB_AIRPORT;
+};
+
+// Minutes between arriving at and leaving the hub
+const getLayoverMinutes = (firstFlight, secondFlight) => {
+  return getDurationMinutes(firstFlight.arrivalTime, secondFlight.departureTime);
+};
+
+// Seats left on a connection: the lower count of the two flights
+const getConnectionSeats = (firstCount, secondCount) => {
+  if (typeof firstCount !== 'number') return secondCount;
+  if (typeof secondCount !== 'number') return firstCount;
+  return Math.min(firstCount, secondCount);
+};
+
+// Status shown for a connection: the first status that isn't 'scheduled'
+const getConnectionStatus = (firstFlight, secondFlight) => {
+  return [firstFlight.status, secondFlight.status]
+    .find((status) => status && status.toLowerCase() !== 'scheduled') || firstFlight.status;
+};
+
+// Build a connection from a flight into the hub and a flight out of it
+const createConnection = (firstFlight, secondFlight) => ({
+  id: `${firstFlight.id}-${secondFlight.id}`,
+  isConnection: true,
+  segments: [firstFlight, secondFlight],
+  layover: {
+    airport: HUB_AIRPORT,
+    minutes: getLayoverMinutes(firstFlight, secondFlight),
+  },
+  flightNumber: `${firstFlight.flightNumber} + ${secondFlight.flightNumber}`,
+  departureAirport: firstFlight.departureAirport,
+  arrivalAirport: secondFlight.arrivalAirport,
+  departureTime: firstFlight.departureTime,
+  arrivalTime: secondFlight.arrivalTime,
+  economyPrice: Math.round((firstFlight.economyPrice + secondFlight.economyPrice) * 1000) / 1000,
+  businessPrice: Math.round((firstFlight.businessPrice + secondFlight.businessPrice) * 1000) / 1000,
+  availableEconomySeats: getConnectionSeats(firstFlight.availableEconomySeats, secondFlight.availableEconomySeats),
+  availableBusinessSeats: getConnectionSeats(firstFlight.availableBusinessSeats, secondFlight.availableBusinessSeats),
+  status: getConnectionStatus(firstFlight, secondFlight),
+  aircraftType: firstFlight.aircraftType,
+});
+
+// Every connection between flights into the hub and flights out of it that
+// respects the minimum connection time and the maximum layover
+export const buildConnections = (flightsToHub, flightsFromHub) => {
+  const connections = [];
+  flightsToHub.forEach((firstFlight) => {
+    flightsFromHub.forEach((secondFlight) => {
+      const layoverMinutes = getLayoverMinutes(firstFlight, secondFlight);
+      if (layoverMinutes >= MIN_CONNECTION_MINUTES && layoverMinutes <= MAX_LAYOVER_MINUTES) {
+        connections.push(createConnection(firstFlight, secondFlight));
+      }
+    });
+  });
+  return connections;
+};
+
+// Flights to book for a selected itinerary: the segments of a connection
+// (each sold in the connection's fare brand) or the direct flight itself.
+// The Book screen books them under the first segment's reference and cancels
+// the segments already booked if a later one fails.
+export const getItinerarySegments = (flight) => {
+  if (!flight?.isConnection) return flight ? [flight] : [];
+  return flight.segments.map((segment) => ({ ...segment, fareBrand: flight.fareBrand }));
+};
@@ -0,0 +1,178 @@
+// Date and time helpers for the Gulf Air App
+// Every screen formats flight times through this module so they show in the
+// local time of the airport (departure times at the origin, arrival times at
+// the destination) whatever timezone the phone is in.
+//
+// Backend timestamps are ISO strings, sometimes with microseconds and usually
+// without an offset. Timestamps without an offset are UTC. Two kinds of values
+// are handled here:
+// - instants: backend timestamps and Date objects
+// - date keys: 'YYYY-MM-DD' calendar dates picked by the user
+
+import { getAirport } from './airports';
+
+// Timezone of timestamps sent without an offset
+const BACKEND_TIMEZONE_SUFFIX = 'Z';
+
+const MONTHS_UPPER = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN',
+  'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Whether a value is a date key such as '2025-10-09'
+const isDateKey = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Parse a backend timestamp, date key or Date into a Date, or null when invalid
+// Date keys become noon UTC so they never shift to another day
+export const parseDateTime = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+  let input = String(value).trim();
+  if (isDateKey(input)) {
+    input = `${input}T12:00:00Z`;
+  } else {
+    // Trim microseconds (2025-09-18T19:31:52.601155) to milliseconds
+    input = input.replace(/(\.\d{3})\d+/, '$1');
+    if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(input)) {
+      input = `${input}${BACKEND_TIMEZONE_SUFFIX}`;
+    }
+  }
+  const date = new Date(input);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// IANA timezone of an airport code, or undefined for the phone's timezone
+export const getAirportTimeZone = (airportCode) => getAirport(airportCode)?.timezone;
+
+// Timezone to format a value in: the airport's, UTC for date keys, else the phone's
+const resolveTimeZone = (value, airportCode) => {
+  const timeZone = getAirportTimeZone(airportCode);
+  if (timeZone) return timeZone;
+  return isDateKey(value) ? 'UTC' : undefined;
+};
+
+// Numeric parts of a date (year, month, day, hour, minute) in a timezone
+const getDateParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const values = {};
+  parts.forEach((part) => {
+    if (part.type !== 'literal') values[part.type] = Number(part.value);
+  });
+  return values;
+};
+
+// Format a value with Intl options in the airport's timezone
+const formatWith = (value, airportCode, options, locale = 'en-US') => {
+  const date = parseDateTime(value);
+  if (!date) return 'N/A';
+  return new Intl.DateTimeFormat(locale, { ...options, timeZone: resolveTimeZone(value, airportCode) }).format(date);
+};
+
+// "08:30 AM" in the airport's local time
+export const formatTime = (value, airportCode) => {
+  return formatWith(value, airportCode, { hour: '2-digit', minute: '2-digit', hour12: true });
+};
+
+// "Thursday, October 9, 2025"
+export const formatLongDate = (value, airportCode) => {
+  return formatWith(value, airportCode, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+};
+
+// "9 Oct • 08:30 AM"
+export const formatCompactDateTime = (value, airportCode) => {
+  const date = parseDateTime(value);
+  if (!date) return 'N/A';
+  const day = formatWith(value, airportCode, { day: 'numeric', month: 'short' }, 'en-GB');
+  return `${day} • ${formatTime(value, airportCode)}`;
+};
+
+// "24 SEP"
+export const formatDayMonth = (value, airportCode) => {
+  const date = parseDateTime(value);
+  if (!date) return 'N/A';
+  const parts = getDateParts(date, resolveTimeZone(value, airportCode));
+  return `${parts.day} ${MONTHS_UPPER[parts.month - 1]}`;
+};
+
+// "9 OCT 2025"
+export const formatFullDate = (value, airportCode) => {
+  const date = parseDateTime(value);
+  if (!date) return 'N/A';
+  const parts = getDateParts(date, resolveTimeZone(value, airportCode));
+  return `${parts.day} ${MONTHS_UPPER[parts.month - 1]} ${parts.year}`;
+};
+
+// Date key of an instant in the airport's local time, e.g. the departure date
+export const getDateKeyAt = (value, airportCode) => {
+  const date = parseDateTime(value);
+  if (!date) return null;
+  const parts = getDateParts(date, resolveTimeZone(value, airportCode));
+  return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+};
+
+// Hour (0-23) of an instant in the airport's local time
+export const getHourAt = (value, airportCode) => {
+  const date = parseDateTime(value);
+  if (!date) return null;
+  return getDateParts(date, resolveTimeZone(value, airportCode)).hour % 24;
+};
+
+// Minutes between two instants; timezones don't matter as both are absolute
+export const getDurationMinutes = (start, end) => {
+  const startDate = parseDateTime(start);
+  const endDate = parseDateTime(end);
+  if (!startDate || !endDate) return null;
+  return Math.round((endDate.getTime() - startDate.getTime()) / 60000);
+};
+
+// "2h 05m", or 'N/A' for a missing duration
+export const formatDuration = (minutes) => {
+  if (minutes === null || minutes === undefined || isNaN(minutes)) return 'N/A';
+  const total = Math.max(0, Math.round(minutes));
+  return `${Math.floor(total / 60)}h ${String(total % 60).padStart(2, '0')}m`;
+};
+
+// Hours from now until an instant (negative once it has passed)
+export const getHoursUntil = (value) => {
+  const date = parseDateTime(value);
+  if (!date) return null;
+  return (date.getTime() - Date.now()) / (1000 * 60 * 60);
+};
+
+// Date key of a Date in the phone's timezone (calendar days and "today")
+export const toDateKey = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+// Move a date key by a number of days
+export const shiftDateKey = (dateKey, days) => {
+  const date = parseDateTime(dateKey); // Noon UTC, so the UTC date is the calendar date
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+// Whole days from one date key to another (negative when `toKey` is earlier)
+export const getDaysBetween = (fromKey, toKey) => {
+  return Math.round((parseDateTime(toKey).getTime() - parseDateTime(fromKey).getTime()) / (24 * 60 * 60 * 1000));
+};
+
+// Format a date key with Intl options, e.g. { weekday: 'short', day: 'numeric' }
+export const formatDateKey = (dateKey, options, locale = 'en-GB') => {
+  if (!isDateKey(dateKey)) return '';
+  return formatWith(dateKey, null, options, locale);
+};
+
+// "09/10/2025" for a date key, as shown in the search form
+export const formatShortDate = (dateKey) => {
+  return formatDateKey(dateKey, { day: '2-digit', month: '2-digit', year: 'numeric' });
+};
@@ -0,0 +1,69 @@
+// Fare brands for the Gulf Air App
+// Each brand sells a seat class with its own conditions. The backend prices a
+// flight per seat class (economy_price / business_price); a brand's price is
+// that class price times its priceRatio. allowsChanges tells whether a booked
+// flight or seat can be changed at all.
+
+export const FARE_BRANDS = [
+  {
+    key: 'economy_light',
+    name: 'Economy Light',
+    seatClass: 'economy',
+    priceRatio: 0.85,
+    baggage: 'Cabin bag only (7 kg)',
+    changes: 'Not permitted',
+    allowsChanges: false,
+    refund: 'Non-refundable',
+  },
+  {
+    key: 'economy_classic',
+    name: 'Economy Classic',
+    seatClass: 'economy',
+    priceRatio: 1,
+    baggage: '1 × 23 kg checked bag',
+    changes: 'BHD 15.000 fee',
+    allowsChanges: true,
+    refund: 'BHD 30.000 fee',
+  },
+  {
+    key: 'falcon_gold',
+    name: 'Falcon Gold',
+    seatClass: 'falcon_gold',
+    priceRatio: 1,
+    baggage: '2 × 32 kg checked bags',
+    changes: 'Free',
+    allowsChanges: true,
+    refund: 'Fully refundable',
+  },
+];
+
+// Brand used for a seat class picked in the travel class modal
+const DEFAULT_BRANDS = {
+  economy: 'economy_classic',
+  falcon_gold: 'falcon_gold',
+};
+
+// Get a fare brand by key, falling back to Economy Classic
+export const getFareBrand = (key) => {
+  return FARE_BRANDS.find((brand) => brand.key === key)
+    || FARE_BRANDS.find((brand) => brand.key === DEFAULT_BRANDS.economy);
+};
+
+// Get the default fare brand key of a seat class
+export const getDefaultFareBrandKey = (seatClass) => DEFAULT_BRANDS[seatClass] || DEFAULT_BRANDS.economy;
+
+// Price in BHD of a fare brand on a flight ({ economyPrice, businessPrice })
+export const getFareBrandPrice = (brand, flight) => {
+  const classPrice = brand.seatClass === 'falcon_gold' ? flight?.businessPrice : flight?.economyPrice;
+  if (typeof classPrice !== 'number') return 0;
+  return Math.round(classPrice * brand.priceRatio * 1000) / 1000;
+};
+
+// Whether a flight still has seats in the class of a fare brand
+// Flights without seat counts are treated as available
+export const isFareBrandAvailable = (brand, flight) => {
+  const seatsLeft = brand.seatClass === 'falcon_gold'
+    ? flight?.availableBusinessSeats
+    : flight?.availableEconomySeats;
+  return typeof seatsLeft !== 'number' || seatsLeft > 0;
+};
@@ -0,0 +1,56 @@
+// Fare calendar helpers for the Gulf Air App
+// Builds the lowest fare per day of a route from its flights (the shape
+// returned by transformFlight in utils/flightSearch.js). Days are 'YYYY-MM-DD' keys, the
+// same keys the date picker stores.
+
+import { getFareBrandPrice, isFareBrandAvailable } from './fareBrands';
+import { getDateKeyAt, parseDateTime, shiftDateKey } from './datetime';
+
+// Departure date of a flight in the local time of its departure airport
+export const getFlightDateKey = (flight) => getDateKeyAt(flight.departureTime, flight.departureAirport);
+
+// Lowest fare per day for a fare brand: { 'YYYY-MM-DD': price }
+// Flights without seats left in the brand's class are skipped
+export const getLowestFaresByDate = (flights, brand) => {
+  const faresByDate = {};
+  (flights || []).forEach((flight) => {
+    if (!isFareBrandAvailable(brand, flight)) return;
+    const dateKey = getFlightDateKey(flight);
+    const price = getFareBrandPrice(brand, flight);
+    if (!dateKey || price <= 0) return;
+    if (faresByDate[dateKey] === undefined || price < faresByDate[dateKey]) {
+      faresByDate[dateKey] = price;
+    }
+  });
+  return faresByDate;
+};
+
+// Cheapest day among the given date keys, or null when none has a fare
+export const getCheapestDateKey = (faresByDate, dateKeys) => {
+  return dateKeys.reduce((cheapest, dateKey) => {
+    if (faresByDate[dateKey] === undefined) return cheapest;
+    if (!cheapest || faresByDate[dateKey] < faresByDate[cheapest]) return dateKey;
+    return cheapest;
+  }, null);
+};
+
+// Date keys from `days` before to `days` after a date (the ±3 days strip)
+export const getNearbyDateKeys = (dateKey, days = 3) => {
+  const dateKeys = [];
+  for (let offset = -days; offset <= days; offset++) {
+    dateKeys.push(shiftDateKey(dateKey, offset));
+  }
+  return dateKeys;
+};
+
+// Closest day with a fare to a date, not before `minimumDateKey`
+export const getNearestFareDateKey = (faresByDate, dateKey, minimumDateKey) => {
+  const target = parseDateTime(dateKey).getTime();
+  return Object.keys(faresByDate)
+    .filter((key) => !minimumDateKey || key >= minimumDateKey)
+    .sort((a, b) => (
+      Math.abs(parseDateTime(a).getTime() - target)
+      - Math.abs(parseDateTime(b).getTime() - target)
+      || a.localeCompare(b)
+    ))[0] || null;
+};
@@ -0,0 +1,171 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { searchRouteFlights } from './flightSearch';
+import { getFareBrand, getFareBrandPrice, isFareBrandAvailable } from './fareBrands';
+import { getFlightDateKey } from './fareCalendar';
+import { toDateKey, formatDateKey } from './datetime';
+import { showNotification } from './notifications';
+
+// Fare watches for the Gulf Air App
+// A fare watch follows the lowest fare of a route on one date in one fare
+// brand. Watches are stored on the device and refreshed when the app comes
+// to the foreground or the Fare Watch screen is opened; a local notification
+// is raised when the fare drops or seats run low.
+//
+// Watch shape:
+// { id, origin, destination, date, fareBrand, watchedPrice, currentPrice,
+//   seatsLeft, seatThreshold, createdAt, lastCheckedAt }
+
+const FARE_WATCHES_KEY = 'gulfair.fareWatches';
+
+// Seats left on the cheapest flight below which the user is warned
+export const DEFAULT_SEAT_THRESHOLD = 5;
+
+// Minimum time between two automatic checks of a watch
+export const FARE_WATCH_REFRESH_MINUTES = 30;
+
+// One watch per route, date and fare brand
+export const getFareWatchId = (origin, destination, date, fareBrandKey) => {
+  return `${origin}-${destination}-${date}-${fareBrandKey}`;
+};
+
+// Whether the date of a watch has passed
+export const isFareWatchExpired = (watch, todayKey = toDateKey(new Date())) => watch.date < todayKey;
+
+// Price shown to the user, e.g. "BHD 120.500"
+const formatFare = (price) => `BHD ${price.toFixed(3)}`;
+
+export const loadFareWatches = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(FARE_WATCHES_KEY);
+    const watches = stored ? JSON.parse(stored) : [];
+    return Array.isArray(watches) ? watches : [];
+  } catch (error) {
+    console.error('Error reading fare watches:', error);
+    return [];
+  }
+};
+
+const saveFareWatches = async (watches) => {
+  try {
+    await AsyncStorage.setItem(FARE_WATCHES_KEY, JSON.stringify(watches));
+  } catch (error) {
+    console.error('Error saving fare watches:', error);
+  }
+};
+
+// Lowest fare and seats left on the cheapest flight of a date, from a list of flights
+// Both are null when no flight of the date has seats in the brand's class
+export const getFareSnapshot = (flights, date, fareBrandKey) => {
+  const brand = getFareBrand(fareBrandKey);
+  const cheapest = (flights || [])
+    .filter((flight) => getFlightDateKey(flight) === date && isFareBrandAvailable(brand, flight))
+    .filter((flight) => getFareBrandPrice(brand, flight) > 0)
+    .sort((a, b) => getFareBrandPrice(brand, a) - getFareBrandPrice(brand, b))[0];
+  if (!cheapest) return { price: null, seatsLeft: null };
+
+  const seatsLeft = brand.seatClass === 'falcon_gold'
+    ? cheapest.availableBusinessSeats
+    : cheapest.availableEconomySeats;
+  return {
+    price: getFareBrandPrice(brand, cheapest),
+    seatsLeft: typeof seatsLeft === 'number' ? seatsLeft : null,
+  };
+};
+
+// Start watching a route and date at the fare the user is looking at
+export const addFareWatch = async ({ origin, destination, date, fareBrand, price, seatsLeft = null }) => {
+  const watches = await loadFareWatches();
+  const id = getFareWatchId(origin, destination, date, fareBrand);
+  const now = new Date().toISOString();
+  const watch = {
+    id,
+    origin,
+    destination,
+    date,
+    fareBrand,
+    watchedPrice: price,
+    currentPrice: price,
+    seatsLeft,
+    seatThreshold: DEFAULT_SEAT_THRESHOLD,
+    createdAt: now,
+    lastCheckedAt: now,
+  };
+  const next = [...watches.filter((entry) => entry.id !== id), watch];
+  await saveFareWatches(next);
+  return next;
+};
+
+export const removeFareWatch = async (id) => {
+  const watches = await loadFareWatches();
+  const next = watches.filter((watch) => watch.id !== id);
+  await saveFareWatches(next);
+  return next;
+};
+
+// Notify the user about what changed between two checks of a watch
+const notifyFareWatchChanges = async (previous, watch) => {
+  const route = `${watch.origin} → ${watch.destination}`;
+  const brandName = getFareBrand(watch.fareBrand).name;
+  const day = formatDateKey(watch.date, { day: 'numeric', month: 'short' });
+  const data = { type: 'fare-watch', watchId: watch.id };
+
+  if (watch.currentPrice !== null && previous.currentPrice !== null && watch.currentPrice < previous.currentPrice) {
+    await showNotification(
+      `Fare drop: ${route}`,
+      `${brandName} on ${day} is now ${formatFare(watch.currentPrice)} (was ${formatFare(previous.currentPrice)}).`,
+      data
+    );
+  }
+
+  const wasAboveThreshold = previous.seatsLeft === null || previous.seatsLeft >= watch.seatThreshold;
+  if (watch.seatsLeft !== null && watch.seatsLeft < watch.seatThreshold && wasAboveThreshold) {
+    await showNotification(
+      `Seats running low: ${route}`,
+      `Only ${watch.seatsLeft} ${watch.seatsLeft === 1 ? 'seat' : 'seats'} left at ${formatFare(watch.currentPrice)} in ${brandName} on ${day}.`,
+      data
+    );
+  }
+};
+
+// Re-check one watch against the backend and notify about changes
+const checkFareWatch = async (watch) => {
+  const flights = await searchRouteFlights(watch.origin, watch.destination);
+  const snapshot = getFareSnapshot(flights, watch.date, watch.fareBrand);
+  const checked = {
+    ...watch,
+    currentPrice: snapshot.price,
+    seatsLeft: snapshot.seatsLeft,
+    lastCheckedAt: new Date().toISOString(),
+  };
+  await notifyFareWatchChanges(watch, checked);
+  return checked;
+};
+
+// Whether a watch is due for an automatic check
+const isDueForCheck = (watch) => {
+  const lastChecked = new Date(watch.lastCheckedAt).getTime();
+  return !lastChecked || Date.now() - lastChecked >= FARE_WATCH_REFRESH_MINUTES * 60 * 1000;
+};
+
+// Check every upcoming watch (only the ones due unless `force`) and return the
+// updated list. A failed check leaves that watch as it was.
+export const refreshFareWatches = async ({ force = false } = {}) => {
+  const watches = await loadFareWatches();
+  const toCheck = watches.filter((watch) => !isFareWatchExpired(watch) && (force || isDueForCheck(watch)));
+  if (toCheck.length === 0) return watches;
+
+  const checked = {};
+  for (const watch of toCheck) {
+    try {
+      checked[watch.id] = await checkFareWatch(watch);
+    } catch (error) {
+      console.error(`Fare watch check failed for ${watch.id}:`, error);
+    }
+  }
+
+  // Reload so watches added or removed during the checks are kept as they are
+  const latest = await loadFareWatches();
+  const next = latest.map((watch) => checked[watch.id] || watch);
+  await saveFareWatches(next);
+  return next;
+};
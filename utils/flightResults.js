@@ -0,0 +1,97 @@
+// Sorting and filtering of flight search results for the Gulf Air App
+// Works on flights in the shape returned by transformFlight in utils/flightSearch.js.
+// Prices are passed in as a function so results follow the fare brand the
+// screen shows.
+
+import { getDurationMinutes, getHourAt, parseDateTime } from './datetime';
+
+// Sort options in display order
+export const SORT_OPTIONS = [
+  { key: 'price', label: 'Price' },
+  { key: 'departure', label: 'Departure' },
+  { key: 'arrival', label: 'Arrival' },
+  { key: 'duration', label: 'Duration' },
+];
+
+// Departure time windows by hour at the departure airport (startHour inclusive, endHour exclusive)
+export const DEPARTURE_WINDOWS = [
+  { key: 'any', label: 'Any time' },
+  { key: 'night', label: 'Night (00–06)', startHour: 0, endHour: 6 },
+  { key: 'morning', label: 'Morning (06–12)', startHour: 6, endHour: 12 },
+  { key: 'afternoon', label: 'Afternoon (12–18)', startHour: 12, endHour: 18 },
+  { key: 'evening', label: 'Evening (18–24)', startHour: 18, endHour: 24 },
+];
+
+// Seat availability filter: flights with seats left in a class
+export const SEAT_AVAILABILITY_OPTIONS = [
+  { key: 'any', label: 'Any' },
+  { key: 'economy', label: 'Economy' },
+  { key: 'falcon_gold', label: 'Falcon Gold' },
+];
+
+// Filters used before the user changes anything
+export const DEFAULT_RESULT_FILTERS = {
+  departureWindow: 'any',
+  maxPrice: '',
+  seatAvailability: 'any',
+  statuses: [],
+};
+
+// Minutes between departure and arrival, across timezones
+export const getFlightDuration = (flight) => getDurationMinutes(flight.departureTime, flight.arrivalTime);
+
+// Timestamp of a flight time for sorting
+const getTimestamp = (value) => parseDateTime(value)?.getTime() || 0;
+
+// Whether a flight has seats left in a class; flights without seat counts count as available
+const hasSeatsIn = (flight, seatClass) => {
+  const seatsLeft = seatClass === 'falcon_gold' ? flight.availableBusinessSeats : flight.availableEconomySeats;
+  return typeof seatsLeft !== 'number' || seatsLeft > 0;
+};
+
+// Number of filters that differ from the defaults, shown on the filter button
+export const countActiveFilters = (filters) => {
+  let count = 0;
+  if (filters.departureWindow !== DEFAULT_RESULT_FILTERS.departureWindow) count++;
+  if (parseFloat(filters.maxPrice) > 0) count++;
+  if (filters.seatAvailability !== DEFAULT_RESULT_FILTERS.seatAvailability) count++;
+  if (filters.statuses.length > 0) count++;
+  return count;
+};
+
+// Distinct statuses of a list of flights, for the status filter
+export const getFlightStatuses = (flights) => {
+  return [...new Set((flights || []).map((flight) => flight.status).filter(Boolean))];
+};
+
+// Flights matching every filter
+export const filterFlights = (flights, filters, getPrice) => {
+  const departureWindow = DEPARTURE_WINDOWS.find((entry) => entry.key === filters.departureWindow);
+  const maxPrice = parseFloat(filters.maxPrice);
+
+  return flights.filter((flight) => {
+    if (departureWindow && departureWindow.startHour !== undefined) {
+      const hour = getHourAt(flight.departureTime, flight.departureAirport);
+      if (hour < departureWindow.startHour || hour >= departureWindow.endHour) return false;
+    }
+    if (maxPrice > 0 && getPrice(flight) > maxPrice) return false;
+    if (filters.seatAvailability !== 'any' && !hasSeatsIn(flight, filters.seatAvailability)) return false;
+    if (filters.statuses.length > 0 && !filters.statuses.includes(flight.status)) return false;
+    return true;
+  });
+};
+
+// Flights in the order of a sort option, earliest departure breaking ties
+export const sortFlights = (flights, sortKey, getPrice) => {
+  const getValue = {
+    price: getPrice,
+    departure: (flight) => getTimestamp(flight.departureTime),
+    arrival: (flight) => getTimestamp(flight.arrivalTime),
+    duration: getFlightDuration,
+  }[sortKey] || getPrice;
+
+  return [...flights].sort((a, b) => (
+    getValue(a) - getValue(b)
+    || getTimestamp(a.departureTime) - getTimestamp(b.departureTime)
+  ));
+};
@@ -0,0 +1,38 @@
+// Flight search for the Gulf Air App
+// Turns backend flights into the shape the app works with and searches a
+// route, adding one-stop connections through the hub. Used by the Book
+// screen and by fare watches.
+
+import { flightsAPI } from './api';
+import { HUB_AIRPORT } from './airports';
+import { canConnectViaHub, buildConnections } from './connections';
+
+// Map a backend flight to the shape used by results, fares and bookings
+export const transformFlight = (flight) => ({
+  id: flight.id,
+  flightNumber: flight.flight_number,
+  departureAirport: flight.departure_airport,
+  arrivalAirport: flight.arrival_airport,
+  departureTime: flight.departure_time,
+  arrivalTime: flight.arrival_time,
+  economyPrice: flight.economy_price,
+  businessPrice: flight.business_price,
+  availableEconomySeats: flight.available_economy_seats,
+  availableBusinessSeats: flight.available_business_seats,
+  status: flight.status,
+  aircraftType: flight.aircraft_type,
+});
+
+// Direct flights of a route plus one-stop connections through the hub
+// A missing hub route only means there are no connections
+export const searchRouteFlights = async (origin, destination) => {
+  const directFlights = (await flightsAPI.searchFlights(origin, destination)).map(transformFlight);
+  if (!canConnectViaHub(origin, destination)) return directFlights;
+
+  const [flightsToHub, flightsFromHub] = await Promise.all([
+    flightsAPI.searchFlights(origin, HUB_AIRPORT).catch(() => []),
+    flightsAPI.searchFlights(HUB_AIRPORT, destination).catch(() => []),
+  ]);
+  const connections = buildConnections(flightsToHub.map(transformFlight), flightsFromHub.map(transformFlight));
+  return [...directFlights, ...connections];
+};
@@ -0,0 +1,149 @@
+// Flight status helpers for the Gulf Air App
+// The Flight Status screen shows flights from `flightsAPI.getFlightStatus`
+// and from route searches, and My Trips follows the status of booked flights.
+// Both return backend flights; status fields the backend doesn't send
+// (estimated/actual times, gate, terminal, delay reason) are simply left out.
+
+import { flightsAPI } from './api';
+import { getDateKeyAt, getDurationMinutes, getHoursUntil, parseDateTime } from './datetime';
+
+// Seconds between automatic refreshes while the screen is open
+export const FLIGHT_STATUS_REFRESH_SECONDS = 60;
+
+// Hours after departure My Trips still follows a booked flight's status
+export const TRIP_STATUS_HOURS_AFTER_DEPARTURE = 12;
+
+// Timeline stages in order
+export const FLIGHT_STAGES = [
+  { key: 'scheduled', label: 'Scheduled', icon: 'calendar-outline' },
+  { key: 'boarding', label: 'Boarding', icon: 'people-outline' },
+  { key: 'departed', label: 'Departed', icon: 'airplane-outline' },
+  { key: 'landed', label: 'Landed', icon: 'flag-outline' },
+];
+
+// Label, colour and timeline stage of each backend status
+const STATUSES = {
+  scheduled: { label: 'Scheduled', color: '#2E7D32', stage: 'scheduled' },
+  on_time: { label: 'On Time', color: '#2E7D32', stage: 'scheduled' },
+  delayed: { label: 'Delayed', color: '#FF6B35', stage: 'scheduled' },
+  boarding: { label: 'Boarding', color: '#1976D2', stage: 'boarding' },
+  gate_closed: { label: 'Gate Closed', color: '#1976D2', stage: 'boarding' },
+  departed: { label: 'Departed', color: '#1976D2', stage: 'departed' },
+  in_air: { label: 'In Air', color: '#1976D2', stage: 'departed' },
+  airborne: { label: 'In Air', color: '#1976D2', stage: 'departed' },
+  landed: { label: 'Landed', color: '#2E7D32', stage: 'landed' },
+  arrived: { label: 'Arrived', color: '#2E7D32', stage: 'landed' },
+  diverted: { label: 'Diverted', color: '#D32F2F', stage: 'departed' },
+  cancelled: { label: 'Cancelled', color: '#D32F2F', stage: null },
+};
+
+// Normalised status key, e.g. "On Time" -> 'on_time'
+const getStatusKey = (status) => String(status || 'scheduled').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// Label and colour of a backend status; unknown statuses keep their own text
+export const getStatusInfo = (status) => {
+  return STATUSES[getStatusKey(status)] || { label: status, color: '#8B8B8B', stage: 'scheduled' };
+};
+
+// First value that is set among several backend field names
+const pick = (flight, ...keys) => {
+  const key = keys.find((name) => flight[name] !== undefined && flight[name] !== null && flight[name] !== '');
+  return key ? flight[key] : null;
+};
+
+// Backend flight (from the status endpoint or a route search) in the shape the
+// Flight Status screen shows
+export const normalizeFlightStatus = (flight) => {
+  const scheduledDeparture = pick(flight, 'scheduled_departure_time', 'scheduled_departure', 'departure_time');
+  const scheduledArrival = pick(flight, 'scheduled_arrival_time', 'scheduled_arrival', 'arrival_time');
+  const estimatedDeparture = pick(flight, 'estimated_departure_time', 'estimated_departure');
+  const estimatedArrival = pick(flight, 'estimated_arrival_time', 'estimated_arrival');
+  const actualDeparture = pick(flight, 'actual_departure_time', 'actual_departure');
+  const actualArrival = pick(flight, 'actual_arrival_time', 'actual_arrival');
+  const latestDeparture = actualDeparture || estimatedDeparture;
+
+  return {
+    id: flight.id,
+    flightNumber: flight.flight_number,
+    from: flight.departure_airport,
+    to: flight.arrival_airport,
+    status: flight.status,
+    scheduledDeparture,
+    scheduledArrival,
+    estimatedDeparture,
+    estimatedArrival,
+    actualDeparture,
+    actualArrival,
+    departureGate: pick(flight, 'departure_gate', 'gate'),
+    departureTerminal: pick(flight, 'departure_terminal', 'terminal'),
+    arrivalGate: pick(flight, 'arrival_gate'),
+    arrivalTerminal: pick(flight, 'arrival_terminal'),
+    delayReason: pick(flight, 'delay_reason'),
+    delayMinutes: pick(flight, 'delay_minutes')
+      ?? (latestDeparture ? Math.max(0, getDurationMinutes(scheduledDeparture, latestDeparture) || 0) : 0),
+    aircraftType: flight.aircraft_type,
+  };
+};
+
+// Departure date key of a backend flight at its departure airport
+export const getFlightStatusDateKey = (flight) => {
+  return getDateKeyAt(
+    pick(flight, 'scheduled_departure_time', 'scheduled_departure', 'departure_time'),
+    flight.departure_airport
+  );
+};
+
+// Index in FLIGHT_STAGES reached by a flight, or -1 for a cancelled flight.
+// Without a status update, times decide: departed after the actual departure,
+// landed after the actual arrival.
+export const getStageIndex = (flightStatus) => {
+  const { stage } = getStatusInfo(flightStatus.status);
+  if (stage === null) return -1;
+  let index = FLIGHT_STAGES.findIndex((entry) => entry.key === stage);
+  if (flightStatus.actualDeparture) index = Math.max(index, 2);
+  if (flightStatus.actualArrival) index = Math.max(index, 3);
+  return index;
+};
+
+// Share of the flight flown (0 to 1), from departure to the expected arrival
+export const getFlightProgress = (flightStatus, now = Date.now()) => {
+  const stageIndex = getStageIndex(flightStatus);
+  if (stageIndex >= 3) return 1;
+  if (stageIndex < 2) return 0;
+
+  const departure = parseDateTime(flightStatus.actualDeparture || flightStatus.estimatedDeparture || flightStatus.scheduledDeparture);
+  const arrival = parseDateTime(flightStatus.estimatedArrival || flightStatus.scheduledArrival);
+  if (!departure || !arrival || arrival <= departure) return 0.5;
+  return Math.min(1, Math.max(0, (now - departure.getTime()) / (arrival.getTime() - departure.getTime())));
+};
+
+// Badge of a booked flight on My Trips: On Time, Delayed, Boarding, Departed,
+// Landed or Cancelled
+export const getTripStatusBadge = (flightStatus) => {
+  const stageIndex = getStageIndex(flightStatus);
+  const statusKey = getStatusKey(flightStatus.status);
+  if (stageIndex === -1) return STATUSES.cancelled;
+  if (stageIndex === 3) return STATUSES.landed;
+  if (stageIndex === 2) return statusKey === 'diverted' ? STATUSES.diverted : STATUSES.departed;
+  if (stageIndex === 1) return STATUSES.boarding;
+  return statusKey === 'delayed' || flightStatus.delayMinutes > 0 ? STATUSES.delayed : STATUSES.on_time;
+};
+
+// Whether My Trips follows the status of a booked flight: upcoming, or
+// departed within the last TRIP_STATUS_HOURS_AFTER_DEPARTURE hours
+export const isTrackedTrip = (flight) => {
+  const hoursUntil = getHoursUntil(flight?.departure_time);
+  return hoursUntil !== null && hoursUntil > -TRIP_STATUS_HOURS_AFTER_DEPARTURE;
+};
+
+// Latest status of a booked flight (backend flight with its id), matched on
+// its departure date; the booked flight itself when nothing newer comes back
+export const fetchFlightStatus = async (flight) => {
+  if (!flight.flight_number) return normalizeFlightStatus(flight);
+  const response = await flightsAPI.getFlightStatus(flight.flight_number);
+  const results = (Array.isArray(response) ? response : [response]).filter(Boolean);
+  const dateKey = getFlightStatusDateKey(flight);
+  const match = results.find((result) => result.id === flight.id)
+    || results.find((result) => getFlightStatusDateKey(result) === dateKey);
+  return normalizeFlightStatus({ ...flight, ...(match || {}), id: flight.id });
+};
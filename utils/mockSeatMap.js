@@ -0,0 +1,49 @@
+// Local seat-map mock for the Gulf Air App
+// The backend has no seat inventory endpoint yet. This returns the same
+// response shape as GET /api/flights/{id}/seats so the booking flow can be
+// exercised end to end. Occupancy is derived from the flight id, so a flight
+// always shows the same taken seats instead of changing on every render.
+
+// Every row and letter used by any layout; seats outside a layout are ignored
+const MOCK_ROWS = 40;
+const MOCK_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'J', 'K'];
+
+// Share of seats reported as occupied and blocked, in percent
+const OCCUPIED_PERCENT = { economy: 30, business: 20 };
+const BLOCKED_PERCENT = 3;
+
+// Small string hash (FNV-1a) giving a stable number per flight and seat
+const hashString = (value) => {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// Build a seat-map response for a flight and backend seat class
+export const getMockSeatMap = async (flightId, seatClass = 'economy') => {
+  const occupiedSeats = [];
+  const blockedSeats = [];
+  const occupiedPercent = OCCUPIED_PERCENT[seatClass] ?? OCCUPIED_PERCENT.economy;
+
+  for (let row = 1; row <= MOCK_ROWS; row++) {
+    MOCK_LETTERS.forEach((letter) => {
+      const seatId = `${row}${letter}`;
+      const roll = hashString(`${flightId}-${seatClass}-${seatId}`) % 100;
+      if (roll < BLOCKED_PERCENT) {
+        blockedSeats.push(seatId);
+      } else if (roll < BLOCKED_PERCENT + occupiedPercent) {
+        occupiedSeats.push(seatId);
+      }
+    });
+  }
+
+  return {
+    flight_id: flightId,
+    seat_class: seatClass,
+    occupied_seats: occupiedSeats,
+    blocked_seats: blockedSeats,
+  };
+};
@@ -0,0 +1,31 @@
+// Navigation helpers shared by the auth flow
+// Builds and validates the return-to route passed to /login as `redirect`.
+
+// Routes that must never be used as a return-to target
+const EXCLUDED_REDIRECTS = ['/login', '/signup', '/splash', '/'];
+
+// Build a path such as /manage-booking?bookingId=5 from the current route
+export const buildRedirectPath = (pathname, params = {}) => {
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => {
+      const firstValue = Array.isArray(value) ? value[0] : value;
+      return `${encodeURIComponent(key)}=${encodeURIComponent(firstValue)}`;
+    })
+    .join('&');
+  return query ? `${pathname}?${query}` : pathname;
+};
+
+// Return the redirect target if it is an in-app route, otherwise the fallback
+export const getSafeRedirect = (redirect, fallback = '/home') => {
+  const target = Array.isArray(redirect) ? redirect[0] : redirect;
+  if (!target || typeof target !== 'string') return fallback;
+
+  // Only allow app-relative paths, never external URLs
+  if (!target.startsWith('/') || target.startsWith('//')) return fallback;
+
+  const pathname = target.split('?')[0];
+  if (EXCLUDED_REDIRECTS.includes(pathname)) return fallback;
+
+  return target;
+};
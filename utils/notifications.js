@@ -0,0 +1,89 @@
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+
+// Local notifications for the Gulf Air App
+// Notifications are raised on the device itself (no push server). Web has no
+// local notifications, so every helper is a no-op there.
+
+export const isNotificationSupported = Platform.OS !== 'web';
+
+// Show notifications as banners while the app is open too
+if (isNotificationSupported) {
+  Notifications.setNotificationHandler({
+    handleNotification: async () => ({
+      shouldShowBanner: true,
+      shouldShowList: true,
+      shouldPlaySound: true,
+      shouldSetBadge: false,
+    }),
+  });
+}
+
+// Ask for permission once; resolves to whether notifications may be shown
+export const requestNotificationPermission = async () => {
+  if (!isNotificationSupported) return false;
+  try {
+    const current = await Notifications.getPermissionsAsync();
+    if (current.granted) return true;
+    if (!current.canAskAgain) return false;
+    const requested = await Notifications.requestPermissionsAsync();
+    return requested.granted;
+  } catch (error) {
+    console.error('Notification permission error:', error);
+    return false;
+  }
+};
+
+// Show a notification right away; `data` travels with it for when it is tapped
+export const showNotification = async (title, body, data = {}) => {
+  if (!(await requestNotificationPermission())) return;
+  try {
+    await Notifications.scheduleNotificationAsync({
+      content: { title, body, data },
+      trigger: null,
+    });
+  } catch (error) {
+    console.error('Error showing notification:', error);
+  }
+};
+
+// Whether notifications are currently allowed, without asking
+export const getNotificationPermission = async () => {
+  if (!isNotificationSupported) return false;
+  try {
+    const current = await Notifications.getPermissionsAsync();
+    return current.granted;
+  } catch (error) {
+    console.error('Notification permission error:', error);
+    return false;
+  }
+};
+
+// Schedule a notification for a future date; resolves to its id, or null
+export const scheduleNotification = async (title, body, date, data = {}) => {
+  if (!isNotificationSupported) return null;
+  try {
+    return await Notifications.scheduleNotificationAsync({
+      content: { title, body, data },
+      trigger: { type: Notifications.SchedulableTriggerInputTypes.DATE, date },
+    });
+  } catch (error) {
+    console.error('Error scheduling notification:', error);
+    return null;
+  }
+};
+
+// Cancel every scheduled notification whose data has the given type
+export const cancelScheduledNotifications = async (type) => {
+  if (!isNotificationSupported) return;
+  try {
+    const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+    await Promise.all(
+      scheduled
+        .filter((notification) => notification.content.data?.type === type)
+        .map((notification) => Notifications.cancelScheduledNotificationAsync(notification.identifier))
+    );
+  } catch (error) {
+    console.error('Error cancelling notifications:', error);
+  }
+};
@@ -0,0 +1,103 @@
+import { useCallback } from 'react';
+import { AppState } from 'react-native';
+import { useFocusEffect } from 'expo-router';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { NETWORK_STATUS, isSessionExpiredError, onNetworkStatusChange } from './api';
+
+// Offline cache for the Gulf Air App
+// Keeps the last copy of the signed-in user's data (bookings, booking details,
+// loyalty and boarding passes) on the device, so screens open instantly and
+// keep working where coverage is poor, e.g. at the airport. Screens render the
+// cached copy with its "last updated" time and revalidate it against the
+// backend (stale-while-revalidate). AuthProvider clears the cache when the
+// session ends, so the next user never sees it.
+//
+// Entry shape: { data, updatedAt }
+
+const CACHE_PREFIX = 'gulfair.cache.';
+
+// Seconds between retries while a screen shows data it couldn't refresh
+export const OFFLINE_RETRY_SECONDS = 30;
+
+// Cache keys of each kind of data
+export const CACHE_KEYS = {
+  bookings: 'bookings',
+  booking: (bookingId) => `booking.${bookingId}`,
+  loyalty: 'loyalty',
+  boardingPass: (bookingId) => `boardingPass.${bookingId}`,
+};
+
+// Cached entry of a key, or null
+export const readCache = async (key) => {
+  try {
+    const stored = await AsyncStorage.getItem(`${CACHE_PREFIX}${key}`);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error(`Error reading cache ${key}:`, error);
+    return null;
+  }
+};
+
+// Cache data under a key, stamped with the current time; resolves to the entry
+export const writeCache = async (key, data) => {
+  const entry = { data, updatedAt: new Date().toISOString() };
+  try {
+    await AsyncStorage.setItem(`${CACHE_PREFIX}${key}`, JSON.stringify(entry));
+  } catch (error) {
+    console.error(`Error writing cache ${key}:`, error);
+  }
+  return entry;
+};
+
+// Remove everything cached for the user
+export const clearOfflineCache = async () => {
+  try {
+    const keys = await AsyncStorage.getAllKeys();
+    await AsyncStorage.multiRemove(keys.filter((key) => key.startsWith(CACHE_PREFIX)));
+  } catch (error) {
+    console.error('Error clearing offline cache:', error);
+  }
+};
+
+// Stale-while-revalidate: hands the cached copy to `onData` right away, then
+// fetches a fresh one, caches it and hands that over too. `onData` gets the
+// data and { updatedAt, isStale }; isStale is set once the fetch has failed
+// and the cached copy stays on screen. Rejects only when the fetch fails with
+// nothing cached, or the session expired.
+export const loadWithCache = async (key, request, onData) => {
+  const cached = await readCache(key);
+  if (cached) onData(cached.data, { updatedAt: cached.updatedAt, isStale: false });
+
+  try {
+    const data = await request();
+    const entry = await writeCache(key, data);
+    onData(data, { updatedAt: entry.updatedAt, isStale: false });
+  } catch (error) {
+    if (!cached || isSessionExpiredError(error)) throw error;
+    console.log(`Showing cached ${key} from ${cached.updatedAt}:`, error.message);
+    onData(cached.data, { updatedAt: cached.updatedAt, isStale: true });
+  }
+};
+
+// Retry a load while the focused screen shows stale data: as soon as the
+// connection is back, every OFFLINE_RETRY_SECONDS and whenever the app comes
+// back to the foreground
+export const useRetryWhileStale = (isStale, retry) => {
+  useFocusEffect(
+    useCallback(() => {
+      if (!isStale) return undefined;
+      const timer = setInterval(retry, OFFLINE_RETRY_SECONDS * 1000);
+      const appStateSubscription = AppState.addEventListener('change', (state) => {
+        if (state === 'active') retry();
+      });
+      const unsubscribeNetwork = onNetworkStatusChange((status) => {
+        if (status === NETWORK_STATUS.ONLINE) retry();
+      });
+      return () => {
+        clearInterval(timer);
+        appStateSubscription.remove();
+        unsubscribeNetwork();
+      };
+    }, [isStale])
+  );
+};
@@ -0,0 +1,109 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { toDateKey, shiftDateKey, getDaysBetween } from './datetime';
+
+// Recent and pinned flight searches for the Book screen
+// A search is the search form as the user submitted it:
+// { flightType, origin, destination, departureDate, returnDate,
+//   multiCityLegs, seatClass, passengerCounts }
+// Both lists are stored on the device with AsyncStorage.
+
+const RECENT_SEARCHES_KEY = 'gulfair.recentSearches';
+const PINNED_SEARCHES_KEY = 'gulfair.pinnedSearches';
+
+// Number of recent searches kept
+export const MAX_RECENT_SEARCHES = 10;
+
+// Read a stored list, an unreadable value counts as empty
+const readList = async (key) => {
+  try {
+    const stored = await AsyncStorage.getItem(key);
+    const list = stored ? JSON.parse(stored) : [];
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    console.error('Error reading saved searches:', error);
+    return [];
+  }
+};
+
+// Write a list, storage errors only lose the history
+const writeList = async (key, list) => {
+  try {
+    await AsyncStorage.setItem(key, JSON.stringify(list));
+  } catch (error) {
+    console.error('Error saving searches:', error);
+  }
+};
+
+// Airports of a search in travel order, e.g. ['BAH', 'DXB'] or ['BAH', 'DXB', 'LHR']
+const getSearchAirports = (search) => {
+  if (search.flightType === 'multicity') {
+    return search.multiCityLegs.reduce((airports, leg) => (
+      airports[airports.length - 1] === leg.origin
+        ? [...airports, leg.destination]
+        : [...airports, leg.origin, leg.destination]
+    ), []);
+  }
+  return [search.origin, search.destination];
+};
+
+// Key of a route regardless of dates, used to spot duplicates and pins
+export const getRouteKey = (search) => `${search.flightType}:${getSearchAirports(search).join('-')}`;
+
+// Chip label such as "BAH → DXB", "BAH ⇄ LHR" or "BAH → DXB → LHR"
+export const describeSearchRoute = (search) => {
+  const airports = getSearchAirports(search);
+  return search.flightType === 'return' ? airports.join(' ⇄ ') : airports.join(' → ');
+};
+
+// First date of a search
+const getFirstDate = (search) => {
+  return search.flightType === 'multicity' ? search.multiCityLegs[0]?.date : search.departureDate;
+};
+
+// Move every date of a search forward so it no longer starts in the past.
+// The trip keeps its length: a 3 night return stays 3 nights.
+export const rollSearchDatesForward = (search, todayKey = toDateKey(new Date())) => {
+  const firstDate = getFirstDate(search);
+  if (!firstDate || firstDate >= todayKey) return search;
+
+  const days = getDaysBetween(firstDate, todayKey);
+  const shift = (dateKey) => (dateKey ? shiftDateKey(dateKey, days) : dateKey);
+  return {
+    ...search,
+    departureDate: shift(search.departureDate),
+    returnDate: shift(search.returnDate),
+    multiCityLegs: (search.multiCityLegs || []).map((leg) => ({ ...leg, date: shift(leg.date) })),
+  };
+};
+
+export const loadRecentSearches = () => readList(RECENT_SEARCHES_KEY);
+
+export const loadPinnedSearches = () => readList(PINNED_SEARCHES_KEY);
+
+// Put a search first in the recent list, replacing an older search of the same route
+export const addRecentSearch = async (search) => {
+  const recent = await loadRecentSearches();
+  const routeKey = getRouteKey(search);
+  const next = [
+    { ...search, searchedAt: new Date().toISOString() },
+    ...recent.filter((entry) => getRouteKey(entry) !== routeKey),
+  ].slice(0, MAX_RECENT_SEARCHES);
+  await writeList(RECENT_SEARCHES_KEY, next);
+  return next;
+};
+
+export const clearRecentSearches = async () => {
+  await writeList(RECENT_SEARCHES_KEY, []);
+  return [];
+};
+
+// Pin a search, or unpin it when its route is already pinned
+export const togglePinnedSearch = async (search) => {
+  const pinned = await loadPinnedSearches();
+  const routeKey = getRouteKey(search);
+  const next = pinned.some((entry) => getRouteKey(entry) === routeKey)
+    ? pinned.filter((entry) => getRouteKey(entry) !== routeKey)
+    : [...pinned, search];
+  await writeList(PINNED_SEARCHES_KEY, next);
+  return next;
+};
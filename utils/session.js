@@ -0,0 +1,142 @@
+import { Platform } from 'react-native';
+import * as SecureStore from 'expo-secure-store';
+
+// Session storage for the Gulf Air App
+// The JWT lives in the Keychain/Keystore on native (expo-secure-store) and in
+// localStorage on web. Every read goes through one in-memory cache so the
+// request interceptor doesn't hit the storage backend on each API call.
+
+const TOKEN_KEY = 'gulfair.authToken';
+
+// Storage backend chosen once for the current platform
+const storage = Platform.OS === 'web'
+  ? {
+      getItem: async (key) => {
+        // localStorage is unavailable during static rendering on web
+        if (typeof window === 'undefined' || !window.localStorage) return null;
+        return window.localStorage.getItem(key);
+      },
+      setItem: async (key, value) => {
+        if (typeof window === 'undefined' || !window.localStorage) return;
+        window.localStorage.setItem(key, value);
+      },
+      removeItem: async (key) => {
+        if (typeof window === 'undefined' || !window.localStorage) return;
+        window.localStorage.removeItem(key);
+      },
+    }
+  : {
+      getItem: (key) => SecureStore.getItemAsync(key),
+      setItem: (key, value) => SecureStore.setItemAsync(key, value),
+      removeItem: (key) => SecureStore.deleteItemAsync(key),
+    };
+
+// In-memory cache of the current session
+let cachedToken = null;
+let isRestored = false;
+let restorePromise = null;
+
+// Load the stored token into the cache (only reads storage once per launch)
+export const restoreSession = async () => {
+  if (isRestored) return cachedToken;
+
+  // Share a single read between callers that restore at the same time
+  if (!restorePromise) {
+    restorePromise = (async () => {
+      try {
+        const token = await storage.getItem(TOKEN_KEY);
+        // A login may have happened while storage was being read
+        if (!isRestored) {
+          cachedToken = token || null;
+        }
+      } catch (error) {
+        console.error('Error restoring session:', error);
+      } finally {
+        isRestored = true;
+        restorePromise = null;
+      }
+      return cachedToken;
+    })();
+  }
+
+  return restorePromise;
+};
+
+// Get the session token, restoring it from storage on first use
+export const getSessionToken = async () => {
+  if (!isRestored) {
+    await restoreSession();
+  }
+  return cachedToken;
+};
+
+// Listeners notified whenever the session token is set or cleared
+const changeListeners = new Set();
+
+// Subscribe to session changes, returns an unsubscribe function
+export const onSessionChange = (listener) => {
+  changeListeners.add(listener);
+  return () => {
+    changeListeners.delete(listener);
+  };
+};
+
+const notifySessionChange = () => {
+  changeListeners.forEach((listener) => {
+    try {
+      listener(cachedToken);
+    } catch (error) {
+      console.error('Session change listener failed:', error);
+    }
+  });
+};
+
+// Store a new session token in the cache and in persistent storage
+export const setSessionToken = async (token) => {
+  cachedToken = token || null;
+  isRestored = true;
+  notifySessionChange();
+
+  if (!cachedToken) {
+    await storage.removeItem(TOKEN_KEY);
+    return;
+  }
+  await storage.setItem(TOKEN_KEY, cachedToken);
+};
+
+// Remove the session token from the cache and from persistent storage
+export const clearSession = async () => {
+  cachedToken = null;
+  isRestored = true;
+  notifySessionChange();
+  await storage.removeItem(TOKEN_KEY);
+};
+
+// Listeners notified when the backend rejects the current session (HTTP 401)
+const expiredListeners = new Set();
+
+// Subscribe to session expiry, returns an unsubscribe function
+export const onSessionExpired = (listener) => {
+  expiredListeners.add(listener);
+  return () => {
+    expiredListeners.delete(listener);
+  };
+};
+
+// Clear an expired session and notify listeners
+// Only the token the failing request was sent with can expire the session, so
+// a late 401 from before a fresh login doesn't log the user out again.
+export const expireSession = async (rejectedToken) => {
+  const currentToken = await getSessionToken();
+  if (!currentToken || currentToken !== rejectedToken) return false;
+
+  await clearSession();
+  expiredListeners.forEach((listener) => {
+    try {
+      listener();
+    } catch (error) {
+      console.error('Session expiry listener failed:', error);
+    }
+  });
+  return true;
+};
@@ -0,0 +1,239 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { bookingsAPI, getAuthToken } from './api';
+import { getAirportCity } from './airports';
+import { parseDateTime, formatTime } from './datetime';
+import { CHECK_IN_OPENS_HOURS } from './checkIn';
+import { isTrackedTrip, fetchFlightStatus } from './flightStatus';
+import {
+  isNotificationSupported,
+  requestNotificationPermission,
+  showNotification,
+  scheduleNotification,
+  cancelScheduledNotifications,
+} from './notifications';
+
+// Trip alerts for the Gulf Air App
+// Local notifications for the signed-in user's active bookings:
+// - check-in opens: scheduled CHECK_IN_OPENS_HOURS before departure
+// - departure reminder: scheduled DEPARTURE_REMINDER_HOURS before the latest
+//   known departure time
+// - flight changes: raised when a sync finds a new gate, a (longer) delay or
+//   a cancellation
+// Every sync cancels the scheduled alerts and schedules them again from the
+// current bookings, so changed and cancelled bookings never keep old alerts.
+// Syncs run on launch, when the app comes to the foreground, when My Trips
+// loads and after a booking is cancelled, rescheduled or checked in.
+
+const TRIP_ALERT_SETTINGS_KEY = 'gulfair.tripAlertSettings';
+const TRIP_FLIGHT_SNAPSHOTS_KEY = 'gulfair.tripFlightSnapshots';
+
+// Notification data type of every trip alert
+export const TRIP_ALERT_TYPE = 'trip-alert';
+
+// The departure reminder goes out this many hours before departure
+export const DEPARTURE_REMINDER_HOURS = 3;
+
+// Alert categories the user can switch on or off in Notification Settings
+export const TRIP_ALERT_CATEGORIES = [
+  {
+    key: 'checkIn',
+    icon: 'checkmark-circle-outline',
+    title: 'Check-in opens',
+    description: `When online check-in opens, ${CHECK_IN_OPENS_HOURS} hours before departure`,
+  },
+  {
+    key: 'departure',
+    icon: 'alarm-outline',
+    title: 'Departure reminder',
+    description: `${DEPARTURE_REMINDER_HOURS} hours before your flight departs`,
+  },
+  {
+    key: 'flightChanges',
+    icon: 'swap-horizontal-outline',
+    title: 'Gate changes and delays',
+    description: 'When the gate changes, your flight is delayed or cancelled',
+  },
+];
+
+// Every category is on until the user switches it off
+const DEFAULT_SETTINGS = { checkIn: true, departure: true, flightChanges: true };
+
+export const loadTripAlertSettings = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(TRIP_ALERT_SETTINGS_KEY);
+    return { ...DEFAULT_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+  } catch (error) {
+    console.error('Error reading trip alert settings:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+export const saveTripAlertSettings = async (settings) => {
+  try {
+    await AsyncStorage.setItem(TRIP_ALERT_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Error saving trip alert settings:', error);
+  }
+};
+
+// Last known gate, departure and status of each booked flight, by booking id
+const loadFlightSnapshots = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(TRIP_FLIGHT_SNAPSHOTS_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error reading trip flight snapshots:', error);
+    return {};
+  }
+};
+
+const saveFlightSnapshots = async (snapshots) => {
+  try {
+    await AsyncStorage.setItem(TRIP_FLIGHT_SNAPSHOTS_KEY, JSON.stringify(snapshots));
+  } catch (error) {
+    console.error('Error saving trip flight snapshots:', error);
+  }
+};
+
+// What a sync compares to notice a gate change, delay or cancellation
+const getFlightSnapshot = (flightStatus) => ({
+  gate: flightStatus.departureGate || null,
+  departure: flightStatus.actualDeparture || flightStatus.estimatedDeparture || flightStatus.scheduledDeparture,
+  isCancelled: String(flightStatus.status || '').toLowerCase() === 'cancelled',
+});
+
+// Notifications for the differences between two snapshots of a booked flight
+const getFlightChangeAlerts = (booking, previous, current) => {
+  const flight = booking.flight;
+  const alerts = [];
+
+  if (current.isCancelled && !previous.isCancelled) {
+    alerts.push({
+      title: `${flight.flight_number} has been cancelled`,
+      body: `Your flight to ${getAirportCity(flight.arrival_airport)} is cancelled. Open My Trips to rebook.`,
+    });
+    return alerts;
+  }
+  if (current.gate && previous.gate && current.gate !== previous.gate) {
+    alerts.push({
+      title: `Gate change for ${flight.flight_number}`,
+      body: `Your flight to ${getAirportCity(flight.arrival_airport)} now departs from gate ${current.gate} (was ${previous.gate}).`,
+    });
+  }
+  const previousDeparture = parseDateTime(previous.departure);
+  const currentDeparture = parseDateTime(current.departure);
+  if (previousDeparture && currentDeparture && currentDeparture > previousDeparture) {
+    alerts.push({
+      title: `${flight.flight_number} is delayed`,
+      body: `New departure time: ${formatTime(current.departure, flight.departure_airport)} (was ${formatTime(previous.departure, flight.departure_airport)}).`,
+    });
+  }
+  return alerts;
+};
+
+// Check-in and departure alerts of one booking that are still in the future
+const getScheduledAlerts = (booking, departure, settings) => {
+  const flight = booking.flight;
+  const city = getAirportCity(flight.arrival_airport);
+  const now = Date.now();
+  const alerts = [];
+
+  const scheduledDeparture = parseDateTime(flight.departure_time);
+  if (settings.checkIn && booking.booking_status === 'confirmed' && scheduledDeparture) {
+    alerts.push({
+      category: 'checkIn',
+      date: new Date(scheduledDeparture.getTime() - CHECK_IN_OPENS_HOURS * 60 * 60 * 1000),
+      title: 'Check-in is now open',
+      body: `Check in online for ${flight.flight_number} to ${city} and get your boarding pass.`,
+    });
+  }
+
+  const latestDeparture = parseDateTime(departure);
+  if (settings.departure && latestDeparture) {
+    alerts.push({
+      category: 'departure',
+      date: new Date(latestDeparture.getTime() - DEPARTURE_REMINDER_HOURS * 60 * 60 * 1000),
+      title: `${flight.flight_number} departs in ${DEPARTURE_REMINDER_HOURS} hours`,
+      body: `Your flight to ${city} leaves at ${formatTime(departure, flight.departure_airport)}. Time to head to the airport.`,
+    });
+  }
+
+  return alerts.filter((alert) => alert.date.getTime() > now);
+};
+
+// Cancel every scheduled trip alert, e.g. after logging out
+export const cancelTripAlerts = async () => {
+  await cancelScheduledNotifications(TRIP_ALERT_TYPE);
+  await saveFlightSnapshots({});
+};
+
+const runTripAlertsSync = async (bookings) => {
+  if (!isNotificationSupported) return;
+  if (!(await getAuthToken())) {
+    await cancelTripAlerts();
+    return;
+  }
+
+  const settings = await loadTripAlertSettings();
+  const allBookings = bookings || (await bookingsAPI.getBookings());
+  const activeBookings = allBookings.filter(
+    (booking) => booking.booking_status !== 'cancelled' && booking.flight && isTrackedTrip(booking.flight)
+  );
+
+  // Look for gate changes, delays and cancellations since the last sync
+  const previousSnapshots = await loadFlightSnapshots();
+  const snapshots = {};
+  for (const booking of activeBookings) {
+    let flightStatus = null;
+    try {
+      flightStatus = await fetchFlightStatus(booking.flight);
+    } catch (error) {
+      console.log('Could not refresh flight status for trip alerts:', booking.flight.flight_number, error.message);
+    }
+    const previous = previousSnapshots[booking.id];
+    const current = flightStatus ? getFlightSnapshot(flightStatus) : previous;
+    if (!current) continue;
+    snapshots[booking.id] = current;
+
+    if (settings.flightChanges && previous && flightStatus) {
+      for (const alert of getFlightChangeAlerts(booking, previous, current)) {
+        await showNotification(alert.title, alert.body, {
+          type: TRIP_ALERT_TYPE,
+          category: 'flightChanges',
+          bookingId: booking.id,
+        });
+      }
+    }
+  }
+  await saveFlightSnapshots(snapshots);
+
+  // Schedule the check-in and departure alerts again from the current bookings
+  await cancelScheduledNotifications(TRIP_ALERT_TYPE);
+  const alerts = activeBookings
+    .filter((booking) => !snapshots[booking.id]?.isCancelled)
+    .flatMap((booking) => {
+      const departure = snapshots[booking.id]?.departure || booking.flight.departure_time;
+      return getScheduledAlerts(booking, departure, settings).map((alert) => ({ ...alert, bookingId: booking.id }));
+    });
+  if (alerts.length === 0 || !(await requestNotificationPermission())) return;
+
+  for (const alert of alerts) {
+    await scheduleNotification(alert.title, alert.body, alert.date, {
+      type: TRIP_ALERT_TYPE,
+      category: alert.category,
+      bookingId: alert.bookingId,
+    });
+  }
+};
+
+// Syncs run one after the other so two never schedule alerts at the same time
+let syncQueue = Promise.resolve();
+
+// Bring the trip alerts in line with the user's bookings; pass the backend
+// bookings when they were just loaded, otherwise they are fetched
+export const syncTripAlerts = (bookings = null) => {
+  syncQueue = syncQueue
+    .then(() => runTripAlertsSync(bookings))
+    .catch((error) => console.error('Error syncing trip alerts:', error));
+  return syncQueue;
+};